@@ -0,0 +1,267 @@
+/**
+ * Differences between two versions of a note, for the version history, and
+ * merging edits made to a note at the same time (see Diff.merge()).
+ *
+ * Texts are compared word by word, whitespace and punctuation being words of
+ * their own, and the result is a list of parts:
+ *
+ *    { type: 'same', text: 'The ' }
+ *    { type: 'removed', text: 'old' }
+ *    { type: 'added', text: 'new' }
+ *    { type: 'same', text: ' title' }
+ *
+ * Diff.html() shows such a list with <del> and <ins>.
+ */
+
+var Diff = {};
+
+// Above this many words compared with each other, the changed middle of two
+// texts is shown removed and added as a whole rather than word by word
+Diff.MAX_COMPARISONS = 1000000;
+
+/**
+ * The words, runs of whitespace, HTML tags and punctuation marks of a text
+ */
+Diff.tokenize = function(text) {
+	return String(text || '').match(/\s+|<\/?[a-z][^<>]*>|[0-9a-z\u00c0-\uffff_'-]+|[^\s0-9a-z\u00c0-\uffff_'-]/gi) || [];
+};
+
+/**
+ * Word by word differences between two texts
+ *
+ * @param    {string}    a       The old text.
+ *
+ * @param    {string}    b       The new text.
+ *
+ * @return   {Array}             The parts, see above.
+ */
+Diff.words = function(a, b) {
+	var parts = [];
+
+	$.each(Diff.compare(Diff.tokenize(a), Diff.tokenize(b)), function(i, op) {
+		var last = parts[parts.length - 1];
+
+		if (last && last.type === op.type) {
+			last.text += op.token;
+		} else {
+			parts.push({ type: op.type, text: op.token });
+		}
+	});
+	return parts;
+};
+
+/**
+ * Compare two lists of tokens. Returns one { type, token } for each token,
+ * the type being 'same', 'removed' or 'added'.
+ */
+Diff.compare = function(from, to) {
+	var start = 0,
+		fromEnd = from.length,
+		toEnd = to.length,
+		ops = [],
+		i, j;
+
+	function add(type, tokens) {
+		for (var k = 0; k < tokens.length; k++) {
+			ops.push({ type: type, token: tokens[k] });
+		}
+	}
+
+	// What's the same at the start and the end needn't be compared
+	while (start < fromEnd && start < toEnd && from[start] === to[start]) {
+		start++;
+	}
+	while (fromEnd > start && toEnd > start && from[fromEnd - 1] === to[toEnd - 1]) {
+		fromEnd--;
+		toEnd--;
+	}
+
+	add('same', from.slice(0, start));
+
+	var m = fromEnd - start,
+		n = toEnd - start;
+
+	if (m * n > Diff.MAX_COMPARISONS) {
+		add('removed', from.slice(start, fromEnd));
+		add('added', to.slice(start, toEnd));
+	} else {
+		// Longest common subsequence, lengths[i][j] being the one of
+		// from[start + i..] and to[start + j..]
+		var lengths = [];
+
+		for (i = m; i >= 0; i--) {
+			lengths[i] = [];
+			for (j = n; j >= 0; j--) {
+				if (i === m || j === n) {
+					lengths[i][j] = 0;
+				} else if (from[start + i] === to[start + j]) {
+					lengths[i][j] = lengths[i + 1][j + 1] + 1;
+				} else {
+					lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+				}
+			}
+		}
+
+		i = 0;
+		j = 0;
+		while (i < m || j < n) {
+			if (i < m && j < n && from[start + i] === to[start + j]) {
+				add('same', [from[start + i]]);
+				i++;
+				j++;
+			} else if (j === n || (i < m && lengths[i + 1][j] >= lengths[i][j + 1])) {
+				add('removed', [from[start + i]]);
+				i++;
+			} else {
+				add('added', [to[start + j]]);
+				j++;
+			}
+		}
+	}
+
+	add('same', from.slice(fromEnd));
+	return ops;
+};
+
+/**
+ * The changes that turn one list of tokens into another, as the ranges of
+ * the first list replaced: { start, end, tokens }
+ */
+Diff.edits = function(from, to) {
+	var edits = [],
+		edit = null,
+		pos = 0;
+
+	$.each(Diff.compare(from, to), function(i, op) {
+		if (op.type === 'same') {
+			edit = null;
+			pos++;
+			return;
+		}
+		if (!edit) {
+			edit = { start: pos, end: pos, tokens: [] };
+			edits.push(edit);
+		}
+		if (op.type === 'removed') {
+			edit.end = ++pos;
+		} else {
+			edit.tokens.push(op.token);
+		}
+	});
+	return edits;
+};
+
+/**
+ * Merge two texts changed from the same one, e.g. a description edited here
+ * while another session saved it. Changes to different parts of the text are
+ * both kept. Where both changed the same words differently, the local text
+ * wins and the merge is a conflict.
+ *
+ * @param    {string}    base    The text both were changed from.
+ *
+ * @param    {string}    local   The text changed here.
+ *
+ * @param    {string}    remote  The text changed elsewhere.
+ *
+ * @return   {Object}            { text, conflict }
+ */
+Diff.merge = function(base, local, remote) {
+	var tokens = Diff.tokenize(base),
+		mine = Diff.edits(tokens, Diff.tokenize(local)),
+		theirs = Diff.edits(tokens, Diff.tokenize(remote)),
+		merged = [],
+		conflict = false,
+		pos = 0,
+		i = 0,
+		j = 0;
+
+	// The tokens from start to end with some edits made
+	function apply(edits, start, end) {
+		var result = [];
+
+		$.each(edits, function(k, edit) {
+			result = result.concat(tokens.slice(start, edit.start), edit.tokens);
+			start = edit.end;
+		});
+		return result.concat(tokens.slice(start, end)).join('');
+	}
+
+	while (i < mine.length || j < theirs.length) {
+		// Edits touching each other are merged as one
+		var first = (j >= theirs.length || (i < mine.length && mine[i].start <= theirs[j].start)) ? mine[i] : theirs[j],
+			start = first.start,
+			end = first.end,
+			ours = [],
+			other = [];
+
+		while (true) {
+			if (i < mine.length && mine[i].start <= end) {
+				end = Math.max(end, mine[i].end);
+				ours.push(mine[i++]);
+			} else if (j < theirs.length && theirs[j].start <= end) {
+				end = Math.max(end, theirs[j].end);
+				other.push(theirs[j++]);
+			} else {
+				break;
+			}
+		}
+
+		merged.push(tokens.slice(pos, start).join(''));
+
+		var ourText = apply(ours, start, end),
+			otherText = apply(other, start, end);
+
+		if (ours.length && other.length && ourText !== otherText) {
+			conflict = true;
+		}
+		merged.push(ours.length ? ourText : otherText);
+		pos = end;
+	}
+	merged.push(tokens.slice(pos).join(''));
+
+	return {
+		text: merged.join(''),
+		conflict: conflict
+	};
+};
+
+/**
+ * Whether a list of parts has any change in it
+ */
+Diff.changed = function(parts) {
+	for (var i = 0; i < parts.length; i++) {
+		if (parts[i].type !== 'same') {
+			return true;
+		}
+	}
+	return false;
+};
+
+/**
+ * A list of parts as HTML, line breaks kept
+ */
+Diff.html = function(parts) {
+	var tags = { same: '', removed: 'del', added: 'ins' };
+
+	return $.map(parts, function(part) {
+		var text = Sanitizer.escape(part.text).replace(/\n/g, '<br>'),
+			tag = tags[part.type];
+
+		return tag ? '<'+ tag +'>'+ text +'</'+ tag +'>' : text;
+	}).join('');
+};
+
+/**
+ * Where a position in a text, e.g. the caret, ends up when the text changes.
+ * It stays put when what's before it didn't change, and keeps its distance
+ * from the end when what's after it didn't.
+ */
+Diff.position = function(before, after, pos) {
+	var tail = before.length - pos;
+
+	if (after.slice(0, pos) !== before.slice(0, pos) && after.length >= tail &&
+			after.slice(after.length - tail) === before.slice(pos)) {
+		return after.length - tail;
+	}
+	return Math.min(pos, after.length);
+};
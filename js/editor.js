@@ -0,0 +1,294 @@
+/**
+ * A rich-text editor for the note body, built on a contentEditable element.
+ * Formatting is applied with the commands in NoteEditor.COMMANDS, from the
+ * toolbar's Format menu or their keyboard shortcuts. Whatever is typed or
+ * pasted goes through Sanitizer.notes before it's saved, checkboxes being
+ * input type="checkbox" elements.
+ *
+ * Notes are saved when the editor loses focus or a checkbox is ticked, the
+ * same as the other note fields.
+ *
+ * @param    {Element}   element     The element to edit in.
+ *
+ * @param    {Function}  onSave      Called with the cleaned up HTML when it
+ *                                   changed.
+ *
+ * @param    {Function}  onInput     Called with the cleaned up HTML as the
+ *                                   user types, optional.
+ * @return   {NoteEditor}
+ */
+
+function NoteEditor(element, onSave, onInput) {
+	var self = this;
+
+	self.element = $(element);
+	self.onSave = onSave;
+	self.onInput = onInput;
+	self.saved = null;
+
+	self.element.attr('contenteditable', 'true');
+
+	self.element.on('keydown.editor', function(e) {
+		var name = NoteEditor.commandFor(e);
+
+		if (name) {
+			e.preventDefault();
+			self.command(name);
+		}
+	});
+	self.element.on('input.editor', function(e) {
+		if (self.onInput) {
+			self.onInput(self.getHTML());
+		}
+	});
+	self.element.on('blur.editor', function(e) {
+		self.save();
+	});
+
+	// Ticking a checkbox only changes its checked property
+	self.element.on('click.editor', 'input[type="checkbox"]', function(e) {
+		$(this).attr('checked', this.checked ? 'checked' : null);
+		self.save();
+	});
+
+	// Paste clean markup rather than whatever the clipboard holds
+	self.element.on('paste.editor', function(e) {
+		var clipboard = e.originalEvent && e.originalEvent.clipboardData,
+			html, text;
+
+		if (!clipboard) {
+			return;
+		}
+		e.preventDefault();
+
+		html = clipboard.getData('text/html');
+		text = clipboard.getData('text/plain');
+		self.exec('insertHTML', html ? NoteEditor.clean(html) : NoteEditor.fromText(text));
+	});
+}
+
+/**
+ * The formatting commands, either a document.execCommand() call or the name
+ * of a NoteEditor method
+ */
+NoteEditor.COMMANDS = {
+	bold:         { shortcut: 'Ctrl+B',       exec: ['bold'] },
+	italic:       { shortcut: 'Ctrl+I',       exec: ['italic'] },
+	underline:    { shortcut: 'Ctrl+U',       exec: ['underline'] },
+	paragraph:    { shortcut: 'Ctrl+Alt+0',   exec: ['formatBlock', '<p>'] },
+	heading1:     { shortcut: 'Ctrl+Alt+1',   exec: ['formatBlock', '<h1>'] },
+	heading2:     { shortcut: 'Ctrl+Alt+2',   exec: ['formatBlock', '<h2>'] },
+	heading3:     { shortcut: 'Ctrl+Alt+3',   exec: ['formatBlock', '<h3>'] },
+	bulletList:   { shortcut: 'Ctrl+Shift+8', exec: ['insertUnorderedList'] },
+	numberedList: { shortcut: 'Ctrl+Shift+7', exec: ['insertOrderedList'] },
+	codeBlock:    { shortcut: 'Ctrl+Shift+K', exec: ['formatBlock', '<pre>'] },
+	checkbox:     { shortcut: 'Ctrl+Shift+C', method: 'insertCheckbox' },
+	link:         { shortcut: 'Ctrl+K',       method: 'insertLink' }
+};
+
+/**
+ * The command for a keydown event's shortcut, if any
+ */
+NoteEditor.commandFor = function(e) {
+	if (!e.ctrlKey && !e.metaKey) {
+		return null;
+	}
+
+	var shortcut = 'Ctrl+'+ (e.altKey ? 'Alt+' : '') + (e.shiftKey ? 'Shift+' : '') +
+		String.fromCharCode(e.which).toUpperCase();
+
+	for (var name in NoteEditor.COMMANDS) {
+		if (NoteEditor.COMMANDS.hasOwnProperty(name) && NoteEditor.COMMANDS[name].shortcut === shortcut) {
+			return name;
+		}
+	}
+	return null;
+};
+
+/**
+ * Plain text as HTML, keeping its line breaks
+ */
+NoteEditor.fromText = function(text) {
+	return Sanitizer.escape(text || '').replace(/\r?\n/g, '<br>');
+};
+
+/**
+ * Sanitize a description, HTML or plain text, for the editor
+ */
+NoteEditor.clean = function(html) {
+	html = String(html || '');
+
+	// Plain text was always shown as HTML, so only its line breaks need
+	// keeping
+	if (!/<[a-z!\/][^>]*>/i.test(html)) {
+		html = html.replace(/\r?\n/g, '<br>');
+	}
+	return NoteEditor.trim(Sanitizer.notes.sanitize(html));
+};
+
+/**
+ * Drop the line breaks browsers leave at the end of a contentEditable
+ */
+NoteEditor.trim = function(html) {
+	html = html.replace(/(<br>)+$/, '');
+
+	// A lone line break is what's left of an emptied editor
+	return /^(<p>)?(<br>)?(<\/p>)?$/.test(html) ? '' : html;
+};
+
+NoteEditor.prototype = {
+	setHTML: function(html) {
+		this.saved = NoteEditor.clean(html);
+		this.element.html(this.saved);
+	},
+
+	/**
+	 * Replace the description without losing the caret, e.g. with one merged
+	 * with changes from another session. Unless the description as saved is
+	 * given, the new one is taken as saved.
+	 */
+	update: function(html, saved) {
+		var text = this.element.text(),
+			caret = this.caret();
+
+		this.saved = NoteEditor.clean(saved === undefined ? html : saved);
+		this.element.html(NoteEditor.clean(html));
+
+		if (caret !== null) {
+			this.caret(Diff.position(text, this.element.text(), caret));
+		}
+	},
+
+	getHTML: function() {
+		return NoteEditor.trim(Sanitizer.notes.serialize(this.element[0]));
+	},
+
+	/**
+	 * Call onSave() when the description changed since it was last set or
+	 * saved
+	 */
+	save: function() {
+		var html = this.getHTML();
+
+		if (html !== this.saved) {
+			this.saved = html;
+			this.onSave(html);
+		}
+	},
+
+	/**
+	 * Run one of NoteEditor.COMMANDS on the selection
+	 */
+	command: function(name) {
+		var command = NoteEditor.COMMANDS[name];
+
+		if (!command) {
+			return;
+		}
+
+		if (!this.hasFocus()) {
+			this.element.focus();
+		}
+
+		if (command.method) {
+			this[command.method]();
+		} else {
+			this.exec(command.exec[0], command.exec[1]);
+		}
+	},
+
+	exec: function(name, value) {
+		document.execCommand(name, false, value === undefined ? null : value);
+
+		if (this.onInput) {
+			this.onInput(this.getHTML());
+		}
+	},
+
+	hasFocus: function() {
+		var selection = window.getSelection();
+
+		return selection.rangeCount > 0 && $.contains(this.element[0], selection.getRangeAt(0).commonAncestorContainer);
+	},
+
+	/**
+	 * The caret's offset in the text of the editor, null when it's elsewhere.
+	 * Given an offset, puts the caret there.
+	 */
+	caret: function(offset) {
+		var selection = window.getSelection(),
+			element = this.element[0],
+			range;
+
+		if (offset === undefined) {
+			if (!this.hasFocus()) {
+				return null;
+			}
+			range = selection.getRangeAt(0).cloneRange();
+			range.setStart(element, 0);
+			return range.toString().length;
+		}
+
+		var walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false),
+			node;
+
+		range = document.createRange();
+		range.selectNodeContents(element);
+		range.collapse(false);
+
+		while ((node = walker.nextNode())) {
+			if (offset <= node.nodeValue.length) {
+				range.setStart(node, offset);
+				range.collapse(true);
+				break;
+			}
+			offset -= node.nodeValue.length;
+		}
+
+		selection.removeAllRanges();
+		selection.addRange(range);
+	},
+
+	insertCheckbox: function() {
+		this.exec('insertHTML', '<input type="checkbox">&nbsp;');
+	},
+
+	/**
+	 * Ask for a URL and link the selected text to it, or insert the link
+	 * when nothing is selected
+	 */
+	insertLink: function() {
+		var selection = window.getSelection(),
+			range = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null,
+			url = window.prompt('Link to:', 'http://');
+
+		url = $.trim(url || '');
+		if (!url || url === 'http://') {
+			return;
+		}
+		if (!/^[a-z][\w+.-]*:/i.test(url)) {
+			url = 'http://'+ url;
+		}
+		if (Sanitizer.notes.url('href', url) === null) {
+			window.alert('Only web and email links can be added.');
+			return;
+		}
+
+		// The prompt took the selection away
+		this.element.focus();
+		if (range) {
+			selection.removeAllRanges();
+			selection.addRange(range);
+		}
+
+		if (range && !range.collapsed) {
+			this.exec('createLink', url);
+		} else {
+			this.exec('insertHTML', '<a href="'+ Sanitizer.escape(url) +'">'+ Sanitizer.escape(url) +'</a>');
+		}
+	},
+
+	destroy: function() {
+		this.element.off('.editor').removeAttr('contenteditable');
+	}
+};
@@ -0,0 +1,421 @@
+/**
+ * Reads the files Evernote exports notes to (.enex). An export holds one
+ * <note> per note:
+ *
+ *    <en-export>
+ *      <note>
+ *        <title>Coffee</title>
+ *        <content><![CDATA[<en-note>...ENML...</en-note>]]></content>
+ *        <created>20130301T120000Z</created>
+ *        <updated>20130302T090000Z</updated>
+ *        <tag>recipes</tag>
+ *        <note-attributes><source-url>http://...</source-url></note-attributes>
+ *        <resource><data encoding="base64">...</data><mime>image/png</mime></resource>
+ *      </note>
+ *    </en-export>
+ *
+ * Enex.notes() turns them into note data for Webernote.save(), the ENML
+ * becoming rich text: <en-todo> checkboxes become checkboxes, images
+ * (<en-media> of an image resource) are kept inline as data: URLs, other
+ * attachments are named and encrypted text is left out. The notebook isn't
+ * in the file, Evernote exports one notebook per file named after it, so it
+ * comes from the file name (see Enex.notebookName()).
+ *
+ * Enex.write() does the opposite for exports: descriptions become ENML,
+ * inline images becoming resources and checkboxes <en-todo>.
+ */
+
+var Enex = {};
+
+/**
+ * Parse an export and convert its notes. Throws when the file isn't an
+ * Evernote export, notes that can't be read are listed in errors.
+ *
+ * @param    {string}    xml         The contents of the .enex file.
+ *
+ * @param    {string}    notebook    The notebook to put the notes in.
+ *
+ * @return   {Object}                { notes, indexes, errors }, notes being
+ *                                   note data for Webernote.save(), indexes
+ *                                   where each of them is in the file and
+ *                                   errors { index, title, message } objects,
+ *                                   indexes counting from 1.
+ */
+Enex.notes = function(xml, notebook) {
+	var result = { notes: [], indexes: [], errors: [] };
+
+	$.each(Enex.parse(xml), function(i, note) {
+		try {
+			result.notes.push(Enex.toNote(note, notebook));
+			result.indexes.push(i + 1);
+		} catch (e) {
+			result.errors.push({ index: i + 1, title: note.title, message: e.message });
+		}
+	});
+	return result;
+};
+
+/**
+ * The notes in an export as they're written in it: { title, content,
+ * created, updated, tags, url, resources }, resources being keyed by the MD5
+ * hash <en-media> refers to them with.
+ */
+Enex.parse = function(xml) {
+	var doc = new DOMParser().parseFromString(String(xml || ''), 'application/xml'),
+		root = doc.documentElement;
+
+	if (!root || root.nodeName !== 'en-export' || doc.getElementsByTagName('parsererror').length) {
+		throw new Error('Not an Evernote export file');
+	}
+
+	function text(parent, name) {
+		return $.trim($(parent).children(name).first().text());
+	}
+
+	return $.map($(root).children('note'), function(note) {
+		var resources = {};
+
+		$(note).children('resource').each(function() {
+			var data = text(this, 'data').replace(/\s+/g, ''),
+				bytes;
+
+			try {
+				bytes = window.atob(data);
+			} catch (e) {
+				return;
+			}
+
+			resources[Enex.md5(bytes)] = {
+				mime: text(this, 'mime'),
+				data: data,
+				name: text($(this).children('resource-attributes'), 'file-name')
+			};
+		});
+
+		return {
+			title: text(note, 'title'),
+			content: $(note).children('content').length ? $(note).children('content').first().text() : null,
+			created: Enex.parseDate(text(note, 'created')),
+			updated: Enex.parseDate(text(note, 'updated')),
+			tags: $.map($(note).children('tag'), function(tag) {
+				return $.trim($(tag).text()) || null;
+			}),
+			url: text($(note).children('note-attributes'), 'source-url'),
+			resources: resources
+		};
+	});
+};
+
+/**
+ * Note data for Webernote.save() from a note of Enex.parse()
+ */
+Enex.toNote = function(note, notebook) {
+	if (note.content === null) {
+		throw new Error('The note has no content');
+	}
+
+	var now = new Date().getTime(),
+		created = note.created || note.updated || now;
+
+	return {
+		title: note.title || 'Untitled note...',
+		notebook: notebook || '',
+		url: note.url || '',
+		tags: note.tags,
+		description: Enex.toHTML(note.content, note.resources),
+		format: 'rich',
+		source: 'import',
+		created: created,
+		modified: note.updated || created
+	};
+};
+
+/**
+ * ENML as the HTML of a rich text note
+ */
+Enex.toHTML = function(enml, resources) {
+	var body = Sanitizer.parse($.trim(String(enml || '')
+			.replace(/<\?xml[^>]*\?>/i, '')
+			.replace(/<!DOCTYPE[^>]*>/i, ''))),
+		doc = body.ownerDocument;
+
+	resources = resources || {};
+
+	// <en-todo/> and <en-media/> are empty, but read as HTML what follows
+	// them ends up inside
+	function replace(element, replacement) {
+		var parent = element.parentNode;
+
+		if (replacement) {
+			parent.insertBefore(replacement, element);
+		}
+		while (element.firstChild) {
+			parent.insertBefore(element.firstChild, element);
+		}
+		parent.removeChild(element);
+	}
+
+	$(body).find('en-todo').each(function() {
+		var checkbox = doc.createElement('input');
+
+		checkbox.setAttribute('type', 'checkbox');
+		if (this.getAttribute('checked') === 'true') {
+			checkbox.setAttribute('checked', 'checked');
+		}
+		replace(this, checkbox);
+	});
+
+	$(body).find('en-media').each(function() {
+		var media = this,
+			resource = resources[$(media).attr('hash')],
+			mime = resource ? resource.mime : $(media).attr('type'),
+			replacement;
+
+		if (resource && /^image\/(png|gif|jpe?g|webp)$/i.test(mime)) {
+			replacement = doc.createElement('img');
+			replacement.setAttribute('src', 'data:'+ mime +';base64,'+ resource.data);
+			$.each(['width', 'height', 'alt'], function(i, name) {
+				if ($(media).attr(name)) {
+					replacement.setAttribute(name, $(media).attr(name));
+				}
+			});
+		} else {
+			replacement = doc.createTextNode('[Attachment: '+ ((resource && resource.name) || mime || 'file') +']');
+		}
+		replace(media, replacement);
+	});
+
+	$(body).find('en-crypt').each(function() {
+		$(this).replaceWith(doc.createTextNode('[Encrypted text]'));
+	});
+
+	return Sanitizer.notes.serialize(body);
+};
+
+/**
+ * An export of some notes, as Evernote writes them
+ *
+ * @param    {Array}     notes       The notes, as stored.
+ *
+ * @return   {string}                The contents of the .enex file.
+ */
+Enex.write = function(notes) {
+	var xml = '<?xml version="1.0" encoding="UTF-8"?>\n'+
+		'<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">\n'+
+		'<en-export export-date="'+ Enex.formatDate(new Date().getTime()) +'" application="Webernote" version="1">\n';
+
+	function element(name, value) {
+		return '<'+ name +'>'+ Sanitizer.escape(value) +'</'+ name +'>';
+	}
+
+	$.each(notes, function(i, note) {
+		var enml = Enex.toENML(Webernote.descriptionHTML(note));
+
+		xml += '<note>'+ element('title', note.title || '') +
+			'<content><![CDATA['+ enml.content.replace(/\]\]>/g, ']]]]><![CDATA[>') +']]></content>';
+
+		if (note.created) {
+			xml += element('created', Enex.formatDate(note.created));
+		}
+		if (note.modified) {
+			xml += element('updated', Enex.formatDate(note.modified));
+		}
+		$.each(Webernote.parseTags(note.tags), function(j, tag) {
+			xml += element('tag', tag);
+		});
+		xml += '<note-attributes>'+ (note.url ? element('source-url', note.url) : '') +'</note-attributes>';
+
+		$.each(enml.resources, function(j, resource) {
+			xml += '<resource><data encoding="base64">'+ resource.data +'</data>'+ element('mime', resource.mime) +'</resource>';
+		});
+		xml += '</note>\n';
+	});
+
+	return xml +'</en-export>\n';
+};
+
+/**
+ * Rich text as ENML. Returns { content, resources }, resources being the
+ * images that were inline as { mime, data }, data in base64.
+ */
+Enex.toENML = function(html) {
+	var body = Sanitizer.parse(Sanitizer.notes.sanitize(html)),
+		resources = [],
+		hashes = {};
+
+	function attributes(node, names) {
+		var attrs = '';
+
+		$.each(names, function(i, name) {
+			if (node.hasAttribute(name)) {
+				attrs += ' '+ name +'="'+ Sanitizer.escape(node.getAttribute(name)) +'"';
+			}
+		});
+		return attrs;
+	}
+
+	// The sanitized HTML is XHTML but for empty elements and entities
+	function serialize(parent) {
+		var xml = '';
+
+		$.each(parent.childNodes, function(i, node) {
+			if (node.nodeType === 3) {
+				xml += Sanitizer.escape(node.nodeValue);
+				return;
+			}
+
+			var name = node.nodeName.toLowerCase(),
+				match;
+
+			switch (name) {
+				case 'input':
+					xml += node.hasAttribute('checked') ? '<en-todo checked="true"/>' : '<en-todo/>';
+				break;
+				case 'img':
+					match = /^data:(image\/[a-z]+);base64,(.*)$/i.exec(node.getAttribute('src'));
+					if (!match) {
+						xml += '<img'+ attributes(node, ['src', 'alt', 'title', 'width', 'height']) +'/>';
+						break;
+					}
+
+					var bytes;
+
+					// Not really base64, there's no resource to make of it
+					try {
+						bytes = window.atob(match[2]);
+					} catch (e) {
+						xml += Sanitizer.escape('[Attachment: '+ (node.getAttribute('alt') || match[1]) +']');
+						break;
+					}
+
+					var hash = Enex.md5(bytes);
+
+					if (!hashes[hash]) {
+						hashes[hash] = true;
+						resources.push({ mime: match[1], data: match[2] });
+					}
+					xml += '<en-media hash="'+ hash +'" type="'+ match[1] +'"'+ attributes(node, ['alt', 'width', 'height']) +'/>';
+				break;
+				case 'br':
+				case 'hr':
+					xml += '<'+ name +'/>';
+				break;
+				default:
+					xml += '<'+ name + attributes(node, ['href', 'title', 'start', 'align', 'colspan', 'rowspan']) +'>'+
+						serialize(node) +'</'+ name +'>';
+				break;
+			}
+		});
+		return xml;
+	}
+
+	return {
+		content: '<?xml version="1.0" encoding="UTF-8"?>'+
+			'<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">'+
+			'<en-note>'+ serialize(body) +'</en-note>',
+		resources: resources
+	};
+};
+
+/**
+ * A timestamp as Evernote writes dates
+ */
+Enex.formatDate = function(time) {
+	return new Date(time).toISOString().replace(/[-:]|\.\d+/g, '');
+};
+
+/**
+ * Evernote's dates, 20130301T120000Z, as a timestamp or null
+ */
+Enex.parseDate = function(str) {
+	var match = /^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/.exec(str || '');
+
+	if (!match) {
+		return null;
+	}
+	return Date.UTC(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+};
+
+/**
+ * The notebook for the notes in an export file, from its name. Empty when
+ * nothing of the name can be used.
+ */
+Enex.notebookName = function(fileName) {
+	return $.trim(String(fileName || '')
+		.replace(/^.*[\/\\]/, '')
+		.replace(/\.enex$/i, '')
+		.replace(/[.#$\[\]\/]/g, '-'));
+};
+
+/**
+ * The MD5 hash of a string of bytes, as hex. <en-media> refers to resources
+ * by the hash of their data.
+ */
+Enex.md5 = function(bytes) {
+	var shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21],
+		constants = [],
+		words = [],
+		length = bytes.length,
+		blocks = (((length + 8) >> 6) + 1) * 16,
+		hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476],
+		hex = '',
+		i;
+
+	for (i = 0; i < 64; i++) {
+		constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296) | 0;
+	}
+
+	// Little endian words, padded with a 1 bit and the length in bits
+	for (i = 0; i < blocks; i++) {
+		words[i] = 0;
+	}
+	for (i = 0; i < length; i++) {
+		words[i >> 2] |= (bytes.charCodeAt(i) & 0xff) << ((i % 4) * 8);
+	}
+	words[length >> 2] |= 0x80 << ((length % 4) * 8);
+	words[blocks - 2] = (length * 8) | 0;
+	words[blocks - 1] = Math.floor(length / 536870912);
+
+	for (var block = 0; block < blocks; block += 16) {
+		var a = hash[0],
+			b = hash[1],
+			c = hash[2],
+			d = hash[3];
+
+		for (i = 0; i < 64; i++) {
+			var f, g, sum, shift, temp;
+
+			if (i < 16) {
+				f = (b & c) | (~b & d);
+				g = i;
+			} else if (i < 32) {
+				f = (d & b) | (~d & c);
+				g = (5 * i + 1) % 16;
+			} else if (i < 48) {
+				f = b ^ c ^ d;
+				g = (3 * i + 5) % 16;
+			} else {
+				f = c ^ (b | ~d);
+				g = (7 * i) % 16;
+			}
+
+			sum = (a + f + constants[i] + words[block + g]) | 0;
+			shift = shifts[(i >> 4) * 4 + i % 4];
+			temp = d;
+			d = c;
+			c = b;
+			b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+			a = temp;
+		}
+
+		hash[0] = (hash[0] + a) | 0;
+		hash[1] = (hash[1] + b) | 0;
+		hash[2] = (hash[2] + c) | 0;
+		hash[3] = (hash[3] + d) | 0;
+	}
+
+	for (i = 0; i < 16; i++) {
+		hex += ('0'+ ((hash[i >> 2] >>> ((i % 4) * 8)) & 0xff).toString(16)).slice(-2);
+	}
+	return hex;
+};
@@ -0,0 +1,557 @@
+/**
+ * Writes notes out to a file to download, in one of Export.FORMATS:
+ *
+ *    enex        An Evernote export, see Enex.write()
+ *    json        All of each note's fields, with the version of this format
+ *                so later ones can still read it
+ *    markdown    A zip of Markdown files, one per note in a folder per
+ *                notebook, the other fields in YAML front matter
+ *    html        One HTML page with all the notes, to print
+ *
+ * Export.file() returns { name, type, data }, data being a string or, for
+ * the zip, a Uint8Array, either of which can go in a Blob.
+ */
+
+var Export = {};
+
+// Of the JSON format, for whatever reads it back
+Export.VERSION = 1;
+
+Export.FORMATS = [
+	{ value: 'enex', name: 'Evernote (.enex)' },
+	{ value: 'json', name: 'Webernote JSON (.json)' },
+	{ value: 'markdown', name: 'Markdown files (.zip)' },
+	{ value: 'html', name: 'Printable HTML (.html)' }
+];
+
+/**
+ * Export some notes
+ *
+ * @param    {string}    format      One of Export.FORMATS.
+ *
+ * @param    {Array}     notes       The notes, as stored.
+ *
+ * @param    {string}    title       What's exported, e.g. a notebook's name,
+ *                                   to name the file after.
+ *
+ * @return   {Object}                { name, type, data }
+ */
+Export.file = function(format, notes, title) {
+	var name = Export.fileName(title) || 'Webernote';
+
+	switch (format) {
+		case 'enex':
+			return { name: name +'.enex', type: 'application/enex+xml', data: Enex.write(notes) };
+		case 'json':
+			return { name: name +'.json', type: 'application/json', data: Export.json(notes) };
+		case 'markdown':
+			return { name: name +'.zip', type: 'application/zip', data: Export.zip(Export.markdownFiles(notes)) };
+		case 'html':
+			return { name: name +'.html', type: 'text/html', data: Export.html(notes, title) };
+	}
+	throw new Error('Unknown export format '+ format);
+};
+
+/**
+ * A name that can be used for a file on any system, or an empty string
+ */
+Export.fileName = function(name) {
+	return $.trim(String(name || '')
+		.replace(/[\\\/:*?"<>|\u0000-\u001f]+/g, '-')
+		.replace(/^\.+/, '')
+		.slice(0, 100));
+};
+
+Export.json = function(notes) {
+	return JSON.stringify({
+		app: 'webernote',
+		version: Export.VERSION,
+		exported: new Date().toISOString(),
+		notes: $.map(notes, function(note) {
+			return {
+				id: note.id,
+				title: note.title || '',
+				notebook: note.notebook || '',
+				url: note.url || '',
+				urls: Webernote.noteUrls(note),
+				tags: Webernote.parseTags(note.tags),
+				description: note.description || '',
+				format: Webernote.noteFormat(note),
+				source: Webernote.noteSource(note),
+				created: note.created || null,
+				modified: note.modified || null
+			};
+		})
+	}, null, '\t');
+};
+
+/**
+ * The files of the Markdown export, { name, data, time }
+ */
+Export.markdownFiles = function(notes) {
+	var names = {};
+
+	return $.map(notes, function(note) {
+		var folder = Export.fileName(note.notebook) || 'Notes',
+			base = folder +'/'+ (Export.fileName(note.title) || 'Untitled'),
+			name = base +'.md',
+			n = 1;
+
+		while (names[name.toLowerCase()]) {
+			name = base +' ('+ (++n) +').md';
+		}
+		names[name.toLowerCase()] = true;
+
+		return {
+			name: name,
+			data: Export.frontMatter(note) + Export.markdown(note) +'\n',
+			time: note.modified || note.created || new Date().getTime()
+		};
+	});
+};
+
+/**
+ * The fields of a note but its description, as YAML. JSON strings are YAML
+ * strings too.
+ */
+Export.frontMatter = function(note) {
+	var lines = [
+		'---',
+		'title: '+ JSON.stringify(note.title || ''),
+		'notebook: '+ JSON.stringify(note.notebook || ''),
+		'tags: '+ JSON.stringify(Webernote.parseTags(note.tags))
+	];
+
+	if (note.url) {
+		lines.push('url: '+ JSON.stringify(note.url));
+	}
+	if (Webernote.noteUrls(note).length > 1) {
+		lines.push('urls: '+ JSON.stringify(Webernote.noteUrls(note)));
+	}
+	lines.push('source: '+ Webernote.noteSource(note));
+	if (note.created) {
+		lines.push('created: '+ new Date(note.created).toISOString());
+	}
+	if (note.modified) {
+		lines.push('modified: '+ new Date(note.modified).toISOString());
+	}
+
+	return lines.join('\n') +'\n---\n\n';
+};
+
+/**
+ * A note's description as Markdown
+ */
+Export.markdown = function(note) {
+	if (Webernote.noteFormat(note) === 'markdown') {
+		return $.trim(note.description || '');
+	}
+	return Export.toMarkdown(Webernote.descriptionHTML(note));
+};
+
+/**
+ * Rich text as Markdown, as Markdown.toHTML() reads it. Checkboxes starting a
+ * paragraph become task lists.
+ */
+Export.toMarkdown = function(html) {
+	var body = Sanitizer.parse(Sanitizer.notes.sanitize(html));
+
+	// What would otherwise be read as Markdown
+	function escape(text) {
+		return text.replace(/[\\`*_\[\]~]/g, '\\$&');
+	}
+
+	// ... and what would at the start of a line
+	function escapeLines(text) {
+		return text
+			.replace(/^(#|>|[-+] )/gm, '\\$1')
+			.replace(/^(\d+)([.)] )/gm, '$1\\$2');
+	}
+
+	// Emphasis markers must touch the text they're around
+	function wrap(marker, text) {
+		var match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+
+		return match[2] ? match[1] + marker + match[2] + marker + match[3] : text;
+	}
+
+	function inline(nodes) {
+		var text = '';
+
+		$.each(nodes, function(i, node) {
+			if (node.nodeType === 3) {
+				text += escape(node.nodeValue.replace(/\s+/g, ' '));
+				return;
+			}
+
+			switch (node.nodeName.toLowerCase()) {
+				case 'strong':
+					text += wrap('**', inline(node.childNodes));
+				break;
+				case 'em':
+					text += wrap('*', inline(node.childNodes));
+				break;
+				case 'del':
+					text += wrap('~~', inline(node.childNodes));
+				break;
+				case 'code':
+					var code = node.textContent,
+						ticks = /`/.test(code) ? '``' : '`';
+
+					text += ticks + (ticks.length > 1 ? ' '+ code +' ' : code) + ticks;
+				break;
+				case 'a':
+					text += '['+ inline(node.childNodes) +']('+ Export.markdownUrl(node.getAttribute('href')) +')';
+				break;
+				case 'img':
+					text += '!['+ escape(node.getAttribute('alt') || '') +']('+ Export.markdownUrl(node.getAttribute('src')) +')';
+				break;
+				case 'br':
+					text += '\\\n';
+				break;
+				case 'input':
+					text += node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+				break;
+				default:
+					text += inline(node.childNodes);
+				break;
+			}
+		});
+		return text;
+	}
+
+	// Inline Markdown as the lines of a block
+	function lines(text) {
+		return $.trim(text
+			.replace(/(\\\n\s*)+$/, '')
+			.replace(/\\\n[ \t]+/g, '\\\n'));
+	}
+
+	function indent(text, pad) {
+		return text.replace(/\n(?=.)/g, '\n'+ pad);
+	}
+
+	function list(node) {
+		var ordered = node.nodeName.toLowerCase() === 'ol',
+			start = parseInt(node.getAttribute('start'), 10) || 1;
+
+		return $.map($(node).children('li'), function(li, i) {
+			var marker = ordered ? (start + i) +'. ' : '- ';
+
+			return marker + indent(blocks(li, true), new Array(marker.length + 1).join(' '));
+		}).join('\n');
+	}
+
+	function table(node) {
+		var rows = $(node).find('tr').filter(function() {
+				return $(this).closest('table')[0] === node;
+			}),
+			columns = 0;
+
+		if (!rows.length) {
+			return '';
+		}
+
+		rows = $.map(rows, function(row) {
+			var cells = $.map($(row).children('th, td'), function(cell) {
+				return lines(inline(cell.childNodes)).replace(/\\\n/g, ' ').replace(/\|/g, '\\|');
+			});
+
+			columns = Math.max(columns, cells.length);
+			return [cells];
+		});
+
+		var aligns = $.map($(node).find('tr').first().children('th, td'), function(cell) {
+			return { left: ':--', center: ':-:', right: '--:' }[(cell.getAttribute('align') || '').toLowerCase()] || '---';
+		});
+
+		function row(cells) {
+			while (cells.length < columns) {
+				cells.push(aligns === cells ? '---' : '');
+			}
+			return '| '+ cells.join(' | ') +' |';
+		}
+
+		return $.map([rows[0], aligns].concat(rows.slice(1)), row).join('\n');
+	}
+
+	// The blocks in an element, separated by blank lines, or by line breaks
+	// in a list item
+	function blocks(parent, item) {
+		var result = [],
+			run = [],
+			tasks = false;
+
+		function paragraph(nodes) {
+			var text = lines(inline(nodes));
+
+			if (!text) {
+				return;
+			}
+			text = escapeLines(text);
+
+			// Lines of checkboxes are a task list, one after another
+			var items = text.split('\\\n'),
+				isTasks = !item && $.grep(items, function(line) {
+					return /^\[[ x]\] /.test(line);
+				}).length === items.length;
+
+			if (isTasks) {
+				text = $.map(items, function(line) {
+					return '- '+ line;
+				}).join('\n');
+
+				if (tasks) {
+					result[result.length - 1] += '\n'+ text;
+					return;
+				}
+			}
+			tasks = isTasks;
+			result.push(text);
+		}
+
+		function add(text) {
+			if (text) {
+				tasks = false;
+				result.push(text);
+			}
+		}
+
+		$.each(parent.childNodes, function(i, node) {
+			var name = node.nodeType === 1 ? node.nodeName.toLowerCase() : '',
+				level = /^h([1-6])$/.exec(name);
+
+			if (!/^(p|h[1-6]|ul|ol|li|pre|blockquote|hr|table)$/.test(name)) {
+				run.push(node);
+				return;
+			}
+
+			paragraph(run);
+			run = [];
+
+			if (level) {
+				add(new Array(+level[1] + 1).join('#') +' '+ lines(inline(node.childNodes)).replace(/\\\n/g, ' '));
+				return;
+			}
+
+			switch (name) {
+				case 'p':
+					paragraph(node.childNodes);
+				break;
+				case 'ul':
+				case 'ol':
+					add(list(node));
+				break;
+				case 'li':
+					add('- '+ indent(blocks(node, true), '  '));
+				break;
+				case 'pre':
+					var code = node.textContent.replace(/\n$/, ''),
+						language = /language-([\w+#-]+)/.exec($(node).children('code').attr('class') || ''),
+						fence = '```';
+
+					while (code.indexOf(fence) >= 0) {
+						fence += '`';
+					}
+					add(fence + (language ? language[1] : '') +'\n'+ code +'\n'+ fence);
+				break;
+				case 'blockquote':
+					add(blocks(node).replace(/^/gm, '> ').replace(/^> $/gm, '>'));
+				break;
+				case 'hr':
+					add('---');
+				break;
+				case 'table':
+					add(table(node));
+				break;
+			}
+		});
+		paragraph(run);
+
+		return result.join(item ? '\n' : '\n\n');
+	}
+
+	return blocks(body);
+};
+
+/**
+ * A URL as the destination of a Markdown link or image
+ */
+Export.markdownUrl = function(url) {
+	return String(url || '').replace(/[\s()<>]/g, function(c) {
+		return encodeURIComponent(c);
+	});
+};
+
+/**
+ * All the notes on one page, to print
+ */
+Export.html = function(notes, title) {
+	var html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'+
+		'<title>'+ Sanitizer.escape(title || 'Webernote') +'</title>\n'+
+		'<style>\n'+
+		'body { font: 14px/1.5 Georgia, serif; margin: 2em auto; max-width: 45em; padding: 0 1em; }\n'+
+		'.note { border-bottom: 1px solid #ccc; margin-bottom: 2em; page-break-after: always; }\n'+
+		'.note:last-child { border: 0; page-break-after: auto; }\n'+
+		'.meta { color: #666; font: 12px/1.5 sans-serif; margin: 0 0 1em; }\n'+
+		'.meta dt { float: left; font-weight: bold; margin-right: .5em; }\n'+
+		'.meta dd { margin: 0; }\n'+
+		'img { max-width: 100%; }\n'+
+		'table { border-collapse: collapse; }\n'+
+		'th, td { border: 1px solid #ccc; padding: 2px 5px; }\n'+
+		'pre { white-space: pre-wrap; }\n'+
+		'</style>\n</head>\n<body>\n';
+
+	function meta(name, value) {
+		return value ? '<dt>'+ name +':</dt><dd>'+ value +'</dd>' : '';
+	}
+
+	function date(time) {
+		return time ? Sanitizer.escape(new Date(time).toLocaleString()) : '';
+	}
+
+	$.each(notes, function(i, note) {
+		var urls = $.map(Webernote.noteUrls(note), function(url) {
+			url = Sanitizer.notes.url('href', url);
+			return url ? '<a href="'+ Sanitizer.escape(url) +'">'+ Sanitizer.escape(url) +'</a>' : null;
+		});
+
+		html += '<div class="note">\n'+
+			'<h1>'+ Sanitizer.escape(note.title || '') +'</h1>\n'+
+			'<dl class="meta">'+
+				meta('Notebook', Sanitizer.escape(note.notebook || '')) +
+				meta('Tags', Sanitizer.escape(Webernote.parseTags(note.tags).join(', '))) +
+				meta(urls.length > 1 ? 'URLs' : 'URL', urls.join('<br>')) +
+				meta('Created', date(note.created)) +
+				meta('Updated', date(note.modified)) +
+			'</dl>\n'+
+			'<div class="description">'+ Webernote.descriptionHTML(note) +'</div>\n'+
+			'</div>\n';
+	});
+
+	return html +'</body>\n</html>\n';
+};
+
+/**
+ * A zip of some files, stored as they are rather than compressed
+ *
+ * @param    {Array}     files       { name, data, time }, data being text.
+ *
+ * @return   {Uint8Array}
+ */
+Export.zip = function(files) {
+	var entries = [],
+		size = 22,
+		offset = 0;
+
+	$.each(files, function(i, file) {
+		var name = Export.utf8(file.name),
+			data = Export.utf8(file.data),
+			date = new Date(file.time || new Date().getTime());
+
+		entries.push({
+			name: name,
+			data: data,
+			crc: Export.crc32(data),
+			time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+			date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+		});
+		size += 30 + name.length + data.length + 46 + name.length;
+	});
+
+	var bytes = new Uint8Array(size),
+		view = new DataView(bytes.buffer),
+		pos = 0,
+		directory;
+
+	function short(value) {
+		view.setUint16(pos, value, true);
+		pos += 2;
+	}
+	function long(value) {
+		view.setUint32(pos, value, true);
+		pos += 4;
+	}
+	function header(entry, central) {
+		long(central ? 0x02014b50 : 0x04034b50);
+		if (central) {
+			short(20);           // made by
+		}
+		short(20);               // version needed
+		short(0x0800);           // names in UTF-8
+		short(0);                // stored
+		short(entry.time);
+		short(entry.date);
+		long(entry.crc);
+		long(entry.data.length);
+		long(entry.data.length);
+		short(entry.name.length);
+		short(0);                // extra field
+		if (central) {
+			short(0);            // comment
+			short(0);            // disk
+			short(0);            // internal attributes
+			long(0);             // external attributes
+			long(entry.offset);
+		}
+		bytes.set(entry.name, pos);
+		pos += entry.name.length;
+	}
+
+	$.each(entries, function(i, entry) {
+		entry.offset = pos;
+		header(entry, false);
+		bytes.set(entry.data, pos);
+		pos += entry.data.length;
+	});
+
+	offset = pos;
+	$.each(entries, function(i, entry) {
+		header(entry, true);
+	});
+	directory = pos - offset;
+
+	// End of central directory
+	long(0x06054b50);
+	short(0);
+	short(0);
+	short(entries.length);
+	short(entries.length);
+	long(directory);
+	long(offset);
+	short(0);
+
+	return bytes;
+};
+
+Export.utf8 = function(str) {
+	var binary = unescape(encodeURIComponent(String(str))),
+		bytes = new Uint8Array(binary.length);
+
+	for (var i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+};
+
+Export.crc32 = function(bytes) {
+	var table = Export.crcTable,
+		crc = -1,
+		i, j, c;
+
+	if (!table) {
+		table = Export.crcTable = [];
+		for (i = 0; i < 256; i++) {
+			c = i;
+			for (j = 0; j < 8; j++) {
+				c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			table[i] = c;
+		}
+	}
+
+	for (i = 0; i < bytes.length; i++) {
+		crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ -1) >>> 0;
+};
@@ -0,0 +1,303 @@
+/**
+ * An in-memory stand-in for Firebase and FirebaseAuthClient so the data layer
+ * can be exercised without hitting webernote.firebaseio.com. Load it after
+ * storage.js and either select it as the storage adapter:
+ *
+ *    var webernote = new Webernote('https://webernote.firebaseio.com/', true, 'mock');
+ *    webernote.firebase.context.seed('https://webernote.firebaseio.com/users', users);
+ *
+ * or swap it in for the real thing before anything creates a reference:
+ *
+ *    window.Firebase = MockFirebase;
+ *    window.FirebaseAuthClient = MockFirebaseAuthClient;
+ *
+ * References behave like the ones from storage.js (child, push, set, update,
+ * remove, on, off, once, name) and events fire synchronously, which keeps
+ * tests simple. Like Firebase's, and unlike those, they have transaction(),
+ * their update() only takes children, and locations can be made unreadable
+ * and unwritable to stand for security rules (see MockFirebase.Context.deny).
+ *
+ * @param    {string}    url         A Firebase URL. The host picks the tree,
+ *                                   the path the location within it.
+ *
+ * @param    {MockFirebase.Context}  context  The context holding the data.
+ *                                   Defaults to one shared by the whole page,
+ *                                   pass a new one to start from scratch.
+ * @return   {MockFirebase}
+ */
+
+function MockFirebase(url, context) {
+	var match = /^(?:https?:)?\/\/([^\/]+)\/?(.*)$/.exec(url || '');
+
+	if (!match) {
+		throw new Error('Invalid Firebase URL '+ url);
+	}
+
+	this.context = context || MockFirebase.defaultContext;
+	LocalRef.call(this, this.context.store(match[1]), LocalStore.split(match[2]));
+}
+
+(function() {
+	function Surrogate() {}
+	Surrogate.prototype = LocalRef.prototype;
+	MockFirebase.prototype = new Surrogate();
+	MockFirebase.prototype.constructor = MockFirebase;
+})();
+
+// Firebase's update() only takes children, see WebernoteStorage.update()
+MockFirebase.prototype.pathUpdates = false;
+
+/**
+ * A reference to another location of the same tree
+ */
+MockFirebase.prototype.at = function(path) {
+	var ref = new MockFirebase('//'+ this.store.key, this.context);
+
+	ref.path = path;
+	return ref;
+};
+MockFirebase.prototype.child = function(childPath) {
+	return this.at(this.path.concat(LocalStore.split(childPath)));
+};
+MockFirebase.prototype.parent = function() {
+	return this.path.length ? this.at(this.path.slice(0, -1)) : null;
+};
+MockFirebase.prototype.root = function() {
+	return this.at([]);
+};
+
+MockFirebase.prototype.set = function(value, onComplete) {
+	if (this.context.denies(this)) {
+		MockFirebase.denied(onComplete);
+		return;
+	}
+	LocalRef.prototype.set.call(this, value, onComplete);
+};
+
+MockFirebase.prototype.update = function(values, onComplete) {
+	for (var key in values) {
+		if (values.hasOwnProperty(key) && LocalStore.split(key).length !== 1) {
+			throw new Error('Firebase.update failed: First argument contains a path in "'+ key +'"');
+		}
+	}
+	if (this.context.denies(this)) {
+		MockFirebase.denied(onComplete);
+		return;
+	}
+	LocalRef.prototype.update.call(this, values, onComplete);
+};
+
+/**
+ * Reads are refused with a call to cancel, as Firebase does, where the
+ * context denies them
+ */
+MockFirebase.prototype.on = function(eventType, callback, cancel) {
+	if (this.context.denies(this)) {
+		MockFirebase.denied(cancel);
+		return callback;
+	}
+	return LocalRef.prototype.on.call(this, eventType, callback);
+};
+MockFirebase.prototype.once = function(eventType, callback, cancel) {
+	if (this.context.denies(this)) {
+		MockFirebase.denied(cancel);
+		return;
+	}
+	LocalRef.prototype.once.call(this, eventType, callback);
+};
+
+/**
+ * Replace the value with what update returns given the current one, or leave
+ * it when that's undefined. onComplete is called with (err, committed,
+ * snapshot). Nothing else writes meanwhile here, so it's never retried.
+ */
+MockFirebase.prototype.transaction = function(update, onComplete) {
+	var self = this;
+
+	if (self.context.denies(self)) {
+		MockFirebase.denied(onComplete);
+		return;
+	}
+
+	var value = update(LocalStore.normalize(self.store.get(self.path)));
+
+	function done(err) {
+		if (onComplete) {
+			onComplete(err, !err && value !== undefined, new LocalSnapshot(self.store, self.path, self.store.get(self.path)));
+		}
+	}
+
+	if (value === undefined) {
+		done(null);
+		return;
+	}
+	self.context.transactions++;
+	LocalRef.prototype.set.call(self, value, done);
+};
+
+/**
+ * Call back with the error Firebase gives when security rules refuse
+ */
+MockFirebase.denied = function(callback) {
+	var err = new Error('permission_denied');
+
+	err.code = 'PERMISSION_DENIED';
+	if (typeof callback === 'function') {
+		callback(err);
+	}
+};
+
+/**
+ * Unlike the local adapter only tokens handed out by the context are
+ * accepted, so the "stale token" branch of Webernote.login() can be tested.
+ */
+MockFirebase.prototype.auth = function(token, onComplete) {
+	var user = this.context.tokens.hasOwnProperty(token) ? this.context.tokens[token] : null;
+
+	this.store.token = user ? token : null;
+
+	if (typeof onComplete === 'function') {
+		if (user) {
+			onComplete(null, { auth: user });
+		} else {
+			onComplete(new Error('Invalid token'));
+		}
+	}
+};
+
+
+/**
+ * Holds the trees for every Firebase host along with the auth tokens issued
+ * for them.
+ */
+
+MockFirebase.Context = function() {
+	this.stores = {};
+	this.tokens = {};
+
+	// The locations reads and writes are refused at, see deny()
+	this.denied = [];
+
+	// How many transactions were committed
+	this.transactions = 0;
+
+	// Who MockFirebaseAuthClient logs in, set to null to make logins fail
+	this.user = {
+		id: 'mock',
+		name: 'Mock User'
+	};
+};
+MockFirebase.Context.prototype = {
+	store: function(host) {
+		if (!this.stores.hasOwnProperty(host)) {
+			this.stores[host] = new LocalStore(host, null);
+		}
+		return this.stores[host];
+	},
+
+	/**
+	 * Replace the data at url, e.g. with the contents of
+	 * webernote-users-export.json at https://webernote.firebaseio.com/users
+	 */
+	seed: function(url, data) {
+		LocalRef.prototype.set.call(new MockFirebase(url, this), data);
+	},
+
+	/**
+	 * Refuse reads and writes at url and below it, as security rules would
+	 */
+	deny: function(url) {
+		this.denied.push(new MockFirebase(url, this).toString());
+	},
+
+	denies: function(ref) {
+		var location = ref.toString();
+
+		for (var i = 0; i < this.denied.length; i++) {
+			if (location === this.denied[i] || location.indexOf(this.denied[i] +'/') === 0) {
+				return true;
+			}
+		}
+		return false;
+	},
+
+	/**
+	 * Fetch a JSON dump and seed it at url. onComplete(err) is called when
+	 * done.
+	 */
+	load: function(url, jsonUrl, onComplete) {
+		var self = this;
+
+		$.getJSON(jsonUrl, function(data) {
+			self.seed(url, data);
+			if (onComplete) {
+				onComplete(null);
+			}
+		}).fail(function() {
+			if (onComplete) {
+				onComplete(new Error('Could not load '+ jsonUrl));
+			}
+		});
+	},
+
+	/**
+	 * Issue a token for a user. Returns the token to pass to auth().
+	 */
+	addToken: function(user) {
+		var token = 'mock-token-'+ user.id +'-'+ new Date().getTime();
+
+		this.tokens[token] = user;
+		return token;
+	},
+
+	revokeTokens: function() {
+		this.tokens = {};
+	}
+};
+
+MockFirebase.defaultContext = new MockFirebase.Context();
+
+
+/**
+ * Stand-in for FirebaseAuthClient. login() succeeds straight away with the
+ * context's user, whatever the provider.
+ *
+ * @param    {MockFirebase}  ref         The root reference to log in to.
+ *
+ * @param    {Function}      onComplete  Called with (err, info) like the real
+ *                                       client.
+ */
+
+function MockFirebaseAuthClient(ref, onComplete) {
+	this.ref = ref;
+	this.onComplete = onComplete;
+}
+MockFirebaseAuthClient.prototype.login = function(provider) {
+	var context = this.ref.context || MockFirebase.defaultContext,
+		user = context.user;
+
+	if (!user) {
+		this.onComplete('Login with '+ provider +' was cancelled', null);
+		return;
+	}
+
+	this.onComplete(null, {
+		id: user.id,
+		name: user.name,
+		provider: provider,
+		firebaseAuthToken: context.addToken(user)
+	});
+};
+MockFirebaseAuthClient.prototype.logout = function() {
+	this.ref.unauth();
+};
+
+
+WebernoteStorage.mock = {
+	connect: function(baseUrl, newContext) {
+		return new MockFirebase(baseUrl, newContext ? new MockFirebase.Context() : null);
+	},
+	login: function(rootRef, provider, onComplete) {
+		new MockFirebaseAuthClient(rootRef, onComplete).login(provider);
+	}
+};
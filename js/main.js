@@ -10,13 +10,20 @@
  *
  * @param    {boolean}   newContext  Whether a new Firebase context is used.
  *                                   (Useful for testing only)
+ *
+ * @param    {string|Object} storage The storage adapter to use, either the
+ *                                   name of one in WebernoteStorage ('firebase',
+ *                                   'local', 'memory', or 'mock' when
+ *                                   firebase.memory.js is loaded) or an adapter
+ *                                   object. Defaults to 'firebase'.
  * @return   {Webernote}
  */
 
-function Webernote(baseUrl, newContext) {
+function Webernote(baseUrl, newContext, storage) {
 	this.name = null;
 	this.userId = null;
 	this.firebase = null;
+	this.storage = null;
 	this.mainUser = null;
 	this.fullName = null;
 
@@ -28,7 +35,12 @@ function Webernote(baseUrl, newContext) {
 	if (!baseUrl || typeof baseUrl !== 'string') {
 		throw new Error('Invalid baseUrl');
 	}
-	this.firebase = new Firebase(baseUrl, newContext || false ? new Firebase.Context() : null);
+
+	this.storage = (typeof storage === 'string') ? WebernoteStorage[storage] : (storage || WebernoteStorage.firebase);
+	if (!this.storage || typeof this.storage.connect !== 'function' || typeof this.storage.login !== 'function') {
+		throw new Error('Invalid storage adapter');
+	}
+	this.firebase = this.storage.connect(baseUrl, newContext || false);
 }
 Webernote.prototype = {
 	validateCallback: function(cb, notInit) {
@@ -51,9 +63,17 @@ Webernote.prototype = {
 			throw new Error('Invalid '+ name);
 		}
 	},
+	validateNoteIds: function(noteIds) {
+		if (!$.isArray(noteIds) || !noteIds.length) {
+			throw new Error('Invalid noteIds Array');
+		}
+		for (var i = 0; i < noteIds.length; i++) {
+			this.validateString(noteIds[i], 'noteId');
+		}
+	},
 	getParameterByName: function(name) {
 		var expr = '[?&]'+ name +'=([^&]*)',
-			match = RegExp().exec(window.location.search);
+			match = new RegExp(expr).exec(window.location.search);
 
 		return match && decodeURIComponent(match[1].replace(/\+/g, ' '));
 	}
@@ -67,11 +87,16 @@ Webernote.prototype = {
  *    id: userId
  *    name: A string suitable for greeting the user (usually first name)
  *    avatar: URL to a avatar of the user
+ *    migrationError: The Error of a migration that failed (see migrate()),
+ *        or null. The user is logged in anyway, on the tree as it was left.
+ *    legacy: The number of notes of the first version found, see
+ *        Webernote.MIGRATIONS
  *
  * Some methods on this object may not be called until login() has succeeded,
  * and are noted as such.
  *
- * The login is performed using Github or Twitter as the identity provider.
+ * The login is performed using Github or Twitter as the identity provider,
+ * or by the storage adapter itself when it doesn't need one (see storage.js).
  * A call to login() is done maybe twice in the app:
  * once to check if the user is logged in by passing the silent parameter as
  * true. If they are not, onComplete() will be invoked with an error, you may
@@ -104,15 +129,15 @@ Webernote.prototype.login = function(silent, onComplete) {
 			} else {
 				//console.log('clear');
 				// clear token and manually login
-				localStorage.clear();
+				self.clearSession();
 				self.login(silent, onComplete);
 			}
 		});
 		return;
 	}
 
-	// No token found and silent was false so use github to login
-	var authClient = new FirebaseAuthClient(self.firebase, function(err, info) {
+	// No token found and silent was false so use twitter to login
+	self.storage.login(self.firebase, 'Twitter', function(err, info) {
 		if (err) {
 			onComplete(new Error(err), false);
 			return;
@@ -127,43 +152,61 @@ Webernote.prototype.login = function(silent, onComplete) {
 		}
 	});
 
-	// Login with social sites
-	authClient.login('Twitter');
-	//authClient.login('github');
-
 	function finish() {
 		self.userId = localStorage.getItem('userId');
 		self.mainUser = self.firebase.child('users').child(self.userId);
+		self.notesRef = self.mainUser.child('notes');
+		self.tagsRef = self.mainUser.child('tags');
+		self.notebooksRef = self.mainUser.child('notebooks');
 		self.name = localStorage.getItem('name');
 
 		var userRef = self.firebase.child('users').child(self.userId);
 		//console.log(self, userRef);
 
-		userRef.once('value', function(userSnap) {
-			var info = {},
-				val = userSnap.val();
-
-			if (!val) {
-				// First login set user details
-				info = {
-					userId: self.userId,
-					name: self.name,
-					notes: self.userId,
-					tags: self.userId,
-					notebooks: self.userId
-				};
-				userRef.set(info);
-			} else {
-				info = val;
-			}
-
-			userRef.child('status').set('online');
-			onComplete(false, info);
+		self.userReady(function() {
+			userRef.once('value', function(userSnap) {
+				var info = {},
+					val = userSnap.val();
+
+				if (!val) {
+					// First login set user details, there's nothing to migrate
+					info = {
+						userId: self.userId,
+						name: self.name,
+						schema: Webernote.SCHEMA_VERSION
+					};
+					userRef.set(info);
+				} else {
+					info = val;
+				}
+
+				userRef.child('status').set('online');
+
+				self.migrate(function(err, result) {
+					info.migrationError = err || null;
+					info.legacy = result.legacy || 0;
+
+					self.purgeTrash(function() {
+						onComplete(false, info);
+					});
+				});
+			});
 		});
 	}
 };
 
 
+/**
+ * Forget the stored login. Only our own keys are removed since the local
+ * storage adapter keeps the notes themselves in localStorage too.
+ */
+
+Webernote.prototype.clearSession = function() {
+	localStorage.removeItem('authToken');
+	localStorage.removeItem('userId');
+	localStorage.removeItem('name');
+};
+
 /**
  * Logout the current user. The object may be reused after a logout(), but only
  * after a successful login() has been performed.
@@ -172,13 +215,16 @@ Webernote.prototype.login = function(silent, onComplete) {
 Webernote.prototype.logout = function() {
 	//console.log(this);
 	// reset all keys and user info
-	localStorage.clear();
+	this.clearSession();
 
 	var userRef = this.firebase.child('users').child(this.userId);
 	userRef.child('status').set('offline')
 	this.firebase.unauth();
 	// reset instance vars
 	this.mainUser = null;
+	this.notesRef = null;
+	this.tagsRef = null;
+	this.notebooksRef = null;
 	this.userId = null;
 	this.name = null;
 
@@ -308,6 +354,10 @@ Webernote.prototype.getTag = function(userId, tagId, onComplete) {
  * @param    {Object}    noteData   		A data object for each form field value.
  *
  * @param    {Function}  onComplete  		The callback to call when the save is done.
+ *
+ * @return   {string}                		The ID of the new note, available
+ *                                   		straight away so it can be shown
+ *                                   		before the save is done.
  */
 
 Webernote.prototype.save = function(userId, noteData, onComplete) {
@@ -316,8 +366,16 @@ Webernote.prototype.save = function(userId, noteData, onComplete) {
 	self.validateObject(noteData, 'noteData');
 	self.validateCallback(onComplete, true);
 
+	noteData.notebook = noteData.notebook || Webernote.DEFAULT_NOTEBOOK;
+	noteData.tags = Webernote.tagsObject(Webernote.normalizeTags(Webernote.parseTags(noteData.tags)));
+	noteData.format = Webernote.noteFormat(noteData);
+	if (noteData.format === 'rich') {
+		noteData.description = Sanitizer.notes.sanitize(noteData.description || '');
+	}
+
 	// Add to the users notes using push() to ensure a unique ID
-	var notesRef = self.firebase.child('users').child(userId).child('notes').push(),
+	var userRef = self.firebase.child('users').child(userId),
+		notesRef = userRef.child('notes').push(),
 		noteRefId = notesRef.name();
 
 	// Set the note
@@ -327,25 +385,124 @@ Webernote.prototype.save = function(userId, noteData, onComplete) {
 			return;
 		}
 
-		// Add reference to note just pushed by adding it to notes list of current user
-		var listNoteRef = self.mainUser.child('notes').child(noteRefId);
-		listNoteRef.set(true, function(err) {
+		// Add the noteId to noteData.notebook in notebooks for the user, this
+		// creates the notebook if it doesn't exist yet.
+		userRef.child('notebooks').child(noteData.notebook).child(noteRefId).set(noteRefId, function(err) {
 			if (err) {
 				onComplete(new Error('Could not save note'), false);
 				return;
 			}
 
-			// Check the user notebooks if noteData.notebook exists and add it if not. Once the
-			// notebook exists add the noteId to the noteData.notebook in notebooks for the user.
-			//self.mainUser.child('notebooks').child(noteData.notebook).set(true);
+			// Add the noteId to each of the note's tags
+			self.indexTags(noteRefId, [], Webernote.parseTags(noteData.tags), userRef.child('tags'));
+
+			// Done!
+			onComplete(false, noteRefId);
+		});
+	});
+
+	return noteRefId;
+};
+
+/**
+ * Save a list of notes, e.g. ones imported from Evernote (see Enex.notes()),
+ * one after the other. A note that can't be saved doesn't stop the others:
+ * the callback is called once all were tried, with (err, result), result
+ * being { imported, errors }: the IDs of the notes saved, and an
+ * { index, title, message } object for each note that wasn't.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     notes          Note data as for save().
+ *
+ * @param    {Array}     indexes        The index of each note in errors,
+ *                                      e.g. where it is in the file it came
+ *                                      from, or null to count from 1.
+ *
+ * @param    {Function}  onComplete     The callback to call when done.
+ */
+
+Webernote.prototype.importNotes = function(notes, indexes, onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+	if (!$.isArray(notes)) {
+		throw new Error('Invalid notes Array');
+	}
+
+	var result = { imported: [], errors: [] },
+		index = 0;
+
+	function failed(i, message) {
+		result.errors.push({ index: indexes ? indexes[i] : i + 1, title: notes[i] && notes[i].title, message: message });
+	}
+
+	// Saving the next note only once the last one is saved keeps a big
+	// import from blocking the page
+	function next() {
+		if (index >= notes.length) {
+			onComplete(false, result);
+			return;
+		}
+
+		var i = index++;
+
+		try {
+			self.save(self.userId, notes[i], function(err, noteId) {
+				if (err) {
+					failed(i, err.message);
+				} else {
+					result.imported.push(noteId);
+				}
+				setTimeout(next, 0);
+			});
+		} catch (e) {
+			failed(i, e.message);
+			setTimeout(next, 0);
+		}
+	}
+
+	next();
+};
+
+/**
+ * Read some of the current user's notes, e.g. to export them: all of them,
+ * or those in scope.notebook, tagged scope.tag or in scope.noteIds. The
+ * callback is called with (err, notes), oldest first, each with its ID in
+ * "id". Notes in the trash aren't included.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Object}    scope          { notebook }, { tag }, { noteIds } or
+ *                                      {} for all notes.
+ *
+ * @param    {Function}  onComplete     The callback to call with the notes.
+ */
+
+Webernote.prototype.getNotes = function(scope, onComplete) {
+	var self = this;
+	self.validateObject(scope, 'scope');
+	self.validateCallback(onComplete);
+
+	self.notesRef.once('value', function(notesSnap) {
+		var notes = [];
+
+		notesSnap.forEach(function(noteSnap) {
+			var note = noteSnap.val();
+
+			if ((scope.notebook && note.notebook !== scope.notebook) ||
+					(scope.tag && Webernote.parseTags(note.tags).indexOf(scope.tag) < 0) ||
+					(scope.noteIds && $.inArray(noteSnap.name(), scope.noteIds) < 0)) {
+				return;
+			}
 
-			// Check the user tags for noteData.tags once the string is split(', ') up and add if
-			// any tags don't exist. Add the noteId to each tag in the user's tags as a new record.
-			//self.mainUser.child('tags').child(noteData.tags).set(true);
+			note.id = noteSnap.name();
+			notes.push(note);
 		});
 
-		// Done!
-		onComplete(false, noteRefId);
+		notes.sort(function(a, b) {
+			return (a.created || 0) - (b.created || 0);
+		});
+		onComplete(false, notes);
 	});
 };
 
@@ -374,553 +531,5172 @@ Webernote.prototype.onNote = function(onComplete) {
 	self.tagsRef = self.mainUser.child('tags');
 	self.notebooksRef = self.mainUser.child('notebooks');
 
-	self.notesRef.on('child_added', function(noteSnap) {
+	self.listen(self.notesRef, 'child_added', function(noteSnap) {
 		onComplete(noteSnap.name(), noteSnap.val(), noteSnap);
 	});
 };
 
-Webernote.prototype.onTag = function(tags, noteId, onComplete) {
+/**
+ * Register a callback to be notified whenever one of the current user's notes
+ * is edited, with the same arguments as onNote().
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onNoteChanged = function(onComplete) {
 	var self = this;
 
 	self.validateCallback(onComplete);
 
-	for (var i = 0; i < tags.length; i++) {
-		var tag = tags[i];
-
-		self.tagsRef.child(tag).child(noteId).set(noteId);
-	}
-
-	self.tagsRef.on('child_added', function(tagsSnap) {
-		onComplete(tagsSnap.name(), tagsSnap);
+	self.listen(self.notesRef, 'child_changed', function(noteSnap) {
+		onComplete(noteSnap.name(), noteSnap.val(), noteSnap);
 	});
 };
 
-Webernote.prototype.onNotebook = function(onComplete) {
+/**
+ * Register a callback to be notified whenever one of the current user's notes
+ * is deleted, with the same arguments as onNote().
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every removal.
+ */
+
+Webernote.prototype.onNoteRemoved = function(onComplete) {
 	var self = this;
 
 	self.validateCallback(onComplete);
 
-	self.notebooksRef = self.mainUser.child('notebooks');
-	self.notebooksRef.on('child_added', function(notebookSnap) {
-		onComplete(notebookSnap.name(), notebookSnap.val())
+	self.listen(self.notesRef, 'child_removed', function(noteSnap) {
+		onComplete(noteSnap.name(), noteSnap.val(), noteSnap);
 	});
 };
 
-Webernote.prototype.keyExists = function(key, search) {
-    if (!search || (search.constructor !== Array && search.constructor !== Object)) {
-        return false;
-    }
-    for (var i = 0; i < search.length; i++) {
-        if (search[i] === key) {
-            return true;
-        }
-    }
-    return key in search;
-};
-
 /**
- * Unload all event handlers currently registered. You must call this function
- * when you no longer want to receive updates. This is especially important
- * for single page apps, when transistioning between views. It is safe to
- * reuse the Webernote object after calling this and registering new handlers.
+ * Register a callback to be notified whenever one of the current user's tags
+ * is first used, gets notes added or removed, or is no longer used by any
+ * note. The function will be invoked with three arguments: the tag, the
+ * number of notes with it and the Firebase event type ("child_added",
+ * "child_changed" or "child_removed").
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
  */
 
-Webernote.prototype.unload = function() {
-	for (var i = 0; i < this.handlers.length; i++) {
-		var ref = this.handlers[i].ref,
-			handler = this.handlers[i].handler,
-			eventType = this.handlers[i].eventType;
+Webernote.prototype.onTag = function(onComplete) {
+	var self = this;
 
-		ref.off(eventType, handler);
+	self.validateCallback(onComplete);
+
+	self.tagsRef = self.mainUser.child('tags');
+
+	function listen(eventType) {
+		self.listen(self.tagsRef, eventType, function(tagsSnap) {
+			onComplete(tagsSnap.name(), tagsSnap.numChildren(), eventType);
+		});
 	}
-	this.handlers = [];
+	listen('child_added');
+	listen('child_changed');
+	listen('child_removed');
 };
 
+/**
+ * Turn the tags field of a note into an Array of tags. Notes store them as an
+ * object keyed by tag, older ones as a comma separated string.
+ *
+ * @param    {Object|string|Array} tags  The tags field of a note.
+ *
+ * @return   {Array}
+ */
 
-/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
-/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
-/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+Webernote.parseTags = function(tags) {
+	var list = [],
+		result = [],
+		i;
 
-function WebernoteUI() {
-	this.limit = 150;
-	this.loggedIn = false;
-	this.webernote = new Webernote('https://webernote.firebaseio.com/');
-	this.unload = null;
+	if (typeof tags === 'string') {
+		list = tags.split(',');
+	}
+	else if (tags && tags.constructor === Array) {
+		list = tags;
+	}
+	else if (tags && typeof tags === 'object') {
+		for (var key in tags) {
+			if (tags.hasOwnProperty(key)) {
+				list.push(key);
+			}
+		}
+	}
 
-	// Setup page navigation
-	//this.setupHandlers();
+	for (i = 0; i < list.length; i++) {
+		var tag = String(list[i]).replace(/^\s+|\s+$/g, '');
 
-	// Setup History listener
-	var self = this;
-	window.History.Adapter.bind(window, 'statechange', function() {
-		self.pageController(window.History.getState().hash, false);
-	});
+		if (tag && result.indexOf(tag) < 0) {
+			result.push(tag);
+		}
+	}
+	return result;
+};
 
-	// Check if user logged in or not with silent login
-	self.login(function(info) {
-		//console.log(info);
+/**
+ * Clean up a tag as typed by the user: trimmed, lowercase, single spaces, and
+ * the characters Firebase doesn't allow in keys replaced by dashes. Returns
+ * an empty string when nothing is left.
+ *
+ * @param    {string}    tag
+ *
+ * @return   {string}
+ */
 
-		self.loggedIn = info;
-		self.pageController(window.History.getState().hash);
-	});
-}
+Webernote.normalizeTag = function(tag) {
+	return String(tag || '')
+		.toLowerCase()
+		.replace(/[.#$\[\]\/,]/g, '-')
+		.replace(/\s+/g, ' ')
+		.replace(/^\s+|\s+$/g, '');
+};
 
-WebernoteUI.prototype.setupHandlers = function() {
-	var self = this;
+/**
+ * Normalize and dedupe a list of tags.
+ */
 
-	/* Profile */
-	$('.profile a').on('click', function(e) {
-		e.preventDefault();
-		self.goProfile($(this).attr('href'));
-	});
+Webernote.normalizeTags = function(tags) {
+	var result = [];
 
-	/* Left Navigation links */
-	/*$('.notebooks a').on('click', function(e) {
-		e.preventDefault();
-		self.goShowNotebooks($(this).attr('href'));
-	});*/
-	/*$('.tags a').on('click', function(e) {
-		e.preventDefault();
-		self.goShowTags($(this).attr('href'));
-	});*/
-	/*$('.attributes a').on('click', function(e) {
-		e.preventDefault();
-		self.goShowAttributes($(this).attr('href'));
-	});*/
+	for (var i = 0; i < tags.length; i++) {
+		var tag = Webernote.normalizeTag(tags[i]);
+
+		if (tag && result.indexOf(tag) < 0) {
+			result.push(tag);
+		}
+	}
+	return result;
 };
 
-WebernoteUI.prototype.pageController = function(url) {
-	// Extract any sub page from url
-	var idx = url.indexOf('?'),
-		hash = (idx > 0) ? url.slice(idx + 1) : '',
-		value = hash.split('=');
+/**
+ * The stored form of a list of tags, { tag: tag, ... }
+ */
 
-	this.unload && this.unload();
+Webernote.tagsObject = function(tags) {
+	var result = {};
 
-	switch (value[0]) {
-		case 'profile':
-			if (!value[0]) {
-				this.unload = this.notFound();
-			} else {
-				this.unload = this.renderProfile(value[1]);
-			}
-		break;
-		case 'user':
-			if (!value[0]) {
-				this.unload = this.notFound();
-			} else {
-				this.unload = this.renderUserNotes(this.loggedIn);
-			}
-		break;
-		case 'note':
-		default:
-			if (this.loggedIn) {
-				this.unload = this.renderUserNotes(this.loggedIn);
-			} else {
-				this.unload = this.renderHome();
-			}
-		break;
+	for (var i = 0; i < tags.length; i++) {
+		result[tags[i]] = tags[i];
 	}
+	return result;
 };
 
-WebernoteUI.prototype.formatDate = function(timeStamp) {
-	var date = new Date(timeStamp);
-	return date.getMonth() + 1 + '/' + date.getDate() + '/' + date.getFullYear();
-};
+/**
+ * Update the tag index for a note going from oldTags to newTags. Tags the
+ * note no longer has lose its noteId, and once a tag has no notes left
+ * Firebase drops it, which fires child_removed on the tags.
+ *
+ * @param    {string}    noteId      The ID of the note.
+ *
+ * @param    {Array}     oldTags     The tags the note had.
+ *
+ * @param    {Array}     newTags     The tags the note has now.
+ *
+ * @param    {Firebase}  tagsRef     The tags of the user, defaults to the
+ *                                   current user's.
+ */
 
-WebernoteUI.prototype.layout = function() {
-	var tdHeight = window.innerHeight - $('td').position().top - 20,
-		noteNavLinks = $('#note-nav li').find('a'),
-		desc = $('#notes').find('.description');
+Webernote.prototype.indexTags = function(noteId, oldTags, newTags, tagsRef) {
+	var i;
 
-	// Fix column heights
-	$('td').height(tdHeight);
-	$('#note-nav, #note-list, #show-note').height(tdHeight - 10);
-	$('form').height(tdHeight - 23);
+	tagsRef = tagsRef || this.tagsRef;
 
-	// Make columns resizable
-	$('#resizable').colResizable({
-		minWidth: 60,
-		liveDrag: true,
-		draggingClass: 'dragging',
-		onResize: function(e) {
-			var columns = $(e.currentTarget).find('th, td');
+	for (i = 0; i < oldTags.length; i++) {
+		if (newTags.indexOf(oldTags[i]) < 0 && Webernote.isValidKey(oldTags[i])) {
+			tagsRef.child(oldTags[i]).child(noteId).remove();
 		}
-	});
-
-	// Unused toolbar nav idk what to do with yet
-	 $('#toolbar').find('a').on('click', function(e) {
-		e.preventDefault();
-	});
-
-	// Fix left nav arrows so they work right when empty
-	for (var i = 0; i < noteNavLinks.length; i++) {
-		var noteNavLink = noteNavLinks[i];
-		if ($(noteNavLink).siblings('ul').length === 0) {
-			$(noteNavLink).css({
-				background: 'none',
-				padding: 0
-			});
+	}
+	for (i = 0; i < newTags.length; i++) {
+		if (oldTags.indexOf(newTags[i]) < 0) {
+			tagsRef.child(newTags[i]).child(noteId).set(noteId);
 		}
 	}
+};
 
-	// Expand / contract note nav
-	$('#note-nav').find('a').on('click', function(e) {
-		e.preventDefault();
-
-		if ($(this).parent().hasClass('expanded')) {
-			$(this).parent().removeClass('expanded');
+/**
+ * Replace the description of a note, and its format. Rich text is sanitized
+ * first. The callback is called with (err, description).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId      The ID of the note.
+ *
+ * @param    {string}    description The new description.
+ *
+ * @param    {string}    format      One of Webernote.FORMATS.
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+
+Webernote.prototype.setDescription = function(noteId, description, format, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	format = Webernote.noteFormat({ format: format });
+	description = description || '';
+	if (format === 'rich') {
+		description = Sanitizer.notes.sanitize(description);
+	}
+
+	var noteRef = self.notesRef.child(noteId);
+
+	noteRef.child('description').set(description);
+	noteRef.child('format').set(format);
+	noteRef.child('modified').set(new Date().getTime(), function(err) {
+		onComplete(err ? new Error('Could not save note') : false, description);
+	});
+};
+
+/**
+ * Replace the tags of a note, keeping the tag index in step. The tags are
+ * normalized first, the callback is called with (err, tags).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId      The ID of the note.
+ *
+ * @param    {Array}     tags        The new tags of the note.
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+
+Webernote.prototype.setTags = function(noteId, tags, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	tags = Webernote.normalizeTags(tags);
+
+	var noteRef = self.notesRef.child(noteId);
+	noteRef.once('value', function(snap) {
+		var note = snap.val();
+
+		if (!note) {
+			onComplete(new Error('Note '+ noteId +' does not exist'), false);
+			return;
+		}
+
+		self.indexTags(noteId, Webernote.parseTags(note.tags), tags);
+
+		noteRef.child('tags').set(Webernote.tagsObject(tags));
+		noteRef.child('modified').set(new Date().getTime(), function(err) {
+			onComplete(err ? new Error('Could not save tags') : false, tags);
+		});
+	});
+};
+
+/**
+ * Register a callback to be notified whenever one of the current user's
+ * notebooks is created, gets notes added or removed, or is deleted. The
+ * function will be invoked with three arguments: the notebook name, the
+ * number of notes in it and the Firebase event type ("child_added",
+ * "child_changed" or "child_removed").
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onNotebook = function(onComplete) {
+	var self = this;
+
+	self.validateCallback(onComplete);
+
+	self.notebooksRef = self.mainUser.child('notebooks');
+
+	function listen(eventType) {
+		self.listen(self.notebooksRef, eventType, function(notebookSnap) {
+			onComplete(notebookSnap.name(), notebookSnap.numChildren(), eventType);
+		});
+	}
+	listen('child_added');
+	listen('child_changed');
+	listen('child_removed');
+};
+
+/**
+ * The version of the layout of a user's tree this code reads and writes. It's
+ * kept in users/<id>/schema, and older trees are brought up to it on login by
+ * Webernote.MIGRATIONS (see migrate()).
+ */
+
+Webernote.SCHEMA_VERSION = 4;
+
+/**
+ * Upgrades of a user's tree, MIGRATIONS[n] turning version n into n + 1. Each
+ * is called on the Webernote instance with a callback taking (err) and the
+ * result migrate() passes on, to note what it found. It must leave data
+ * that's already upgraded alone, and only call back once its writes are
+ * done: the version is stored after that, so one that was interrupted or
+ * failed runs again.
+ */
+
+Webernote.MIGRATIONS = [
+	// 0 to 1: first logins stored the userId in place of the notes, tags and
+	// notebooks lists
+	function(onComplete) {
+		var self = this;
+
+		self.mainUser.once('value', function(userSnap) {
+			var user = userSnap.val() || {},
+				changes = {};
+
+			$.each(['notes', 'tags', 'notebooks'], function(i, name) {
+				if (user[name] !== undefined && (!user[name] || typeof user[name] !== 'object')) {
+					changes[name] = null;
+				}
+			});
+
+			if ($.isEmptyObject(changes)) {
+				onComplete(false);
+				return;
+			}
+			WebernoteStorage.update(self.mainUser, changes, function(err) {
+				onComplete(err ? new Error('Could not remove placeholders') : false);
+			});
+		});
+	},
+
+	// 1 to 2: the first version (main.2.js) kept notes, tags and notebooks at
+	// the top of the tree. It had no logins, so its notes have no owner or
+	// author field and none of them can be told to be this user's: they're
+	// left where they are and counted in result.legacy, for the user to be
+	// told. Firebase rules may not let them be read at all, and adapters that
+	// only keep the user's own tree (see sync.js) have none, which both count
+	// as none.
+	function(onComplete, result) {
+		this.firebase.child('notes').once('value', function(notesSnap) {
+			result.legacy = notesSnap.numChildren();
+			onComplete(false);
+		}, function() {
+			result.legacy = 0;
+			onComplete(false);
+		});
+	},
+
+	// 2 to 3: notes kept their tags as a comma separated string, they're
+	// normalized, indexed and stored as { tag: tag }
+	function(onComplete) {
+		var self = this;
+
+		self.mainUser.once('value', function(userSnap) {
+			var user = userSnap.val() || {},
+				changes = {};
+
+			$.each(user.notes || {}, function(noteId, note) {
+				if (!note || typeof note.tags !== 'string') {
+					return;
+				}
+
+				var oldTags = Webernote.parseTags(note.tags),
+					newTags = Webernote.normalizeTags(oldTags);
+
+				// The old index may be missing entries so write them all again
+				$.each(oldTags, function(i, tag) {
+					if (Webernote.isValidKey(tag)) {
+						changes['tags/'+ tag +'/'+ noteId] = null;
+					}
+				});
+				$.each(newTags, function(i, tag) {
+					changes['tags/'+ tag +'/'+ noteId] = noteId;
+				});
+				changes['notes/'+ noteId +'/tags'] = Webernote.tagsObject(newTags);
+			});
+
+			if ($.isEmptyObject(changes)) {
+				onComplete(false);
+				return;
+			}
+			WebernoteStorage.update(self.mainUser, changes, function(err) {
+				onComplete(err ? new Error('Could not convert tags') : false);
+			});
+		});
+	},
+
+	// 3 to 4: the notebook and tag indexes are made to match the notes. Notes
+	// missing from them, e.g. the ones of the first version, are added, and
+	// entries of notes that are gone or were moved or retagged are removed.
+	// Notes without a notebook that can be used go to the default one.
+	function(onComplete) {
+		var self = this;
+
+		self.mainUser.once('value', function(userSnap) {
+			var user = userSnap.val() || {},
+				notes = user.notes || {},
+				notebooks = user.notebooks || {},
+				tags = user.tags || {},
+				homes = {},
+				changes = {};
+
+			$.each(notes, function(noteId, note) {
+				var notebook = note.notebook;
+
+				if (!Webernote.isValidKey(notebook)) {
+					notebook = Webernote.DEFAULT_NOTEBOOK;
+					changes['notes/'+ noteId +'/notebook'] = notebook;
+				}
+				homes[noteId] = notebook;
+
+				if (!notebooks[notebook] || notebooks[notebook][noteId] !== noteId) {
+					changes['notebooks/'+ notebook +'/'+ noteId] = noteId;
+				}
+
+				$.each(Webernote.parseTags(note.tags), function(i, tag) {
+					if (Webernote.isValidKey(tag) && (!tags[tag] || tags[tag][noteId] !== noteId)) {
+						changes['tags/'+ tag +'/'+ noteId] = noteId;
+					}
+				});
+			});
+
+			$.each(notebooks, function(notebook, noteIds) {
+				if (!noteIds || typeof noteIds !== 'object') {
+					return;
+				}
+
+				var stale = [],
+					used = false;
+
+				$.each(homes, function(noteId, home) {
+					used = used || home === notebook;
+				});
+				$.each(noteIds, function(noteId) {
+					if (homes[noteId] !== notebook) {
+						stale.push(noteId);
+					}
+				});
+
+				// A notebook left without notes stays, as with unindexNotebook()
+				if (!used) {
+					changes['notebooks/'+ notebook] = true;
+					return;
+				}
+				$.each(stale, function(i, noteId) {
+					changes['notebooks/'+ notebook +'/'+ noteId] = null;
+				});
+			});
+
+			$.each(tags, function(tag, noteIds) {
+				$.each(noteIds && typeof noteIds === 'object' ? noteIds : {}, function(noteId) {
+					if (!notes[noteId] || $.inArray(tag, Webernote.parseTags(notes[noteId].tags)) < 0) {
+						changes['tags/'+ tag +'/'+ noteId] = null;
+					}
+				});
+			});
+
+			if ($.isEmptyObject(changes)) {
+				onComplete(false);
+				return;
+			}
+			WebernoteStorage.update(self.mainUser, changes, function(err) {
+				onComplete(err ? new Error('Could not index notes') : false);
+			});
+		});
+	}
+];
+
+/**
+ * Bring the current user's tree up to Webernote.SCHEMA_VERSION, running the
+ * migrations it needs in order. Called on every login, it does nothing when
+ * the tree is up to date. The callback is called with (err, result), result
+ * being { from, to, legacy }: the versions before and after, and when the
+ * tree was checked for them the number of notes of the first version, which
+ * are left where they are.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+
+Webernote.prototype.migrate = function(onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+
+	var schemaRef = self.mainUser.child('schema');
+
+	schemaRef.once('value', function(schemaSnap) {
+		var from = schemaSnap.val() || 0,
+			result = { from: from, to: from };
+
+		function next() {
+			if (result.to >= Webernote.MIGRATIONS.length) {
+				onComplete(false, result);
+				return;
+			}
+
+			Webernote.MIGRATIONS[result.to].call(self, function(err) {
+				if (err) {
+					onComplete(err, result);
+					return;
+				}
+
+				schemaRef.set(result.to + 1, function(err) {
+					if (err) {
+						onComplete(new Error('Could not save the schema version'), result);
+						return;
+					}
+					result.to++;
+					next();
+				});
+			}, result);
+		}
+
+		next();
+	});
+};
+
+/**
+ * Notebooks are indexed the same way tags are, as
+ * users/<id>/notebooks/<notebook>/<noteId> = noteId. A notebook without any
+ * notes is stored as true so it still exists.
+ */
+
+Webernote.DEFAULT_NOTEBOOK = 'My Notebook';
+
+/**
+ * Whether a name can be used as a notebook or tag. Firebase doesn't allow
+ * . # $ [ ] or / in keys.
+ */
+
+Webernote.isValidKey = function(name) {
+	return typeof name === 'string' && name !== '' && !/[.#$\[\]\/]/.test(name);
+};
+
+/**
+ * How a note's description is written: 'rich' text (sanitized HTML from the
+ * editor), 'markdown' or 'plain' text. Notes from before there was a choice
+ * are rich text.
+ */
+
+Webernote.FORMATS = ['rich', 'markdown', 'plain'];
+
+Webernote.noteFormat = function(note) {
+	return ($.inArray(note.format, Webernote.FORMATS) >= 0) ? note.format : 'rich';
+};
+
+/**
+ * A note's description as HTML that's safe to put on the page
+ */
+
+Webernote.descriptionHTML = function(note) {
+	switch (Webernote.noteFormat(note)) {
+		case 'markdown':
+			return Sanitizer.notes.sanitize(Markdown.toHTML(note.description));
+		case 'plain':
+			return Sanitizer.escape(note.description || '').replace(/\n/g, '<br>');
+	}
+	return Sanitizer.notes.sanitize(note.description || '');
+};
+
+/**
+ * A note's description as text, for the note list
+ */
+
+Webernote.descriptionText = function(note) {
+	return Sanitizer.notes.text(Webernote.descriptionHTML(note));
+};
+
+/**
+ * A note's description in another format. Rich text becomes text with its
+ * line breaks and checkboxes, text becomes rich text as it's shown, and
+ * Markdown and plain text keep what was typed.
+ */
+
+Webernote.convertDescription = function(note, format) {
+	var from = Webernote.noteFormat(note);
+
+	if (from === format) {
+		return note.description || '';
+	}
+	if (format === 'rich') {
+		return Webernote.descriptionHTML(note);
+	}
+	if (from === 'rich') {
+		return Sanitizer.notes.text(Sanitizer.notes.sanitize(note.description || '')
+			.replace(/<input[^>]*>/g, function(input) {
+				return /checked/.test(input) ? '[x] ' : '[ ] ';
+			}), true);
+	}
+	return note.description || '';
+};
+
+/**
+ * Where a note came from: 'web' for web clips, 'import' for imported notes
+ * and 'manual' for notes written in Webernote. Notes saved before the source
+ * was recorded count as web clips when they have a URL.
+ */
+
+Webernote.noteSource = function(note) {
+	return note.source || (note.url ? 'web' : 'manual');
+};
+
+/**
+ * Every URL of a note, its url first. Merged notes keep the URLs of the notes
+ * they were made of in "urls" too, which Firebase may give back as an object.
+ */
+
+Webernote.noteUrls = function(note) {
+	var urls = [];
+
+	$.each([note.url].concat($.map(note.urls || [], function(url) { return url; })), function(i, url) {
+		url = $.trim(url || '');
+		if (url && $.inArray(url, urls) < 0) {
+			urls.push(url);
+		}
+	});
+	return urls;
+};
+
+/**
+ * Whether a note has a 'url', a 'description', 'tags' or 'checkboxes' in its
+ * description, as used by the "Contains" attribute filter.
+ */
+
+Webernote.noteContains = function(note, what) {
+	var description = String(note.description || '');
+
+	switch (what) {
+		case 'url':
+			return $.trim(note.url || '') !== '';
+		case 'description':
+			return $.trim(description.replace(/<[^>]*>|&nbsp;/g, '')) !== '';
+		case 'tags':
+			return Webernote.parseTags(note.tags).length > 0;
+		case 'checkboxes':
+			// <input type="checkbox"> in rich text, [ ] task lists in Markdown
+			return /<input[^>]+type=["']?checkbox/i.test(description) ||
+				/^\s*[-*+] \[[ xX]\]/m.test(description);
+	}
+	return false;
+};
+
+/**
+ * Create an empty notebook unless one with that name already exists. The
+ * callback is called with (err, notebook).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    notebook        The name of the new notebook.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.createNotebook = function(notebook, onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+
+	if (!Webernote.isValidKey(notebook)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+
+	var notebookRef = self.notebooksRef.child(notebook);
+	notebookRef.once('value', function(snap) {
+		if (snap.val() !== null) {
+			onComplete(false, notebook);
+			return;
+		}
+
+		notebookRef.set(true, function(err) {
+			onComplete(err ? new Error('Could not create notebook') : false, notebook);
+		});
+	});
+};
+
+/**
+ * Remove a note from a notebook's index, leaving the notebook in place when
+ * it was the last note in it.
+ */
+
+Webernote.prototype.unindexNotebook = function(notebook, noteId, onComplete) {
+	var notebookRef = this.notebooksRef.child(notebook);
+
+	notebookRef.once('value', function(snap) {
+		var val = snap.val();
+
+		if (val && typeof val === 'object' && snap.numChildren() === 1 && val[noteId]) {
+			notebookRef.set(true, onComplete);
+		} else if (val && typeof val === 'object') {
+			notebookRef.child(noteId).remove(onComplete);
+		} else if (onComplete) {
+			onComplete(null);
+		}
+	});
+};
+
+/**
+ * Move a note to another notebook, creating the notebook if needed. The
+ * callback is called with (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to move.
+ *
+ * @param    {string}    notebook        The notebook to move it to.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.moveNote = function(noteId, notebook, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	if (!Webernote.isValidKey(notebook)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+
+	// The note and both indexes go in one batch, see NoteBatch
+	self.batch(function(batch) {
+		var note = batch.notes[noteId];
+
+		if (!note) {
+			return new Error('Note '+ noteId +' does not exist');
+		}
+		if (note.notebook !== notebook) {
+			batch.setNote(noteId, $.extend({}, note, { notebook: notebook, modified: new Date().getTime() }));
+		}
+	}, 'Could not move note', function(err) {
+		onComplete(err, err ? false : noteId);
+	});
+};
+
+/**
+ * Rename a notebook, updating every note in it. Renaming to an existing
+ * notebook merges the two. The callback is called with (err, notebook).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    notebook        The current name of the notebook.
+ *
+ * @param    {string}    newName         The name to give it.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.renameNotebook = function(notebook, newName, onComplete) {
+	var self = this;
+	self.validateString(notebook, 'notebook');
+	self.validateCallback(onComplete);
+
+	if (!Webernote.isValidKey(newName)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+	if (notebook === newName) {
+		onComplete(false, newName);
+		return;
+	}
+
+	var now = new Date().getTime();
+
+	// The notes and both notebooks go in one batch, see NoteBatch. Notes are
+	// found by their notebook rather than by the index, which may have stale
+	// entries.
+	self.batch(function(batch) {
+		var found = !!batch.user.notebooks && batch.user.notebooks.hasOwnProperty(notebook);
+
+		$.each(batch.notes, function(noteId, note) {
+			if (note.notebook === notebook) {
+				batch.setNote(noteId, $.extend({}, note, { notebook: newName, modified: now }));
+				found = true;
+			}
+		});
+		if (!found) {
+			return new Error('Notebook '+ notebook +' does not exist');
+		}
+
+		batch.createNotebook(newName);
+		batch.removeNotebook(notebook);
+	}, 'Could not rename notebook', function(err) {
+		onComplete(err, err ? false : newName);
+	});
+};
+
+/**
+ * Delete a notebook. Its notes are either moved to another notebook or to
+ * the Trash. The callback is called with (err, notebook).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    notebook        The notebook to delete.
+ *
+ * @param    {string}    moveTo          The notebook to move the notes to, or
+ *                                       null to move them to the Trash.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.deleteNotebook = function(notebook, moveTo, onComplete) {
+	var self = this;
+	self.validateString(notebook, 'notebook');
+	self.validateCallback(onComplete);
+
+	if (moveTo === notebook) {
+		onComplete(new Error('Cannot move notes to the notebook being deleted'), false);
+		return;
+	}
+	if (moveTo && !Webernote.isValidKey(moveTo)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+
+	var now = new Date().getTime();
+
+	// The notes and the notebook go in one batch, see NoteBatch
+	self.batch(function(batch) {
+		$.each(batch.notes, function(noteId, note) {
+			if (note.notebook !== notebook) {
+				return;
+			}
+
+			if (moveTo) {
+				batch.setNote(noteId, $.extend({}, note, { notebook: moveTo, modified: now }));
+			} else {
+				batch.setNote(noteId, null);
+				batch.setTrash(noteId, $.extend({}, note, { deleted: now }));
+			}
+		});
+		batch.removeNotebook(notebook);
+	}, 'Could not delete notebook', function(err) {
+		onComplete(err, err ? false : notebook);
+	});
+};
+
+/**
+ * Delete a note and remove it from its notebook and tags, skipping the
+ * Trash. The callback is called with (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to delete.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.removeNote = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	var noteRef = self.notesRef.child(noteId);
+	noteRef.once('value', function(snap) {
+		var note = snap.val();
+
+		if (note && note.notebook) {
+			self.unindexNotebook(note.notebook, noteId);
+		}
+		if (note) {
+			self.indexTags(noteId, Webernote.parseTags(note.tags), []);
+		}
+
+		self.mainUser.child('history').child(noteId).remove();
+		noteRef.remove(function(err) {
+			onComplete(err ? new Error('Could not delete note') : false, noteId);
+		});
+	});
+};
+
+/**
+ * Earlier versions of a note are kept in users/<id>/history/<noteId>/<pushId>
+ * with the fields in Webernote.REVISION_FIELDS, the note's modified time and
+ * the time they were kept ("saved"). A revision is kept when a note is about
+ * to be edited, at most once every Webernote.REVISION_INTERVAL, so edits made
+ * close together end up in one revision. The history goes when the note is
+ * deleted for good.
+ */
+
+Webernote.REVISION_FIELDS = ['title', 'notebook', 'url', 'tags', 'description', 'format'];
+
+Webernote.REVISION_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * The fields of a note kept in its history
+ */
+Webernote.revision = function(note) {
+	var revision = {};
+
+	$.each(Webernote.REVISION_FIELDS, function(i, field) {
+		revision[field] = note[field] || '';
+	});
+	revision.tags = Webernote.tagsObject(Webernote.parseTags(note.tags));
+	revision.format = Webernote.noteFormat(note);
+	revision.modified = note.modified || 0;
+	return revision;
+};
+
+/**
+ * Whether two versions of a note have the same fields
+ */
+Webernote.sameRevision = function(a, b) {
+	a = Webernote.revision(a);
+	b = Webernote.revision(b);
+
+	for (var i = 0; i < Webernote.REVISION_FIELDS.length; i++) {
+		var field = Webernote.REVISION_FIELDS[i];
+
+		if (field === 'tags' ? Webernote.parseTags(a.tags).sort().join(' ') !== Webernote.parseTags(b.tags).sort().join(' ') : a[field] !== b[field]) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Keep a note as it is now in its history, unless a revision was kept less
+ * than Webernote.REVISION_INTERVAL ago or the last one is the same. The
+ * callback is called with (err, revisionId), revisionId being null when
+ * nothing was kept.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note.
+ *
+ * @param    {boolean}   force           Whether to keep a revision even when
+ *                                       the last one is recent.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.saveRevision = function(noteId, force, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	self.getRevisions(noteId, function(err, revisions) {
+		var last = revisions[revisions.length - 1];
+
+		if (!force && last && new Date().getTime() - last.saved < Webernote.REVISION_INTERVAL) {
+			onComplete(false, null);
+			return;
+		}
+
+		self.notesRef.child(noteId).once('value', function(snap) {
+			var note = snap.val();
+
+			if (!note) {
+				onComplete(new Error('Note '+ noteId +' does not exist'), null);
+				return;
+			}
+			if (last && Webernote.sameRevision(last, note)) {
+				onComplete(false, null);
+				return;
+			}
+
+			var revision = Webernote.revision(note),
+				revisionRef = self.mainUser.child('history').child(noteId).push();
+
+			revision.saved = new Date().getTime();
+			revisionRef.set(revision, function(err) {
+				onComplete(err ? new Error('Could not save revision') : false, err ? null : revisionRef.name());
+			});
+		});
+	});
+};
+
+/**
+ * Read the history of a note. The callback is called with (err, revisions),
+ * the revisions oldest first, each with its ID in "id".
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note.
+ *
+ * @param    {Function}  onComplete      The callback to call with the history.
+ */
+
+Webernote.prototype.getRevisions = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('history').child(noteId).once('value', function(historySnap) {
+		var revisions = [];
+
+		historySnap.forEach(function(revisionSnap) {
+			var revision = revisionSnap.val();
+
+			if (revision && typeof revision === 'object') {
+				revision.id = revisionSnap.name();
+				revisions.push(revision);
+			}
+		});
+		revisions.sort(function(a, b) {
+			return (a.saved || 0) - (b.saved || 0);
+		});
+		onComplete(false, revisions);
+	});
+};
+
+/**
+ * Bring a note back to one of its revisions. What it is now is kept in its
+ * history first, so restoring can be undone. The callback is called with
+ * (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note.
+ *
+ * @param    {string}    revisionId      The ID of the revision to restore.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.restoreRevision = function(noteId, revisionId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateString(revisionId, 'revisionId');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('history').child(noteId).child(revisionId).once('value', function(snap) {
+		var revision = snap.val();
+
+		if (!revision) {
+			onComplete(new Error('Revision not found'), noteId);
+			return;
+		}
+
+		self.saveRevision(noteId, true, function(err) {
+			if (err) {
+				onComplete(err, noteId);
+				return;
+			}
+
+			// Moving and tagging keep the indexes in step
+			self.moveNote(noteId, revision.notebook || Webernote.DEFAULT_NOTEBOOK, function(err) {
+				if (err) {
+					onComplete(err, noteId);
+					return;
+				}
+
+				self.setTags(noteId, Webernote.parseTags(revision.tags), function(err) {
+					if (err) {
+						onComplete(err, noteId);
+						return;
+					}
+
+					var format = Webernote.noteFormat(revision);
+
+					self.notesRef.child(noteId).update({
+						title: revision.title || '',
+						url: revision.url || '',
+						description: format === 'rich' ? Sanitizer.notes.sanitize(revision.description || '') : (revision.description || ''),
+						format: format,
+						modified: new Date().getTime()
+					}, function(err) {
+						onComplete(err ? new Error('Could not restore revision') : false, noteId);
+					});
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Per user settings are kept in users/<id>/settings/<name>.
+ */
+
+/**
+ * Read one of the current user's settings. The callback is called with
+ * (err, value), value being null when the setting was never made.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    name            The name of the setting.
+ *
+ * @param    {Function}  onComplete      The callback to call with the value.
+ */
+
+Webernote.prototype.getSetting = function(name, onComplete) {
+	var self = this;
+	self.validateString(name, 'setting name');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('settings').child(name).once('value', function(snap) {
+		onComplete(false, snap.val());
+	});
+};
+
+/**
+ * Change one of the current user's settings, null removes it. The callback
+ * is called with (err, name).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    name            The name of the setting.
+ *
+ * @param    {*}         value           The new value.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.setSetting = function(name, value, onComplete) {
+	var self = this;
+	self.validateString(name, 'setting name');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('settings').child(name).set(value, function(err) {
+		onComplete(err ? new Error('Could not save setting') : false, name);
+	});
+};
+
+/**
+ * Note templates are kept in users/<id>/templates/<templateId>, each as
+ * { name, title, notebook, tags, description, format }. The title and
+ * description may have date placeholders, see Webernote.expandTemplate().
+ */
+
+/**
+ * Register a callback to be notified whenever one of the current user's
+ * templates is added, changed or deleted. The function will be invoked with
+ * three arguments: the template ID, the template (null once deleted) and the
+ * Firebase event type.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onTemplate = function(onComplete) {
+	var self = this;
+
+	self.validateCallback(onComplete);
+
+	var templatesRef = self.mainUser.child('templates');
+
+	function listen(eventType) {
+		self.listen(templatesRef, eventType, function(templateSnap) {
+			onComplete(templateSnap.name(), (eventType === 'child_removed') ? null : templateSnap.val(), eventType);
+		});
+	}
+	listen('child_added');
+	listen('child_changed');
+	listen('child_removed');
+};
+
+/**
+ * Save a note template, a new one when templateId is null. The tags are
+ * normalized and rich text is sanitized. The callback is called with
+ * (err, templateId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    templateId      The ID of the template, or null.
+ *
+ * @param    {Object}    template        { name, title, notebook, tags,
+ *                                       description, format }
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.saveTemplate = function(templateId, template, onComplete) {
+	var self = this;
+	self.validateObject(template, 'template');
+	self.validateCallback(onComplete);
+
+	var name = $.trim(template.name || ''),
+		notebook = $.trim(template.notebook || '') || Webernote.DEFAULT_NOTEBOOK,
+		format = Webernote.noteFormat(template),
+		templatesRef = self.mainUser.child('templates'),
+		templateRef = templateId ? templatesRef.child(templateId) : templatesRef.push();
+
+	if (!name) {
+		onComplete(new Error('A template needs a name'), false);
+		return;
+	}
+	if (!Webernote.isValidKey(notebook)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+
+	templateRef.set({
+		name: name,
+		title: template.title || '',
+		notebook: notebook,
+		tags: Webernote.tagsObject(Webernote.normalizeTags(Webernote.parseTags(template.tags))),
+		description: (format === 'rich') ? Sanitizer.notes.sanitize(template.description || '') : (template.description || ''),
+		format: format
+	}, function(err) {
+		onComplete(err ? new Error('Could not save template') : false, templateRef.name());
+	});
+};
+
+/**
+ * Delete a note template. The callback is called with (err, templateId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    templateId      The ID of the template.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.deleteTemplate = function(templateId, onComplete) {
+	var self = this;
+	self.validateString(templateId, 'templateId');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('templates').child(templateId).remove(function(err) {
+		onComplete(err ? new Error('Could not delete template') : false, templateId);
+	});
+};
+
+Webernote.DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Fill in the date placeholders of a template's title or description:
+ * {date} (2013-02-27), {time} (14:05), {year}, {month}, {day} and
+ * {weekday} (Wednesday). Others are left as they are.
+ *
+ * @param    {string}    text        The text with placeholders.
+ *
+ * @param    {Date}      date        The date to fill in, e.g. now.
+ *
+ * @return   {string}
+ */
+
+Webernote.expandTemplate = function(text, date) {
+	function pad(number) {
+		return (number < 10 ? '0' : '') + number;
+	}
+
+	var values = {
+		year: String(date.getFullYear()),
+		month: pad(date.getMonth() + 1),
+		day: pad(date.getDate()),
+		time: pad(date.getHours()) +':'+ pad(date.getMinutes()),
+		weekday: Webernote.DAYS[date.getDay()]
+	};
+	values.date = values.year +'-'+ values.month +'-'+ values.day;
+
+	return String(text || '').replace(/\{(\w+)\}/g, function(match, name) {
+		return values.hasOwnProperty(name) ? values[name] : match;
+	});
+};
+
+/**
+ * Deleted notes are moved to users/<id>/trash/<noteId> along with the time
+ * they were deleted, so they drop out of the note list, search and the
+ * notebook and tag indexes until restored.
+ */
+
+/**
+ * Move a note to the Trash. The callback is called with (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to delete.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.trashNote = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	var noteRef = self.notesRef.child(noteId);
+	noteRef.once('value', function(snap) {
+		var note = snap.val();
+
+		if (!note) {
+			onComplete(new Error('Note not found'), noteId);
+			return;
+		}
+
+		if (note.notebook) {
+			self.unindexNotebook(note.notebook, noteId);
+		}
+		self.indexTags(noteId, Webernote.parseTags(note.tags), []);
+
+		note.deleted = new Date().getTime();
+		self.mainUser.child('trash').child(noteId).set(note, function(err) {
+			if (err) {
+				onComplete(new Error('Could not move note to the Trash'), noteId);
+				return;
+			}
+
+			noteRef.remove(function(err) {
+				onComplete(err ? new Error('Could not move note to the Trash') : false, noteId);
+			});
+		});
+	});
+};
+
+/**
+ * Move a note out of the Trash, back into its notebook and tags. The
+ * notebook is created again if it was deleted meanwhile. The callback is
+ * called with (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to restore.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.restoreNote = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	var trashRef = self.mainUser.child('trash').child(noteId);
+	trashRef.once('value', function(snap) {
+		var note = snap.val();
+
+		if (!note) {
+			onComplete(new Error('Note not found in the Trash'), noteId);
+			return;
+		}
+
+		delete note.deleted;
+		note.notebook = note.notebook || Webernote.DEFAULT_NOTEBOOK;
+
+		self.notesRef.child(noteId).set(note, function(err) {
+			if (err) {
+				onComplete(new Error('Could not restore note'), noteId);
+				return;
+			}
+
+			self.notebooksRef.child(note.notebook).child(noteId).set(noteId);
+			self.indexTags(noteId, [], Webernote.parseTags(note.tags));
+
+			trashRef.remove(function(err) {
+				onComplete(err ? new Error('Could not restore note') : false, noteId);
+			});
+		});
+	});
+};
+
+/**
+ * Delete a note in the Trash for good. The callback is called with
+ * (err, noteId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to delete.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.purgeNote = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('history').child(noteId).remove();
+	self.mainUser.child('trash').child(noteId).remove(function(err) {
+		onComplete(err ? new Error('Could not delete note') : false, noteId);
+	});
+};
+
+/**
+ * Delete every note in the Trash for good. The callback is called with
+ * (err).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.emptyTrash = function(onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+
+	var trashRef = self.mainUser.child('trash');
+	trashRef.once('value', function(trashSnap) {
+		trashSnap.forEach(function(noteSnap) {
+			self.mainUser.child('history').child(noteSnap.name()).remove();
+		});
+
+		trashRef.remove(function(err) {
+			onComplete(err ? new Error('Could not empty the Trash') : false);
+		});
+	});
+};
+
+/**
+ * Changes to several notes are written below the user's tree in a single
+ * write (see WebernoteStorage.update()), so they're made all at once or not
+ * at all. A NoteBatch collects them, keeping the notebook and tag indexes in
+ * step with the notes.
+ *
+ * @param    {Object}    user        The user's tree as it is, read just
+ *                                   before.
+ */
+
+function NoteBatch(user) {
+	this.user = user || {};
+	this.notes = $.extend({}, this.user.notes);
+	this.trash = $.extend({}, this.user.trash);
+	this.changes = {};
+
+	// name: { noteId: true when added, false when removed }
+	this.notebooks = {};
+	this.tags = {};
+}
+
+/**
+ * Add, change or (with a null note) remove a note in the notes list
+ */
+NoteBatch.prototype.setNote = function(noteId, note) {
+	var before = this.notes[noteId] || null,
+		oldTags = before ? Webernote.parseTags(before.tags) : [],
+		newTags = note ? Webernote.parseTags(note.tags) : [],
+		self = this;
+
+	if (before && (!note || note.notebook !== before.notebook)) {
+		self.index(self.notebooks, before.notebook, noteId, false);
+	}
+	if (note && (!before || note.notebook !== before.notebook)) {
+		self.index(self.notebooks, note.notebook, noteId, true);
+	}
+	$.each(oldTags, function(i, tag) {
+		if ($.inArray(tag, newTags) < 0) {
+			self.index(self.tags, tag, noteId, false);
+		}
+	});
+	$.each(newTags, function(i, tag) {
+		if ($.inArray(tag, oldTags) < 0) {
+			self.index(self.tags, tag, noteId, true);
+		}
+	});
+
+	if (note) {
+		self.notes[noteId] = note;
+	} else {
+		delete self.notes[noteId];
+	}
+	self.changes['notes/'+ noteId] = note;
+};
+
+/**
+ * Put a note in the Trash, or take it out with a null note
+ */
+NoteBatch.prototype.setTrash = function(noteId, note) {
+	if (note) {
+		this.trash[noteId] = note;
+	} else {
+		delete this.trash[noteId];
+	}
+	this.changes['trash/'+ noteId] = note;
+};
+
+/**
+ * Add a notebook to the index unless it's there. Notes moved into it index it
+ * anyway, this keeps it when there are none.
+ */
+NoteBatch.prototype.createNotebook = function(notebook) {
+	this.notebooks[notebook] = this.notebooks[notebook] || {};
+};
+
+/**
+ * Drop a notebook from the index. Its notes need to be moved out first.
+ */
+NoteBatch.prototype.removeNotebook = function(notebook) {
+	this.notebooks[notebook] = null;
+};
+
+NoteBatch.prototype.index = function(index, name, noteId, added) {
+	if (Webernote.isValidKey(name)) {
+		index[name] = index[name] || {};
+		index[name][noteId] = added;
+	}
+};
+
+/**
+ * The paths to write, relative to the user, with the index entries of the
+ * notes changed. A notebook that's left empty is kept, as unindexNotebook()
+ * does.
+ */
+NoteBatch.prototype.update = function() {
+	var changes = $.extend({}, this.changes),
+		notebooks = this.user.notebooks || {},
+		tags = this.user.tags || {};
+
+	$.each(this.notebooks, function(notebook, noteIds) {
+		if (noteIds === null) {
+			changes['notebooks/'+ notebook] = null;
+			return;
+		}
+
+		var current = (notebooks[notebook] && typeof notebooks[notebook] === 'object') ? notebooks[notebook] : {},
+			after = $.extend({}, current),
+			added = false;
+
+		$.each(noteIds, function(noteId, add) {
+			if (add) {
+				after[noteId] = noteId;
+				added = true;
+			} else {
+				delete after[noteId];
+			}
+		});
+
+		if ($.isEmptyObject(after)) {
+			if (!$.isEmptyObject(current) || !notebooks[notebook]) {
+				changes['notebooks/'+ notebook] = true;
+			}
+		} else if ($.isEmptyObject(current)) {
+			// Was empty (or missing) so no entries of it can clash
+			changes['notebooks/'+ notebook] = after;
+		} else {
+			$.each(noteIds, function(noteId, add) {
+				changes['notebooks/'+ notebook +'/'+ noteId] = add ? noteId : null;
+			});
+		}
+	});
+
+	$.each(this.tags, function(tag, noteIds) {
+		$.each(noteIds, function(noteId, add) {
+			changes['tags/'+ tag +'/'+ noteId] = add ? noteId : null;
+		});
+	});
+
+	return changes;
+};
+
+/**
+ * Read the current user's tree and make changes to it in one write. The
+ * function given is called with a NoteBatch to make them in, and can return
+ * an Error to write nothing. The callback is called with (err, batch).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  change          Makes the changes, called with
+ *                                       (batch).
+ *
+ * @param    {string}    message         The error message if writing fails.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.batch = function(change, message, onComplete) {
+	var self = this;
+
+	self.mainUser.once('value', function(userSnap) {
+		var batch = new NoteBatch(userSnap.val()),
+			err = change(batch);
+
+		if (err) {
+			onComplete(err, batch);
+			return;
+		}
+		var changes = batch.update();
+
+		if ($.isEmptyObject(changes)) {
+			onComplete(false, batch);
+			return;
+		}
+
+		WebernoteStorage.update(self.mainUser, changes, function(err) {
+			onComplete(err ? new Error(message) : false, batch);
+		});
+	}, function(err) {
+		onComplete(new Error(message), null);
+	});
+};
+
+/**
+ * Move several notes to a notebook at once, creating it if needed. Notes
+ * that don't exist are skipped. The callback is called with (err, noteIds),
+ * the IDs of the notes moved.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     noteIds         The IDs of the notes to move.
+ *
+ * @param    {string}    notebook        The notebook to move them to.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.moveNotes = function(noteIds, notebook, onComplete) {
+	var self = this;
+	self.validateNoteIds(noteIds);
+	self.validateCallback(onComplete);
+
+	if (!Webernote.isValidKey(notebook)) {
+		onComplete(new Error('Invalid notebook name'), false);
+		return;
+	}
+
+	var moved = [],
+		now = new Date().getTime();
+
+	self.batch(function(batch) {
+		$.each(noteIds, function(i, noteId) {
+			var note = batch.notes[noteId];
+
+			if (note && note.notebook !== notebook) {
+				batch.setNote(noteId, $.extend({}, note, { notebook: notebook, modified: now }));
+				moved.push(noteId);
+			}
+		});
+	}, 'Could not move notes', function(err) {
+		onComplete(err, moved);
+	});
+};
+
+/**
+ * Add tags to and remove tags from several notes at once. The tags are
+ * normalized first. The callback is called with (err, noteIds), the IDs of
+ * the notes whose tags changed.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     noteIds         The IDs of the notes.
+ *
+ * @param    {Array}     add             The tags to add.
+ *
+ * @param    {Array}     remove          The tags to remove.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.tagNotes = function(noteIds, add, remove, onComplete) {
+	var self = this;
+	self.validateNoteIds(noteIds);
+	self.validateCallback(onComplete);
+
+	add = Webernote.normalizeTags(add || []);
+	remove = Webernote.normalizeTags(remove || []);
+
+	var tagged = [],
+		now = new Date().getTime();
+
+	self.batch(function(batch) {
+		$.each(noteIds, function(i, noteId) {
+			var note = batch.notes[noteId];
+
+			if (!note) {
+				return;
+			}
+
+			var before = Webernote.parseTags(note.tags),
+				tags = $.grep(before, function(tag) {
+					return $.inArray(tag, remove) < 0;
+				});
+
+			$.each(add, function(i, tag) {
+				if ($.inArray(tag, tags) < 0) {
+					tags.push(tag);
+				}
+			});
+
+			if (tags.sort().join(',') !== before.slice().sort().join(',')) {
+				batch.setNote(noteId, $.extend({}, note, { tags: Webernote.tagsObject(tags), modified: now }));
+				tagged.push(noteId);
+			}
+		});
+	}, 'Could not tag notes', function(err) {
+		onComplete(err, tagged);
+	});
+};
+
+/**
+ * Move several notes to the Trash at once. The callback is called with
+ * (err, noteIds), the IDs of the notes moved.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     noteIds         The IDs of the notes to delete.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.trashNotes = function(noteIds, onComplete) {
+	var self = this;
+	self.validateNoteIds(noteIds);
+	self.validateCallback(onComplete);
+
+	var trashed = [],
+		now = new Date().getTime();
+
+	self.batch(function(batch) {
+		$.each(noteIds, function(i, noteId) {
+			var note = batch.notes[noteId];
+
+			if (note) {
+				batch.setNote(noteId, null);
+				batch.setTrash(noteId, $.extend({}, note, { deleted: now }));
+				trashed.push(noteId);
+			}
+		});
+	}, 'Could not move notes to the Trash', function(err) {
+		onComplete(err, trashed);
+	});
+};
+
+/**
+ * Move several notes out of the Trash at once, back into their notebooks and
+ * tags. The callback is called with (err, noteIds), the IDs of the notes
+ * restored.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     noteIds         The IDs of the notes to restore.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.restoreNotes = function(noteIds, onComplete) {
+	var self = this;
+	self.validateNoteIds(noteIds);
+	self.validateCallback(onComplete);
+
+	var restored = [];
+
+	self.batch(function(batch) {
+		$.each(noteIds, function(i, noteId) {
+			var note = batch.trash[noteId];
+
+			if (note) {
+				note = $.extend({}, note, { notebook: note.notebook || Webernote.DEFAULT_NOTEBOOK });
+				delete note.deleted;
+
+				batch.setTrash(noteId, null);
+				batch.setNote(noteId, note);
+				restored.push(noteId);
+			}
+		});
+	}, 'Could not restore notes', function(err) {
+		onComplete(err, restored);
+	});
+};
+
+/**
+ * Copy a note to a new one, in the same notebook and with the same tags,
+ * created now. The callback is called with (err, noteId), the ID of the copy.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    noteId          The ID of the note to copy.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.duplicateNote = function(noteId, onComplete) {
+	var self = this;
+	self.validateString(noteId, 'noteId');
+	self.validateCallback(onComplete);
+
+	var copyId = self.notesRef.push().name(),
+		now = new Date().getTime();
+
+	self.batch(function(batch) {
+		if (!batch.notes[noteId]) {
+			return new Error('Note '+ noteId +' does not exist');
+		}
+		batch.setNote(copyId, $.extend({}, batch.notes[noteId], { created: now, modified: now }));
+	}, 'Could not duplicate note', function(err) {
+		onComplete(err, err ? false : copyId);
+	});
+};
+
+/**
+ * Combine several notes into a new one and move them to the Trash. The new
+ * note has the earliest created date, the notebook of the oldest note and
+ * every note's tags. Its description has each note in turn, oldest first,
+ * under its title and URLs, and it keeps every URL (see Webernote.noteUrls).
+ * Markdown or plain text notes stay so when they're all alike, otherwise the
+ * new note is rich text. The callback is called with (err, noteId), the ID of
+ * the new note.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Array}     noteIds         The IDs of the notes to merge, two
+ *                                       or more.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.mergeNotes = function(noteIds, onComplete) {
+	var self = this;
+	self.validateNoteIds(noteIds);
+	self.validateCallback(onComplete);
+
+	var mergedId = self.notesRef.push().name(),
+		now = new Date().getTime();
+
+	self.batch(function(batch) {
+		var notes = [];
+
+		$.each(noteIds, function(i, noteId) {
+			if (batch.notes[noteId] && $.inArray(noteId, noteIds) === i) {
+				notes.push($.extend({ id: noteId }, batch.notes[noteId]));
+			}
+		});
+		if (notes.length < 2) {
+			return new Error('Choose at least two notes to merge');
+		}
+
+		notes.sort(function(a, b) {
+			return (a.created || 0) - (b.created || 0);
+		});
+
+		batch.setNote(mergedId, Webernote.mergedNote(notes, now));
+
+		$.each(notes, function(i, note) {
+			batch.setNote(note.id, null);
+			batch.setTrash(note.id, $.extend({}, batch.user.notes[note.id], { deleted: now }));
+		});
+	}, 'Could not merge notes', function(err) {
+		onComplete(err, err ? false : mergedId);
+	});
+};
+
+/**
+ * The note mergeNotes() makes of notes sorted oldest first. Its url is the
+ * first of them, and urls has all of them when there are several.
+ */
+
+Webernote.mergedNote = function(notes, now) {
+	var formats = $.map(notes, Webernote.noteFormat),
+		format = ($.grep(formats, function(format) { return format !== formats[0]; }).length) ? 'rich' : formats[0],
+		tags = [],
+		urls = [],
+		parts = [];
+
+	$.each(notes, function(i, note) {
+		var title = note.title || '',
+			noteUrls = Webernote.noteUrls(note);
+
+		switch (format) {
+			case 'markdown':
+				parts.push('## '+ title + $.map(noteUrls, function(url) { return '\n\n<'+ url +'>'; }).join('') +'\n\n'+ (note.description || ''));
+			break;
+			case 'plain':
+				parts.push(title + $.map(noteUrls, function(url) { return '\n'+ url; }).join('') +'\n\n'+ (note.description || ''));
+			break;
+			default:
+				parts.push('<h2>'+ Sanitizer.escape(title) +'</h2>'+
+					$.map(noteUrls, function(url) {
+						return '<p><a href="'+ Sanitizer.escape(url) +'">'+ Sanitizer.escape(url) +'</a></p>';
+					}).join('') +
+					Webernote.descriptionHTML(note));
+		}
+
+		$.each(noteUrls, function(i, url) {
+			if ($.inArray(url, urls) < 0) {
+				urls.push(url);
+			}
+		});
+
+		$.each(Webernote.parseTags(note.tags), function(i, tag) {
+			if ($.inArray(tag, tags) < 0) {
+				tags.push(tag);
+			}
+		});
+	});
+
+	return {
+		title: notes[0].title || '',
+		notebook: notes[0].notebook || Webernote.DEFAULT_NOTEBOOK,
+		url: urls[0] || '',
+		urls: urls.length > 1 ? urls : null,
+		tags: Webernote.tagsObject(tags),
+		description: (format === 'rich') ? Sanitizer.notes.sanitize(parts.join('<hr>')) :
+			parts.join(format === 'markdown' ? '\n\n---\n\n' : '\n\n----------\n\n'),
+		format: format,
+		source: 'manual',
+		created: notes[0].created || now,
+		modified: now
+	};
+};
+
+/**
+ * Set after how many days notes in the Trash are deleted for good, 0 to keep
+ * them until the Trash is emptied. The setting is applied on login. The
+ * callback is called with (err, days).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {number}    days            The number of days.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.setPurgeTrashDays = function(days, onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+
+	days = parseInt(days, 10);
+	if (isNaN(days) || days < 0) {
+		onComplete(new Error('Invalid number of days'), false);
+		return;
+	}
+
+	self.setSetting('purgeTrashDays', days || null, function(err) {
+		onComplete(err, days);
+	});
+};
+
+/**
+ * Delete the notes that have been in the Trash longer than the user's
+ * purgeTrashDays setting. The callback is called with (err, purgedCount).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete      The callback to call when done.
+ */
+
+Webernote.prototype.purgeTrash = function(onComplete) {
+	var self = this;
+	self.validateCallback(onComplete);
+
+	self.getSetting('purgeTrashDays', function(err, value) {
+		var days = parseInt(value, 10);
+
+		if (!days) {
+			onComplete(false, 0);
+			return;
+		}
+
+		var before = new Date().getTime() - days * 24 * 60 * 60 * 1000,
+			trashRef = self.mainUser.child('trash');
+
+		trashRef.once('value', function(trashSnap) {
+			var purged = 0;
+
+			trashSnap.forEach(function(noteSnap) {
+				var note = noteSnap.val();
+
+				if (note && (note.deleted || 0) < before) {
+					self.mainUser.child('history').child(noteSnap.name()).remove();
+					trashRef.child(noteSnap.name()).remove();
+					purged++;
+				}
+			});
+			onComplete(false, purged);
+		});
+	});
+};
+
+/**
+ * Register a callback to be notified whenever a note is moved to the Trash,
+ * changes there, or leaves it. The function will be invoked with three
+ * arguments: the noteId, the note with its deleted time and the Firebase
+ * event type.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onTrash = function(onComplete) {
+	var self = this;
+
+	self.validateCallback(onComplete);
+
+	var trashRef = self.mainUser.child('trash');
+
+	function listen(eventType) {
+		self.listen(trashRef, eventType, function(noteSnap) {
+			onComplete(noteSnap.name(), noteSnap.val(), eventType);
+		});
+	}
+	listen('child_added');
+	listen('child_changed');
+	listen('child_removed');
+};
+
+/**
+ * Save a search query under a name, stored at
+ * users/<id>/searches/<searchId> = { name, query, created }. The callback is
+ * called with (err, searchId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    name        The name to list the search under.
+ *
+ * @param    {string}    query       The search query, see NoteIndex.parse().
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ *
+ * @return   {string}                The ID of the saved search.
+ */
+
+Webernote.prototype.saveSearch = function(name, query, onComplete) {
+	var self = this;
+	self.validateString(name, 'search name');
+	self.validateString(query, 'search query');
+	self.validateCallback(onComplete);
+
+	var searchRef = self.mainUser.child('searches').push();
+
+	searchRef.set({
+		name: name,
+		query: query,
+		created: new Date().getTime()
+	}, function(err) {
+		onComplete(err ? new Error('Could not save search') : false, searchRef.name());
+	});
+
+	return searchRef.name();
+};
+
+/**
+ * Rename a saved search. The callback is called with (err, searchId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    searchId    The ID of the saved search.
+ *
+ * @param    {string}    name        The new name.
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+
+Webernote.prototype.renameSearch = function(searchId, name, onComplete) {
+	var self = this;
+	self.validateString(searchId, 'searchId');
+	self.validateString(name, 'search name');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('searches').child(searchId).child('name').set(name, function(err) {
+		onComplete(err ? new Error('Could not rename search') : false, searchId);
+	});
+};
+
+/**
+ * Delete a saved search. The callback is called with (err, searchId).
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {string}    searchId    The ID of the saved search.
+ *
+ * @param    {Function}  onComplete  The callback to call when done.
+ */
+
+Webernote.prototype.deleteSearch = function(searchId, onComplete) {
+	var self = this;
+	self.validateString(searchId, 'searchId');
+	self.validateCallback(onComplete);
+
+	self.mainUser.child('searches').child(searchId).remove(function(err) {
+		onComplete(err ? new Error('Could not delete search') : false, searchId);
+	});
+};
+
+/**
+ * Register a callback to be notified whenever a saved search is added,
+ * renamed or deleted. The function will be invoked with three arguments: the
+ * searchId, the { name, query, created } object and the Firebase event type.
+ *
+ * You need to be authenticated through login() to use this function.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onSearch = function(onComplete) {
+	var self = this;
+
+	self.validateCallback(onComplete);
+
+	var searchesRef = self.mainUser.child('searches');
+
+	function listen(eventType) {
+		self.listen(searchesRef, eventType, function(searchSnap) {
+			onComplete(searchSnap.name(), searchSnap.val(), eventType);
+		});
+	}
+	listen('child_added');
+	listen('child_changed');
+	listen('child_removed');
+};
+
+Webernote.prototype.keyExists = function(key, search) {
+    if (!search || (search.constructor !== Array && search.constructor !== Object)) {
+        return false;
+    }
+    for (var i = 0; i < search.length; i++) {
+        if (search[i] === key) {
+            return true;
+        }
+    }
+    return key in search;
+};
+
+/**
+ * Register a handler on a reference and remember it so unload() removes it.
+ */
+
+Webernote.prototype.listen = function(ref, eventType, callback) {
+	var handler = ref.on(eventType, callback);
+
+	this.handlers.push({
+		ref: ref,
+		handler: handler,
+		eventType: eventType
+	});
+	return handler;
+};
+
+/**
+ * Register a callback to be notified of how syncing with the server goes,
+ * when the storage adapter keeps a copy of the notes to sync (see sync.js).
+ * The function will be invoked with four arguments: the state ("synced",
+ * "syncing", "offline", "error", or "local" when the notes are only kept on
+ * this computer), the number of changes the server doesn't have yet, the
+ * number of notes whose changes made here were dropped because they were
+ * changed later elsewhere, and the number of changes the server refused,
+ * which were undone. It's never invoked with other adapters.
+ *
+ * @param    {Function}  onComplete  The callback to call on every change.
+ */
+
+Webernote.prototype.onSyncStatus = function(onComplete) {
+	var self = this;
+	self.validateCallback(onComplete, true);
+
+	if (typeof self.storage.status === 'function') {
+		self.storage.status(self.firebase, onComplete);
+	}
+};
+
+/**
+ * Call a function once the current user's tree can be read. Adapters that
+ * keep a copy of it (see sync.js) may still be fetching it after a first
+ * login on this computer, others are always ready.
+ *
+ * @param    {Function}  callback    The function to call.
+ */
+
+Webernote.prototype.userReady = function(callback) {
+	var self = this;
+	self.validateCallback(callback);
+
+	if (typeof self.storage.userReady === 'function') {
+		self.storage.userReady(self.firebase, callback);
+	} else {
+		callback();
+	}
+};
+
+/**
+ * Unload all event handlers currently registered. You must call this function
+ * when you no longer want to receive updates. This is especially important
+ * for single page apps, when transistioning between views. It is safe to
+ * reuse the Webernote object after calling this and registering new handlers.
+ */
+
+Webernote.prototype.unload = function() {
+	for (var i = 0; i < this.handlers.length; i++) {
+		var ref = this.handlers[i].ref,
+			handler = this.handlers[i].handler,
+			eventType = this.handlers[i].eventType;
+
+		ref.off(eventType, handler);
+	}
+	this.handlers = [];
+};
+
+
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+
+function WebernoteUI() {
+	this.limit = 150;
+	this.loggedIn = false;
+	this.filter = {};
+	this.notes = {};
+	this.tags = {};
+	this.editor = null;
+	this.markdownMode = 'split';
+	this.noteId = null;
+	this.noteForm = null;
+	this.history = null;
+
+	// Keep the notes in IndexedDB and sync them with Firebase whenever
+	// there's a network. Without IndexedDB use Firebase directly, or
+	// localStorage when the Firebase scripts didn't load.
+	var storage = window.indexedDB ? 'offline' : ((typeof Firebase === 'undefined') ? 'local' : 'firebase');
+	this.webernote = new Webernote('https://webernote.firebaseio.com/', false, storage);
+	this.unload = null;
+	this.syncStatus = null;
+
+	// Setup page navigation
+	//this.setupHandlers();
+
+	// Setup History listener
+	var self = this;
+	window.History.Adapter.bind(window, 'statechange', function() {
+		self.pageController(window.History.getState().hash, false);
+	});
+
+	// Check if user logged in or not with silent login
+	self.login(function(info) {
+		//console.log(info);
+
+		self.loggedIn = info;
+		self.pageController(window.History.getState().hash);
+	});
+
+	self.webernote.onSyncStatus(function(state, pending, discarded, refused) {
+		self.syncStatus = { state: state, pending: pending, discarded: discarded || 0, refused: refused || 0 };
+		self.showSyncStatus();
+	});
+
+	self.registerServiceWorker();
+}
+
+// The query string parameters filtering the note list, in URL order
+WebernoteUI.FILTERS = ['notebook', 'tag', 'search', 'trash', 'created', 'modified', 'contains', 'source'];
+
+// The filters under Attributes in the left nav, which combine with each
+// other and with the notebook, tag or saved search being viewed
+WebernoteUI.ATTRIBUTES = ['created', 'modified', 'contains', 'source'];
+
+WebernoteUI.DATE_RANGES = [
+	{ name: 'Today', date: 'day' },
+	{ name: 'Yesterday', date: 'day-1' },
+	{ name: 'This week', date: 'week' },
+	{ name: 'Last month', date: 'month-1' },
+	{ name: 'Custom date...', date: 'custom' }
+];
+
+WebernoteUI.CONTAINS = [
+	{ name: 'URL', value: 'url' },
+	{ name: 'Description', value: 'description' },
+	{ name: 'Tags', value: 'tags' },
+	{ name: 'Checkboxes', value: 'checkboxes' }
+];
+
+WebernoteUI.SOURCES = [
+	{ name: 'Web clip', value: 'web' },
+	{ name: 'Written in Webernote', value: 'manual' },
+	{ name: 'Imported', value: 'import' }
+];
+
+// The ways the note list can be shown, and the template of a note in each
+WebernoteUI.VIEWS = {
+	snippets: 'tmpl-noteList-item',
+	cards: 'tmpl-noteList-card',
+	table: 'tmpl-noteList-row'
+};
+
+/**
+ * The site a note was clipped from, as { domain, favicon }, or null when its
+ * URL isn't a web page's
+ */
+WebernoteUI.site = function(url) {
+	var match = /^(https?:\/\/)([^\/?#:@]+)/i.exec($.trim(url || ''));
+
+	if (!match) {
+		return null;
+	}
+	return {
+		domain: match[2].toLowerCase().replace(/^www\./, ''),
+		favicon: match[1] + match[2] +'/favicon.ico'
+	};
+};
+
+WebernoteUI.prototype.setupHandlers = function() {
+	var self = this;
+
+	/* Profile */
+	$('.profile a').on('click', function(e) {
+		e.preventDefault();
+		self.goProfile($(this).attr('href'));
+	});
+
+	/* Left Navigation links */
+	/*$('.notebooks a').on('click', function(e) {
+		e.preventDefault();
+		self.goShowNotebooks($(this).attr('href'));
+	});*/
+	/*$('.tags a').on('click', function(e) {
+		e.preventDefault();
+		self.goShowTags($(this).attr('href'));
+	});*/
+	/*$('.attributes a').on('click', function(e) {
+		e.preventDefault();
+		self.goShowAttributes($(this).attr('href'));
+	});*/
+};
+
+WebernoteUI.prototype.pageController = function(url) {
+	// Extract any sub page from url
+	var idx = url.indexOf('?'),
+		hash = (idx >= 0) ? url.slice(idx + 1) : '',
+		value = hash.split('='),
+		params = this.parseQuery(hash);
+
+	this.unload && this.unload();
+
+	switch (value[0]) {
+		case 'profile':
+			if (!value[0]) {
+				this.unload = this.notFound();
+			} else {
+				this.unload = this.renderProfile(value[1]);
+			}
+		break;
+		case 'user':
+			if (!value[0]) {
+				this.unload = this.notFound();
+			} else {
+				this.unload = this.renderUserNotes(this.loggedIn);
+			}
+		break;
+		case 'notebook':
+		case 'tag':
+		case 'search':
+		case 'trash':
+		case 'created':
+		case 'modified':
+		case 'contains':
+		case 'source':
+			if (this.loggedIn) {
+				this.unload = this.renderUserNotes(this.loggedIn, params);
+			} else {
+				this.unload = this.renderHome();
+			}
+		break;
+		case 'note':
+		default:
+			if (this.loggedIn) {
+				this.unload = this.renderUserNotes(this.loggedIn);
+			} else {
+				this.unload = this.renderHome();
+			}
+		break;
+	}
+};
+
+/**
+ * Turn a query string ("notebook=My+Notebook&tag=css") into an object
+ */
+WebernoteUI.prototype.parseQuery = function(query) {
+	var params = {},
+		pairs = (query || '').split('&');
+
+	function decode(str) {
+		try {
+			return decodeURIComponent(str.replace(/\+/g, ' '));
+		} catch (e) {
+			return str;
+		}
+	}
+
+	for (var i = 0; i < pairs.length; i++) {
+		var pair = pairs[i].split('=');
+
+		if (pair[0]) {
+			params[decode(pair[0])] = decode(pair.slice(1).join('='));
+		}
+	}
+	return params;
+};
+
+WebernoteUI.prototype.formatDate = function(timeStamp) {
+	var date = new Date(timeStamp);
+	return date.getMonth() + 1 + '/' + date.getDate() + '/' + date.getFullYear();
+};
+
+WebernoteUI.prototype.formatTime = function(timeStamp) {
+	var date = new Date(timeStamp),
+		minutes = date.getMinutes();
+
+	return this.formatDate(timeStamp) +' '+ date.getHours() +':'+ (minutes < 10 ? '0' : '') + minutes;
+};
+
+WebernoteUI.prototype.layout = function() {
+	var self = this,
+		tdHeight = window.innerHeight - $('td').position().top - 20,
+		noteNavLinks = $('#note-nav li').find('a'),
+		desc = $('#notes').find('.description');
+
+	// Fix column heights
+	$('td').height(tdHeight);
+	$('#note-nav, #note-list, #show-note').height(tdHeight - 10);
+	$('form').height(tdHeight - 23);
+
+	// Make columns resizable
+	$('#resizable').colResizable({
+		minWidth: 60,
+		liveDrag: true,
+		draggingClass: 'dragging',
+		onResize: function(e) {
+			var columns = $(e.currentTarget).find('th, td');
+
+			if (self.noteList) {
+				self.noteList.resize();
+			}
+		}
+	});
+
+	// Toolbar menus open on click and close on the next click anywhere.
+	// Pressing them mustn't take the focus from the note being edited.
+	$('#toolbar').off('.menu').on('mousedown.menu', '.menu a', function(e) {
+		e.preventDefault();
+	}).on('click.menu', 'a', function(e) {
+		var menu = $(this).siblings('ul'),
+			open = menu.length && menu.hasClass('hidden');
+
+		e.preventDefault();
+		$('#toolbar .menu > ul').addClass('hidden');
+		menu.toggleClass('hidden', !open);
+		return !open;
+	});
+	$(document).off('click.menu').on('click.menu', function(e) {
+		$('#toolbar .menu > ul').addClass('hidden');
+	});
+
+	// Fix left nav arrows so they work right when empty
+	for (var i = 0; i < noteNavLinks.length; i++) {
+		var noteNavLink = noteNavLinks[i];
+		if ($(noteNavLink).siblings('ul').length === 0) {
+			$(noteNavLink).css({
+				background: 'none',
+				padding: 0
+			});
+		}
+	}
+
+	// Expand / contract note nav. Only section headings expand, the links
+	// to filtered lists are handled in renderUserNotes()
+	$('#note-nav').off('click.layout').on('click.layout', 'a', function(e) {
+		if ($(this).siblings('ul').length === 0) {
+			return;
+		}
+		e.preventDefault();
+
+		if ($(this).parent().hasClass('expanded')) {
+			$(this).parent().removeClass('expanded');
 			$(this).siblings('ul').addClass('hidden');
 		} else {
-			$(this).parent().addClass('expanded');
-			$(this).siblings('ul').removeClass('hidden');
+			$(this).parent().addClass('expanded');
+			$(this).siblings('ul').removeClass('hidden');
+		}
+
+		// TODO: generate these nav sections from the given data of each note
+	});
+
+	// Ellipsis for notelist description
+	for (var i = 0; i < desc.length; i++) {
+		var desc = desc[i];
+		$(desc).addClass('ellipses').addClass('multiline');
+	}
+	$('.ellipsis').ellipsis();
+};
+
+/**
+ * Cache the app with sw.js so it starts offline. When a new version was
+ * deployed, offer to reload into it.
+ */
+WebernoteUI.prototype.registerServiceWorker = function() {
+	var self = this;
+
+	if (!navigator.serviceWorker) {
+		return;
+	}
+
+	navigator.serviceWorker.register('sw.js').then(function(registration) {
+		// Installed while the page was opened, or before
+		if (registration.waiting && navigator.serviceWorker.controller) {
+			self.showUpdate(registration.waiting);
+		}
+
+		registration.addEventListener('updatefound', function() {
+			var worker = registration.installing;
+
+			worker.addEventListener('statechange', function() {
+				// Without a controller this is the first install, not an
+				// update
+				if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+					self.showUpdate(worker);
+				}
+			});
+		});
+	}, function(err) {
+		// The app still works, it just can't start without a network
+	});
+
+	var reloading = false;
+	navigator.serviceWorker.addEventListener('controllerchange', function() {
+		if (!reloading) {
+			reloading = true;
+			window.location.reload();
+		}
+	});
+};
+
+/**
+ * Tell the user a new version is ready. Reloading activates it, which
+ * reloads the page (see registerServiceWorker()).
+ */
+WebernoteUI.prototype.showUpdate = function(worker) {
+	$('#update').removeClass('hidden').find('.reload').off('click').on('click', function(e) {
+		e.preventDefault();
+		worker.postMessage({ action: 'skipWaiting' });
+	});
+	$('#update').find('.dismiss').off('click').on('click', function(e) {
+		e.preventDefault();
+		$('#update').addClass('hidden');
+	});
+};
+
+/**
+ * Show in the header whether the notes are synced
+ */
+WebernoteUI.prototype.showSyncStatus = function() {
+	var status = this.syncStatus,
+		changes, text;
+
+	if (!status) {
+		return;
+	}
+
+	changes = status.pending + (status.pending === 1 ? ' change' : ' changes');
+	switch (status.state) {
+		case 'synced':
+			text = 'All changes synced';
+		break;
+		case 'syncing':
+			text = status.pending ? 'Syncing '+ changes +'...' : 'Syncing...';
+		break;
+		case 'offline':
+			text = status.pending ? 'Offline, '+ changes +' to sync' : 'Offline';
+		break;
+		case 'local':
+			text = 'Notes are kept on this computer';
+		break;
+		default:
+			text = 'Changes are not syncing, try logging in again';
+	}
+
+	// Say so when changes made offline lost to later ones or were refused,
+	// until the next login
+	if (status.discarded) {
+		text += '. Changes made offline to '+ status.discarded +
+			(status.discarded === 1 ? ' note were' : ' notes were') +' replaced by newer ones';
+	}
+	if (status.refused) {
+		text += '. '+ status.refused + (status.refused === 1 ? ' change was' : ' changes were') +
+			' refused by the server and undone';
+	}
+
+	$('#sync-status')
+		.removeClass('synced syncing offline error local hidden')
+		.toggleClass('discarded', status.discarded > 0)
+		.toggleClass('refused', status.refused > 0)
+		.addClass(status.state)
+		.text(text);
+};
+
+WebernoteUI.prototype.size = function(obj) {
+	var size = 0;
+
+	for (var key in obj) {
+		if (obj.hasOwnProperty(key)) {
+			size++;
+		}
+	}
+	return size;
+};
+
+WebernoteUI.prototype.login = function(callback) {
+	// try silent login in case already loggedIn
+	var self = this;
+
+	self.webernote.login(true, function(err, info) {
+		if (!err && info) {
+			self.reportMigration(info);
+			callback(info);
+		} else {
+			callback(false);
+		}
+	});
+};
+
+/**
+ * Tell the user what the migrations run on login couldn't do, see
+ * Webernote.migrate()
+ */
+WebernoteUI.prototype.reportMigration = function(info) {
+	if (info.migrationError) {
+		window.alert(info.migrationError.message +'. Some of your notes may not show up correctly until this works, which will be tried again the next time you log in.');
+	}
+	if (info.legacy) {
+		window.alert(info.legacy +' note(s) saved by the first version of Webernote were found. They don\'t say whose they are, so they weren\'t added to your notes.');
+	}
+};
+
+WebernoteUI.prototype.logout = function(e) {
+	if (e) {
+		e.preventDefault();
+	}
+	this.webernote.logout();
+	this.loggedIn = false;
+	this.listOrder = null;
+	this.listView = null;
+	if (this.noteList) {
+		this.noteList.destroy();
+		this.noteList = null;
+	}
+	this.renderHome();
+};
+
+WebernoteUI.prototype.go = function(url) {
+	window.History.pushState(null, null, url);
+};
+
+WebernoteUI.prototype.goHome = function(e) {
+	if (e) {
+		e.preventDefault();
+	}
+	//this.go('/');
+};
+
+WebernoteUI.prototype.goProfile = function(userId) {
+	this.go(userId);
+};
+
+WebernoteUI.prototype.goNewNote = function(newNoteId) {
+	this.go(newNoteId);
+};
+
+WebernoteUI.prototype.notFound = function() {
+	//this.notFound();
+	this.renderHome();
+}
+
+/**
+ * Render the homepage for users loggedIn or not
+ */
+WebernoteUI.prototype.renderHome = function(e) {
+	if (e) {
+		e.preventDefault();
+	}
+
+	if (this.loggedIn) {
+		return this.renderUserNotes(this.loggedIn);
+	}
+
+	$('header').html($('#tmpl-header-loggedOut').html());
+	this.layout();
+
+	/*var body = Mustache.to_html($('#tmpl-content').html(), {
+		classes: 'home',
+		content: $('#tmpl-index-content').html()
+	});*/
+
+	var self = this,
+		login = $('#login');
+
+	// Login link handler
+	login.on('click', function(e) {
+		e.preventDefault();
+
+		self.webernote.login(false, function(err, info) {
+			if (!err) {
+				$('.new-note').removeClass('hidden');
+				login.attr('href', '#logout').text('Logout');
+				self.reportMigration(info);
+
+				//console.log('Logged In');
+				self.renderUserNotes(info);
+			} else {
+				console.log('Login failed');
+			}
+		});
+	});
+
+	// attach handler to show last 5 notes
+	//self.handleNewNote('notes ul', 5, self.webernote.onLatestNote.bind(self.webernote));
+
+	return function() {
+		self.webernote.unload();
+	};
+};
+
+/**
+ * Render the notes of a logged in user, optionally filtered
+ *
+ * @param    {Object}    info        The user info from login()
+ *
+ * @param    {Object}    filter      The query parameters of the page, e.g.
+ *                                   { notebook: 'My Notebook' }
+ */
+WebernoteUI.prototype.renderUserNotes = function(info, filter) {
+	var self = this,
+		noteList = $('#notes ul');
+
+	self.filter = filter || {};
+	self.notes = {};
+	self.trash = {};
+	self.tags = {};
+	self.index = new NoteIndex();
+	self.trashIndex = new NoteIndex();
+	self.results = {};
+	self.query = null;
+	self.searches = {};
+
+	$('header').html($('#tmpl-header-loggedIn').html());
+	this.showSyncStatus();
+	this.layout();
+
+	// If online show logout link and new note button
+	if (info.status === 'online') {
+		$('#loginout').find('a').attr('href', '#logout').text('Logout');
+		$('.new-note').removeClass('hidden');
+	}
+
+	$('header h1').find('a').on('click', self.goHome.bind(self));
+	$('#loginout').find('a').on('click', self.logout.bind(self));
+
+	// This is rendered again on every navigation so start from an empty
+	// note list and nav
+	if (self.noteList) {
+		self.noteList.destroy();
+	}
+	self.noteList = new NoteList(noteList, '#note-list', self.renderNoteItem.bind(self));
+	self.applyListView();
+	self.applyListOrder();
+	$('#tags .tags').empty();
+	$('#searches .searches').empty();
+	$('#notebooks .notebooks').children().not('#notebook-all').remove();
+	self.updateNoteCount();
+
+	// Attach new note handlers
+	self.handleNote(noteList, self.webernote.onNote.bind(self.webernote));
+	self.handleNote(noteList, self.webernote.onNoteChanged.bind(self.webernote));
+	self.webernote.onNoteRemoved(function(noteId) {
+		self.updateNote(noteList, noteId, null, false);
+	});
+
+	// Trash
+	$('#note-nav .trash').html(Mustache.to_html($('#tmpl-trash-navItem').html(), { noteCount: 0 }));
+	$('#trash-link').toggleClass('active', !!self.filter.trash);
+	$('#note-list .viewing .trash').toggleClass('hidden', !self.filter.trash);
+
+	self.webernote.onTrash(function(noteId, note, eventType) {
+		self.updateNote(noteList, noteId, (eventType === 'child_removed') ? null : note, true);
+	});
+	$('#note-list .viewing .empty-trash').off('click.trash').on('click.trash', function(e) {
+		e.preventDefault();
+		self.emptyTrash();
+	});
+	$('#note-list .viewing .purge-trash').off('click.trash').on('click.trash', function(e) {
+		e.preventDefault();
+		self.purgeTrashAfter();
+	});
+
+	// Search, the query is kept when moving between notebooks and tags
+	var search = $('#note-list .filter input[name="search"]'),
+		searchTimer = null;
+
+	// The query of a saved search doesn't carry over to other lists
+	if (self.viewingSearch && !self.filter.search) {
+		search.val('');
+	}
+	self.viewingSearch = !!self.filter.search;
+
+	self.setQuery(search.val());
+	search.off('.search').on('keyup.search', function(e) {
+		if (e.which === 13) {
+			return;
+		}
+
+		// Esc clears the search
+		if (e.which === 27) {
+			$(this).val('');
+		}
+
+		var query = $(this).val();
+		clearTimeout(searchTimer);
+		searchTimer = setTimeout(function() {
+			self.setQuery(query);
+			self.refreshNotes(noteList);
+		}, 150);
+	});
+
+	// Saved searches
+	self.webernote.onSearch(function(searchId, savedSearch, eventType) {
+		self.handleSearch(noteList, searchId, savedSearch, eventType);
+	});
+	$('#note-list .filter .save-search').off('click.search').on('click.search', function(e) {
+		e.preventDefault();
+		self.saveSearch();
+	});
+	$('#searches').off('click.search').on('click.search', '.rename, .delete', function(e) {
+		e.preventDefault();
+
+		var searchId = $(this).closest('li').attr('data-search');
+
+		if ($(this).hasClass('rename')) {
+			self.renameSearch(searchId);
+		} else {
+			self.deleteSearch(searchId);
+		}
+	});
+
+	// Notebooks nav
+	self.webernote.onNotebook(self.handleNotebook.bind(self));
+	self.updateNotebookNav();
+
+	// Tags nav
+	self.webernote.onTag(self.handleTag.bind(self));
+
+	// New note, blank or from a template
+	$('#newNote').off('click.newNote').on('click.newNote', function(e) {
+		e.preventDefault();
+		self.newNote();
+	});
+	self.templates = {};
+	self.renderTemplateMenu();
+	self.webernote.onTemplate(self.handleTemplate.bind(self));
+	$('#toolbar .templates').off('click.template').on('click.template', 'a[data-template]', function(e) {
+		e.preventDefault();
+		self.newNote(self.templates[$(this).attr('data-template')]);
+	}).on('click.template', 'a.manage', function(e) {
+		e.preventDefault();
+		self.showSettings();
+	});
+
+	// Tools menu
+	$('#toolbar').off('click.tools').on('click.tools', 'a[data-tool-action]', function(e) {
+		e.preventDefault();
+		if ($(this).attr('data-tool-action') === 'settings') {
+			self.showSettings();
+		}
+	});
+
+	// Format menu, for the note being edited
+	$('#toolbar').off('click.format').on('click.format', 'a[data-command]', function(e) {
+		if (self.editor) {
+			self.editor.command($(this).attr('data-command'));
+		}
+	});
+
+	// File menu
+	$('#toolbar').off('click.file').on('click.file', 'a[data-file-action]', function(e) {
+		switch ($(this).attr('data-file-action')) {
+			case 'import':
+				$('#import-file').val('').trigger('click');
+			break;
+			case 'export':
+				self.showExport();
+			break;
+		}
+	});
+	$('#import-file').off('change.file').on('change.file', function(e) {
+		if (this.files && this.files.length) {
+			self.importFiles(this.files);
+		}
+	});
+
+	// View menu, how the note list is shown, sorted and grouped
+	$('#toolbar').off('click.view').on('click.view', 'a[data-view]', function(e) {
+		e.preventDefault();
+		self.setListView($(this).attr('data-view'));
+	}).on('click.view', 'a[data-sort], a[data-order], a[data-group]', function(e) {
+		e.preventDefault();
+
+		var link = $(this);
+
+		self.setListOrder({
+			sort: link.attr('data-sort'),
+			order: link.attr('data-order'),
+			group: link.attr('data-group')
+		});
+	});
+
+	// The table's column headings sort by the column, again to reverse it
+	$('#notes .columns').off('click.view').on('click.view', 'a[data-sort]', function(e) {
+		e.preventDefault();
+
+		var sort = $(this).attr('data-sort'),
+			order = (sort === 'created' || sort === 'modified') ? 'desc' : 'asc';
+
+		if (sort === self.noteList.sort) {
+			order = (self.noteList.order === 'asc') ? 'desc' : 'asc';
+		}
+		self.setListOrder({ sort: sort, order: order });
+	});
+
+	// Note menu, for the note being shown, or the notes selected
+	$('#toolbar').off('click.note').on('click.note', 'a[data-note-action]', function(e) {
+		switch ($(this).attr('data-note-action')) {
+			case 'history':
+				if (self.noteId) {
+					self.showHistory(self.noteId);
+				}
+			break;
+			case 'duplicate':
+				if (self.noteId) {
+					self.duplicateNote(self.noteId);
+				}
+			break;
+			case 'merge':
+				self.mergeNotes();
+			break;
+			case 'template':
+				if (self.noteId) {
+					self.saveAsTemplate(self.noteId);
+				}
+			break;
+		}
+	});
+
+	// Attributes nav
+	self.renderAttributeNav();
+
+	// Left nav links filter the note list without reloading the page
+	$('#note-nav').off('click.nav').on('click.nav', 'a[href^="?"]', function(e) {
+		e.preventDefault();
+
+		var url = self.navUrl(self.parseQuery($(this).attr('href').slice(1)));
+		if (url) {
+			self.go(url);
+		}
+	});
+	$('#note-list .viewing select.notebook').off('change.nav').on('change.nav', function(e) {
+		self.go(self.navUrl({ notebook: $(this).val() }));
+	});
+	$('#note-list .viewing .attributes .clear').off('click.nav').on('click.nav', function(e) {
+		e.preventDefault();
+
+		var filter = $.extend({}, self.filter);
+		$.each(WebernoteUI.ATTRIBUTES, function(i, key) {
+			delete filter[key];
+		});
+		self.go(self.filterUrl(filter));
+	});
+
+	// Rename or delete a notebook
+	$('#notebooks').off('click.notebook').on('click.notebook', '.rename, .delete', function(e) {
+		e.preventDefault();
+
+		var notebook = $(this).closest('li').attr('data-notebook');
+
+		if ($(this).hasClass('rename')) {
+			self.renameNotebook(notebook);
+		} else {
+			self.deleteNotebook(notebook);
+		}
+	});
+
+	// Note select or delete
+	$('#notes').off('click.note').on('click.note', '.note', function(e) {
+		e.preventDefault();
+
+		var target = $(e.target),
+			noteId = $(this).attr('id').split('note')[1];
+
+		if (target.hasClass('delete')) {
+			self.deleteNote(noteId);
+		}
+		else if (target.hasClass('restore')) {
+			self.restoreNote(noteId);
+		}
+		else if (target.hasClass('purge')) {
+			self.purgeNote(noteId);
+		}
+		// Shift selects a range, ctrl (cmd on a Mac) adds to the selection
+		else if (e.shiftKey) {
+			self.noteList.extend(noteId);
+		}
+		else if (e.ctrlKey || e.metaKey) {
+			self.noteList.toggle(noteId);
+		}
+		else {
+			self.noteList.select(noteId);
+			self.getNoteData(noteId);
+		}
+		self.updateSelection();
+	}).off('mousedown.note').on('mousedown.note', '.note', function(e) {
+		// Don't select text when selecting notes
+		if (e.shiftKey || e.ctrlKey || e.metaKey) {
+			e.preventDefault();
+		}
+	}).off('keydown.note').on('keydown.note', function(e) {
+		var noteId;
+
+		// Up and down arrows, with shift to select a range
+		if (e.which === 38 || e.which === 40) {
+			e.preventDefault();
+
+			noteId = self.noteList.step(e.which === 38 ? -1 : 1, e.shiftKey);
+			if (noteId && !e.shiftKey) {
+				self.getNoteData(noteId);
+			}
+		}
+		// Ctrl+A, or cmd+A
+		else if (e.which === 65 && (e.ctrlKey || e.metaKey)) {
+			e.preventDefault();
+			self.noteList.selectAll();
+		}
+		else {
+			return;
+		}
+		self.updateSelection();
+	});
+
+	// Bulk actions, on the notes selected
+	$('#note-list .bulk').off('click.bulk').on('click.bulk', 'a[data-bulk]', function(e) {
+		e.preventDefault();
+		self.bulkAction($(this).attr('data-bulk'));
+	});
+	self.updateSelection();
+
+	return function() {
+		self.webernote.unload()
+	};
+};
+
+/**
+ * Whether a note should be listed with the current filter and search
+ */
+WebernoteUI.prototype.matchesFilter = function(noteId, note) {
+	var filter = this.filter || {};
+
+	if (this.query && !this.results[noteId]) {
+		return false;
+	}
+	if (filter.notebook && filter.notebook !== 'all' && note.notebook !== filter.notebook) {
+		return false;
+	}
+	if (filter.tag && Webernote.parseTags(note.tags).indexOf(filter.tag) < 0) {
+		return false;
+	}
+	if (filter.created && !this.matchesDate(note.created, filter.created)) {
+		return false;
+	}
+	if (filter.modified && !this.matchesDate(note.modified, filter.modified)) {
+		return false;
+	}
+	if (filter.contains) {
+		var contains = filter.contains.split(',');
+
+		for (var i = 0; i < contains.length; i++) {
+			if (contains[i] && !Webernote.noteContains(note, contains[i])) {
+				return false;
+			}
+		}
+	}
+	if (filter.source && Webernote.noteSource(note) !== filter.source) {
+		return false;
+	}
+	return true;
+};
+
+/**
+ * Whether a time is within a created or modified filter, "since:week" or
+ * "before:20130301". Filters that can't be read let every note through.
+ */
+WebernoteUI.prototype.matchesDate = function(time, value) {
+	var parts = String(value).split(':'),
+		date = NoteIndex.parseDate(parts[1] || '');
+
+	if (date === null) {
+		return true;
+	}
+	return (parts[0] === 'before') ? (time || 0) < date : (time || 0) >= date;
+};
+
+/**
+ * The URL of a filtered note list, e.g. ?notebook=Work&created=since:week
+ */
+WebernoteUI.prototype.filterUrl = function(filter) {
+	var params = [];
+
+	$.each(WebernoteUI.FILTERS, function(i, key) {
+		if (filter[key]) {
+			params.push(key +'='+ encodeURIComponent(filter[key]).replace(/%3A/gi, ':').replace(/%2C/gi, ','));
+		}
+	});
+	return '?'+ (params.join('&') || 'notebook=all');
+};
+
+/**
+ * Where a left nav link leads. An attribute link adds its filter to the ones
+ * applied, or takes it off when it's already applied. Notebook, tag and saved
+ * search links change what's viewed but keep the attribute filters.
+ *
+ * Returns null when a custom date was asked for and the prompt cancelled.
+ */
+WebernoteUI.prototype.navUrl = function(params) {
+	var self = this,
+		filter = {},
+		attributes = $.grep(WebernoteUI.ATTRIBUTES, function(key) {
+			return params.hasOwnProperty(key);
+		});
+
+	if (!attributes.length) {
+		filter = $.extend({}, params);
+		$.each(WebernoteUI.ATTRIBUTES, function(i, key) {
+			if (self.filter[key]) {
+				filter[key] = self.filter[key];
+			}
+		});
+		return self.filterUrl(filter);
+	}
+
+	filter = $.extend({}, self.filter);
+	for (var i = 0; i < attributes.length; i++) {
+		var key = attributes[i],
+			value = params[key];
+
+		if (key === 'contains') {
+			var contains = $.grep((filter.contains || '').split(','), function(what) {
+				return what !== '';
+			});
+			var idx = $.inArray(value, contains);
+
+			if (idx >= 0) {
+				contains.splice(idx, 1);
+			} else {
+				contains.push(value);
+			}
+			value = contains.join(',');
+		}
+		else if (/:custom$/.test(value)) {
+			var date = window.prompt('Show notes '+ (key === 'created' ? 'created' : 'modified') +' '+
+				value.split(':')[0] +' which date? (YYYY-MM-DD)', '');
+
+			if (date === null) {
+				return null;
+			}
+			if (NoteIndex.parseDate($.trim(date)) === null) {
+				window.alert('"'+ date +'" is not a date, use YYYY-MM-DD.');
+				return null;
+			}
+			value = value.split(':')[0] +':'+ $.trim(date).replace(/-/g, '');
+		}
+		else if (filter[key] === value) {
+			value = '';
+		}
+
+		if (value) {
+			filter[key] = value;
+		} else {
+			delete filter[key];
+		}
+	}
+	return self.filterUrl(filter);
+};
+
+/**
+ * Render the Created, Last Modified, Contains and Source sections under
+ * Attributes, highlighting and expanding the filters applied
+ */
+WebernoteUI.prototype.renderAttributeNav = function() {
+	var self = this,
+		data = {
+			dates: WebernoteUI.DATE_RANGES,
+			contains: WebernoteUI.CONTAINS,
+			sources: WebernoteUI.SOURCES
+		};
+
+	$.each(WebernoteUI.ATTRIBUTES, function(i, key) {
+		$('#'+ key).html(Mustache.to_html($('#tmpl-'+ key +'-navItem').html(), data));
+	});
+
+	$('#attributes li.attribute-link').each(function() {
+		var key = $(this).attr('data-filter'),
+			value = $(this).attr('data-value'),
+			current = self.filter[key] || '',
+			active;
+
+		if (key === 'contains') {
+			active = $.inArray(value, current.split(',')) >= 0;
+		} else if (/:custom$/.test(value)) {
+			// A date that isn't one of the ranges listed
+			active = current.indexOf(value.split(':')[0] +':') === 0 && !$(this).siblings().filter(function() {
+				return $(this).attr('data-value') === current;
+			}).length;
+		} else {
+			active = current === value;
+		}
+
+		if (active) {
+			$(this).addClass('active')
+				.parentsUntil('#note-nav', 'ul').removeClass('hidden')
+				.parent('li').addClass('expanded');
+		}
+	});
+
+	$('#note-list .viewing .attributes').toggleClass('hidden', !self.describeAttributes())
+		.find('.name').text(self.describeAttributes());
+};
+
+/**
+ * The attribute filters applied, in words, e.g. "created since this week,
+ * containing URL"
+ */
+WebernoteUI.prototype.describeAttributes = function() {
+	var self = this,
+		words = [];
+
+	function nameOf(list, key, value) {
+		for (var i = 0; i < list.length; i++) {
+			if (list[i][key] === value) {
+				// Keep abbreviations like URL as they are
+				return /^[A-Z]+$/.test(list[i].name) ? list[i].name : list[i].name.toLowerCase();
+			}
+		}
+		return value;
+	}
+
+	$.each(['created', 'modified'], function(i, key) {
+		if (self.filter[key]) {
+			var parts = self.filter[key].split(':'),
+				date = /^\d{8}$/.test(parts[1]) ? self.formatDate(NoteIndex.parseDate(parts[1])) :
+					nameOf(WebernoteUI.DATE_RANGES, 'date', parts[1]);
+
+			words.push(key +' '+ parts[0] +' '+ date);
+		}
+	});
+	if (self.filter.contains) {
+		words.push('containing '+ $.map(self.filter.contains.split(','), function(what) {
+			return nameOf(WebernoteUI.CONTAINS, 'value', what);
+		}).join(', '));
+	}
+	if (self.filter.source) {
+		words.push('source: '+ nameOf(WebernoteUI.SOURCES, 'value', self.filter.source));
+	}
+	return words.join(', ');
+};
+
+WebernoteUI.prototype.getNoteData = function(noteId) {
+	var self = this;
+
+	// Only follow the note being shown
+	if (self.noteRef) {
+		self.noteRef.off('value', self.noteHandler);
+	}
+
+	self.noteId = noteId;
+	self.history = null;
+	self.noteRef = self.webernote.notesRef.child(noteId);
+	self.noteHandler = self.noteRef.on('value', function(noteSnap) {
+		var note = noteSnap.val();
+
+		// Deleted, possibly from another session
+		if (!note) {
+			self.closeEditor();
+			self.noteId = null;
+			self.history = null;
+			$('#show-note').empty();
+			return;
+		}
+
+		if (self.history === noteId) {
+			self.renderHistory(noteId, note);
+		} else if (self.noteForm && self.noteForm.noteId === noteId) {
+			self.mergeNote(noteId, note);
+		} else {
+			self.showNoteForm(noteSnap.name(), note);
+		}
+	});
+};
+
+/**
+ * Called whenever what's in #show-note is replaced
+ */
+WebernoteUI.prototype.closeEditor = function() {
+	if (this.editor) {
+		this.editor.destroy();
+		this.editor = null;
+	}
+	this.noteForm = null;
+};
+
+/**
+ * Create a note and show it, blank or from one of the user's templates
+ *
+ * @param    {Object}    template    A template, see Webernote.saveTemplate(),
+ *                                   or nothing for a blank note.
+ */
+WebernoteUI.prototype.newNote = function(template) {
+	var self = this,
+		now = new Date();
+
+	template = template || {};
+
+	var noteId = self.webernote.save(self.webernote.userId, {
+		title: Webernote.expandTemplate(template.title, now) || 'Untitled note...',
+		notebook: template.notebook || Webernote.DEFAULT_NOTEBOOK,
+		url: '',
+		tags: $.extend({}, template.tags),
+		description: Webernote.expandTemplate(template.description, now),
+		format: template.format || 'rich',
+		source: 'manual',
+		created: now.getTime(),
+		modified: now.getTime()
+	}, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+
+	self.showNote(noteId);
+};
+
+/**
+ * Copy a note and show the copy
+ */
+WebernoteUI.prototype.duplicateNote = function(noteId) {
+	var self = this;
+
+	self.webernote.duplicateNote(noteId, function(err, copyId) {
+		if (err) {
+			window.alert(err.message);
+			return;
+		}
+		self.showNote(copyId);
+	});
+};
+
+/**
+ * Merge the notes selected into one, after asking, and show it
+ */
+WebernoteUI.prototype.mergeNotes = function() {
+	var self = this,
+		noteIds = self.selectedNotes();
+
+	if (noteIds.length < 2) {
+		window.alert('Select the notes to merge first, holding down shift or ctrl while clicking them.');
+		return;
+	}
+	if (!window.confirm('Merge the '+ noteIds.length +' notes into one? They will be moved to the Trash.')) {
+		return;
+	}
+
+	self.webernote.mergeNotes(noteIds, function(err, noteId) {
+		if (err) {
+			window.alert(err.message);
+			return;
+		}
+		self.showNote(noteId);
+	});
+};
+
+/**
+ * Select a note in the list, scrolling to it, and show it
+ */
+WebernoteUI.prototype.showNote = function(noteId) {
+	this.noteList.select(noteId, true);
+	this.updateSelection();
+	this.getNoteData(noteId);
+};
+
+/**
+ * Move a note to the Trash, where it can be restored from
+ */
+WebernoteUI.prototype.deleteNote = function(noteId) {
+	var self = this;
+
+	self.noteList.set(noteId, null);
+	self.updateNoteCount();
+	self.webernote.trashNote(noteId, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+WebernoteUI.prototype.restoreNote = function(noteId) {
+	this.webernote.restoreNote(noteId, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+WebernoteUI.prototype.purgeNote = function(noteId) {
+	var note = this.trash[noteId];
+
+	if (!note || !window.confirm('Delete "'+ note.title +'" forever? This can\'t be undone.')) {
+		return;
+	}
+
+	this.webernote.purgeNote(noteId, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+WebernoteUI.prototype.emptyTrash = function() {
+	var count = this.size(this.trash);
+
+	if (!count || !window.confirm('Delete the '+ count +' notes in the Trash forever? This can\'t be undone.')) {
+		return;
+	}
+
+	this.webernote.emptyTrash(function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+/**
+ * Ask after how many days notes in the Trash should be deleted for good
+ */
+WebernoteUI.prototype.purgeTrashAfter = function() {
+	var self = this;
+
+	self.webernote.getSetting('purgeTrashDays', function(err, days) {
+		var answer = window.prompt('Delete notes from the Trash after how many days? '+
+			'Leave empty to keep them until the Trash is emptied.', days || '');
+
+		if (answer === null) {
+			return;
+		}
+
+		self.webernote.setPurgeTrashDays($.trim(answer) || 0, function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	});
+};
+
+/**
+ * Ask for a new name for a notebook and rename it
+ */
+WebernoteUI.prototype.renameNotebook = function(notebook) {
+	var newName = window.prompt('Rename notebook "'+ notebook +'" to:', notebook);
+
+	if (!newName || $.trim(newName) === notebook) {
+		return;
+	}
+
+	this.webernote.renameNotebook(notebook, $.trim(newName), function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+/**
+ * Delete a notebook, asking whether its notes should be moved to another
+ * notebook or deleted with it
+ */
+WebernoteUI.prototype.deleteNotebook = function(notebook) {
+	// Offering the notebook being deleted would only get an error
+	var suggested = (notebook === Webernote.DEFAULT_NOTEBOOK) ? '' : Webernote.DEFAULT_NOTEBOOK,
+		moveTo = window.prompt('Delete notebook "'+ notebook +'".\n\n'+
+			'Move its notes to which notebook? Leave empty to delete them too.', suggested);
+
+	// Cancelled
+	if (moveTo === null) {
+		return;
+	}
+
+	moveTo = $.trim(moveTo);
+	if (!moveTo && !window.confirm('Delete notebook "'+ notebook +'" and all of its notes?')) {
+		return;
+	}
+
+	this.webernote.deleteNotebook(notebook, moveTo || null, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+WebernoteUI.prototype.handleNote = function(listId, func) {
+	var self = this;
+
+	func(function(noteId, note, noteSnap) {
+		self.updateNote(listId, noteId, note, false);
+	});
+};
+
+/**
+ * Keep track of a note, or of a note in the Trash, and list it when that's
+ * what is being viewed. A null note was removed.
+ */
+WebernoteUI.prototype.updateNote = function(listId, noteId, note, trashed) {
+	var notes = trashed ? this.trash : this.notes,
+		index = trashed ? this.trashIndex : this.index;
+
+	if (note) {
+		// Notes can come from other sessions, or before descriptions were
+		// sanitized
+		if (Webernote.noteFormat(note) === 'rich') {
+			note.description = Sanitizer.notes.sanitize(note.description || '');
+		}
+
+		notes[noteId] = note;
+		index.add(noteId, note);
+	} else {
+		delete notes[noteId];
+		index.remove(noteId);
+	}
+
+	if (trashed) {
+		$('#trash-link .count').text(this.size(this.trash));
+	} else {
+		this.updateSearchCounts();
+	}
+
+	if (trashed === !!this.filter.trash) {
+		if (note && this.query) {
+			this.results[noteId] = index.matches(noteId, this.query);
+		}
+		this.renderNote(listId, noteId, note);
+	}
+};
+
+/**
+ * Search the notes. An empty query lists every note again.
+ */
+WebernoteUI.prototype.setQuery = function(query) {
+	query = $.trim(query || '');
+
+	var index = this.filter.trash ? this.trashIndex : this.index;
+
+	this.query = query ? NoteIndex.parse(query) : null;
+	this.results = this.query ? index.search(this.query) : {};
+};
+
+/**
+ * The current search as a query that also holds the notebook, tag and dates
+ * being viewed, so a saved search brings back the same list
+ */
+WebernoteUI.prototype.currentQuery = function() {
+	var self = this,
+		query = [],
+		quote = function(value) {
+			return /\s/.test(value) ? '"'+ value +'"' : value;
+		};
+
+	if (this.filter.notebook && this.filter.notebook !== 'all') {
+		query.push('notebook:'+ quote(this.filter.notebook));
+	}
+	if (this.filter.tag) {
+		query.push('tag:'+ quote(this.filter.tag));
+	}
+
+	// Date attributes have operators of their own, "before" being the negation
+	$.each({ created: 'created', modified: 'updated' }, function(key, operator) {
+		var parts = (self.filter[key] || '').split(':');
+
+		if (parts[1] && parts[1] !== 'custom') {
+			query.push((parts[0] === 'before' ? '-' : '') + operator +':'+ parts[1]);
+		}
+	});
+	query.push($.trim($('#note-list .filter input[name="search"]').val()));
+
+	return $.trim(query.join(' '));
+};
+
+WebernoteUI.prototype.saveSearch = function() {
+	var self = this,
+		query = self.currentQuery(),
+		name;
+
+	if (!query) {
+		window.alert('Type a search or pick a notebook or tag first.');
+		return;
+	}
+
+	name = $.trim(window.prompt('Save search "'+ query +'" as:', query) || '');
+	if (!name) {
+		return;
+	}
+
+	var searchId = self.webernote.saveSearch(name, query, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+	self.go('?search='+ encodeURIComponent(searchId));
+};
+
+WebernoteUI.prototype.renameSearch = function(searchId) {
+	var savedSearch = this.searches[searchId],
+		name = savedSearch && window.prompt('Rename saved search "'+ savedSearch.name +'" to:', savedSearch.name);
+
+	if (!name || !$.trim(name)) {
+		return;
+	}
+
+	this.webernote.renameSearch(searchId, $.trim(name), function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+WebernoteUI.prototype.deleteSearch = function(searchId) {
+	var savedSearch = this.searches[searchId];
+
+	if (!savedSearch || !window.confirm('Delete saved search "'+ savedSearch.name +'"?')) {
+		return;
+	}
+
+	this.webernote.deleteSearch(searchId, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+/**
+ * Keep a saved search's nav item in step with onSearch() events, and run it
+ * when it's the one being viewed
+ */
+WebernoteUI.prototype.handleSearch = function(listId, searchId, savedSearch, eventType) {
+	var navItem = $('#searches .searches li').filter(function() {
+		return $(this).attr('data-search') === searchId;
+	});
+
+	if (eventType === 'child_removed') {
+		delete this.searches[searchId];
+		navItem.remove();
+
+		if (this.filter.search === searchId) {
+			this.go('?notebook=all');
+		}
+		return;
+	}
+
+	this.searches[searchId] = savedSearch;
+
+	var newItem = $(Mustache.to_html($('#tmpl-search-navItem').html(), {
+		searchId: encodeURIComponent(searchId),
+		search: searchId,
+		name: savedSearch.name,
+		query: savedSearch.query,
+		noteCount: this.size(this.index.search(savedSearch.query))
+	}));
+
+	if (navItem.length) {
+		navItem.replaceWith(newItem);
+	} else {
+		$('#searches .searches').append(newItem);
+		$('#searches .searches').removeClass('hidden').parent().addClass('expanded');
+	}
+	newItem.toggleClass('active', this.filter.search === searchId);
+
+	if (this.filter.search === searchId) {
+		$('#note-list .filter input[name="search"]').val(savedSearch.query);
+		this.setQuery(savedSearch.query);
+		this.refreshNotes(listId);
+	}
+};
+
+/**
+ * Update the note counts of the saved searches. Called as notes change, so
+ * the work is put off until the changes settle.
+ */
+WebernoteUI.prototype.updateSearchCounts = function() {
+	var self = this;
+
+	clearTimeout(self.searchCountTimer);
+	self.searchCountTimer = setTimeout(function() {
+		$('#searches .searches li').each(function() {
+			var savedSearch = self.searches[$(this).attr('data-search')];
+
+			if (savedSearch) {
+				$(this).find('.count').text(self.size(self.index.search(savedSearch.query)));
+			}
+		});
+	}, 300);
+};
+
+/**
+ * Render the whole note list again, after the search changed
+ */
+WebernoteUI.prototype.refreshNotes = function(listId) {
+	var notes = this.filter.trash ? this.trash : this.notes;
+
+	for (var noteId in notes) {
+		if (notes.hasOwnProperty(noteId)) {
+			this.renderNote(listId, noteId, notes[noteId]);
+		}
+	}
+	this.noteList.redraw();
+	this.updateNoteCount();
+};
+
+/**
+ * Wrap the words and phrases searched for in <mark> within elements. Only
+ * text nodes are touched so no markup can sneak in.
+ */
+WebernoteUI.prototype.highlight = function(elements, words) {
+	if (!words.length) {
+		return;
+	}
+
+	var sep = '[^0-9a-z\\u00c0-\\uffff]+',
+		escape = function(str) {
+			return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+		},
+		parts = $.map(words, function(word) {
+			return $.map(word.split(' '), escape).join(sep);
+		}),
+		re = new RegExp('(^|'+ sep +')('+ parts.join('|') +')', 'gi');
+
+	function walk(node) {
+		if (node.nodeType === 3) {
+			var text = node.nodeValue,
+				frag = document.createDocumentFragment(),
+				last = 0,
+				match;
+
+			re.lastIndex = 0;
+			while ((match = re.exec(text))) {
+				var start = match.index + match[1].length,
+					mark = document.createElement('mark');
+
+				frag.appendChild(document.createTextNode(text.slice(last, start)));
+				mark.appendChild(document.createTextNode(match[2]));
+				frag.appendChild(mark);
+				last = start + match[2].length;
+			}
+
+			if (last) {
+				frag.appendChild(document.createTextNode(text.slice(last)));
+				node.parentNode.replaceChild(frag, node);
+			}
+		}
+		else if (node.nodeType === 1 && node.nodeName !== 'MARK') {
+			for (var child = node.firstChild; child; ) {
+				var next = child.nextSibling;
+				walk(child);
+				child = next;
+			}
+		}
+	}
+
+	elements.each(function() {
+		walk(this);
+	});
+};
+
+/**
+ * Add, update or remove a note in the note list. Notes that don't match the
+ * current filter are removed.
+ */
+WebernoteUI.prototype.renderNote = function(listId, noteId, note) {
+	this.noteList.set(noteId, (note && this.matchesFilter(noteId, note)) ? note : null);
+	this.updateNoteCount();
+	this.updateSelection();
+};
+
+/**
+ * The note list's row for a note, only made when it scrolls into view
+ */
+WebernoteUI.prototype.renderNoteItem = function(noteId, note) {
+	var site = WebernoteUI.site(note.url),
+		item = $(Mustache.to_html($('#'+ WebernoteUI.VIEWS[this.view || 'snippets']).html(), $.extend({}, note, {
+			noteId: noteId,
+			tags: Webernote.parseTags(note.tags).join(', '),
+			description: Webernote.descriptionText(note),
+			created: this.formatDate(note.created),
+			modified: this.formatDate(note.modified),
+			site: site
+		})));
+
+	// Not every site has a favicon where it's looked for
+	item.find('img.favicon').on('error', function(e) {
+		$(this).remove();
+	});
+
+	if (this.query) {
+		this.highlight(item.find('.title, .description'), NoteIndex.highlights(this.query));
+	}
+	return item;
+};
+
+/**
+ * Show the note list the way the user last chose, and tick it in the View
+ * menu
+ */
+WebernoteUI.prototype.applyListView = function() {
+	var self = this;
+
+	function apply(view) {
+		if (!WebernoteUI.VIEWS.hasOwnProperty(view)) {
+			view = 'snippets';
+		}
+		self.view = view;
+
+		$('#notes').removeClass('snippets cards table').addClass(view);
+		$('#notes .columns').toggleClass('hidden', view !== 'table');
+		$('#toolbar').find('a[data-view]').each(function() {
+			$(this).toggleClass('checked', $(this).attr('data-view') === view);
+		});
+		self.noteList.setGrid(view === 'cards');
+	}
+
+	if (self.listView) {
+		apply(self.listView);
+	} else {
+		apply('snippets');
+		self.webernote.getSetting('noteView', function(err, view) {
+			if (!err && view && self.noteList) {
+				self.listView = view;
+				apply(view);
+			}
+		});
+	}
+};
+
+/**
+ * Switch the note list to snippets, cards or a table, and remember it for the
+ * user's other sessions
+ *
+ * @param    {String}    view        One of WebernoteUI.VIEWS
+ */
+WebernoteUI.prototype.setListView = function(view) {
+	if (!WebernoteUI.VIEWS.hasOwnProperty(view)) {
+		return;
+	}
+	this.listView = view;
+	this.applyListView();
+
+	this.webernote.setSetting('noteView', view, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+/**
+ * Sort and group the note list as the user last chose, and tick the choices
+ * in the View menu
+ */
+WebernoteUI.prototype.applyListOrder = function() {
+	var self = this;
+
+	function apply(order) {
+		self.noteList.setOrder(order);
+
+		$('#toolbar').find('a[data-sort], a[data-order], a[data-group]').each(function() {
+			var link = $(this);
+
+			link.toggleClass('checked', link.attr('data-sort') === self.noteList.sort ||
+				link.attr('data-order') === self.noteList.order ||
+				link.attr('data-group') === self.noteList.group);
+		});
+		$('#notes .columns a').each(function() {
+			var sorted = $(this).attr('data-sort') === self.noteList.sort;
+
+			$(this).toggleClass('asc', sorted && self.noteList.order === 'asc')
+				.toggleClass('desc', sorted && self.noteList.order === 'desc');
+		});
+	}
+
+	if (self.listOrder) {
+		apply(self.listOrder);
+	} else {
+		apply({});
+		self.webernote.getSetting('noteOrder', function(err, order) {
+			if (!err && order && self.noteList) {
+				self.listOrder = order;
+				apply(order);
+			}
+		});
+	}
+};
+
+/**
+ * Change how the note list is sorted or grouped, and remember it for the
+ * user's other sessions
+ *
+ * @param    {Object}    order       Any of { sort, order, group }, as for
+ *                                   NoteList.setOrder()
+ */
+WebernoteUI.prototype.setListOrder = function(order) {
+	var list = this.noteList;
+
+	list.setOrder(order);
+	this.listOrder = { sort: list.sort, order: list.order, group: list.group };
+	this.applyListOrder();
+
+	this.webernote.setSetting('noteOrder', this.listOrder, function(err) {
+		if (err) {
+			window.alert(err.message);
+		}
+	});
+};
+
+/**
+ * Update the "Viewing N notes" header and the All Notes count
+ */
+WebernoteUI.prototype.updateNoteCount = function() {
+	$('#note-list .viewing .count').text(this.noteList ? this.noteList.size() : 0);
+	$('#notebook-all .count').text(this.size(this.notes));
+};
+
+/**
+ * Keep a notebook's nav item in step with onNotebook() events
+ */
+WebernoteUI.prototype.handleNotebook = function(notebook, noteCount, eventType) {
+	var navItem = this.notebookNav(notebook);
+
+	if (eventType === 'child_removed') {
+		navItem.remove();
+
+		// The notebook being viewed was renamed or deleted
+		if (this.filter.notebook === notebook) {
+			this.go('?notebook=all');
+		}
+	}
+	else if (navItem.length) {
+		navItem.find('.count').text(noteCount);
+	}
+	else {
+		navItem = $(Mustache.to_html($('#tmpl-notebook-navItem').html(), {
+			notebookId: encodeURIComponent(notebook),
+			notebook: notebook,
+			noteCount: noteCount
+		}));
+		$('#notebooks .notebooks').append(navItem);
+	}
+
+	this.updateNotebookNav();
+};
+
+WebernoteUI.prototype.notebookNav = function(notebook) {
+	return $('#notebooks .notebooks li').filter(function() {
+		return $(this).attr('data-notebook') === notebook;
+	});
+};
+
+/**
+ * Highlight the notebook being viewed and list the notebooks in the "Viewing
+ * N notes from" menu
+ */
+WebernoteUI.prototype.updateNotebookNav = function() {
+	var current = (this.filter && this.filter.notebook) || 'all',
+		select = $('#note-list .viewing select.notebook');
+
+	$('#notebooks .notebooks li').removeClass('active');
+	if (this.filter.trash) {
+		current = 'trash';
+	} else if (current === 'all') {
+		$('#notebook-all').addClass('active');
+	} else {
+		this.notebookNav(current).addClass('active');
+	}
+
+	select.empty().append($('<option/>').val('all').text('All Notes'));
+	$('#notebooks .notebooks li').not('#notebook-all').each(function() {
+		var notebook = $(this).attr('data-notebook');
+		select.append($('<option/>').val(notebook).text(notebook));
+	});
+	if (this.filter.trash) {
+		select.append($('<option/>').val('trash').text('Trash'));
+	}
+	select.val(current);
+
+	// Say which tag the list is filtered by
+	$('#note-list .viewing .tagged').toggleClass('hidden', !this.filter.tag)
+		.find('.name').text(this.filter.tag || '');
+};
+
+/**
+ * Keep a tag's nav item in step with onTag() events
+ */
+WebernoteUI.prototype.handleTag = function(tag, noteCount, eventType) {
+	var navItem = this.tagNav(tag);
+
+	// Known tags, used for suggestions in the tag editor
+	if (eventType === 'child_removed') {
+		delete this.tags[tag];
+	} else {
+		this.tags[tag] = noteCount;
+	}
+
+	if (eventType === 'child_removed') {
+		navItem.remove();
+	}
+	else if (navItem.length) {
+		navItem.find('.count').text(noteCount);
+	}
+	else {
+		this.createTagNav({
+			tagId: encodeURIComponent(tag),
+			tag: tag,
+			noteCount: noteCount
+		});
+	}
+
+	this.tagNav(this.filter.tag).addClass('active');
+};
+
+WebernoteUI.prototype.createTagNav = function(tag) {
+	var self = this;
+
+	var tagEl = $(Mustache.to_html($('#tmpl-tag-navItem').html(), tag));
+	$('#tags .tags').parent().addClass('expanded');
+	$('#tags .tags').removeClass('hidden').append(tagEl);
+};
+
+WebernoteUI.prototype.tagNav = function(tag) {
+	return $('#tags .tags li').filter(function() {
+		return $(this).attr('data-tag') === tag;
+	});
+};
+
+WebernoteUI.prototype.updateNoteForm = function(noteId, note) {
+	var self = this;
+
+	// Note form handlers to show updated content in noteList column for note on keyup
+	var noteForm = $('#show-note').find('form'),
+		noteList = $('#notes').find('ul');
+
+	// The note as last saved or received. When the note changes elsewhere
+	// the form is compared with it, see mergeNote().
+	self.noteForm = {
+		noteId: noteId,
+		note: note,
+		conflicts: {},
+		setTags: null,
+		description: null
+	};
+
+	// Title
+	noteForm.find('.title').on('keyup', function(e) {
+		noteList.find('#note'+ noteId +' .title').text($(this).val());
+	});
+	noteForm.find('.title').on('change', function(e) {
+		note.title = $(this).val();
+		self.resolveConflict('title');
+		self.webernote.notesRef.child(noteId).child('title').set(note.title);
+		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
+	});
+
+	// Notebook, the last option switches to a text input to create a new one
+	var notebookSelect = noteForm.find('select.notebook'),
+		newNotebook = noteForm.find('.new-notebook');
+
+	notebookSelect.on('change', function(e) {
+		if ($(this).val() === 'new-notebook') {
+			$(this).addClass('hidden');
+			newNotebook.removeClass('hidden').find('input').val('').focus();
+			return;
+		}
+
+		self.webernote.moveNote(noteId, $(this).val(), function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	});
+	newNotebook.find('input').on('keyup', function(e) {
+		// Enter saves, Esc cancels
+		if (e.which === 13) {
+			$(this).trigger('change');
+		} else if (e.which === 27) {
+			newNotebook.find('#cancel').trigger('click');
+		}
+	});
+	newNotebook.find('input').on('change', function(e) {
+		var notebook = $.trim($(this).val());
+
+		if (!notebook) {
+			return;
+		}
+
+		self.webernote.createNotebook(notebook, function(err) {
+			if (err) {
+				window.alert(err.message);
+				return;
+			}
+			self.webernote.moveNote(noteId, notebook, function(err) {
+				if (err) {
+					window.alert(err.message);
+				}
+			});
+		});
+	});
+	newNotebook.find('#cancel').on('click', function(e) {
+		e.preventDefault();
+
+		newNotebook.addClass('hidden');
+		notebookSelect.val(note.notebook).removeClass('hidden');
+	});
+
+	// URL
+	noteForm.find('input.url').on('keyup', function(e) {
+		var url = /http(s?):\/\//.test($(this).val());
+		//noteList.find('#note'+ noteId +' .url').text($(this).val());
+	});
+	noteForm.find('input.url').on('change', function(e) {
+		var url = /http(s?):\/\//.test($(this).val()),
+			others = Webernote.noteUrls(note).slice(1);
+
+		note.url = (url) ? $(this).val() : 'http://' + $(this).val();
+		self.resolveConflict('url');
+
+		// A merged note's other URLs stay, after this one
+		if (note.urls) {
+			note.urls = Webernote.noteUrls({ url: note.url, urls: others });
+			self.webernote.notesRef.child(noteId).child('urls').set(note.urls);
+		}
+		self.webernote.notesRef.child(noteId).child('url').set(note.url);
+		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
+	});
+
+	// Keep the note as it was before it's edited in its history
+	var revisionKept = 0;
+
+	noteForm.on('focusin', function(e) {
+		if (new Date().getTime() - revisionKept < Webernote.REVISION_INTERVAL) {
+			return;
+		}
+		revisionKept = new Date().getTime();
+
+		self.webernote.saveRevision(noteId, false, function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	});
+
+	// Conflicts with changes from another session
+	noteForm.find('.conflict .keep-mine').on('click', function(e) {
+		e.preventDefault();
+		self.keepConflicts();
+	});
+	noteForm.find('.conflict .use-theirs').on('click', function(e) {
+		e.preventDefault();
+
+		// Show the note again as it's saved
+		self.closeEditor();
+		self.getNoteData(noteId);
+	});
+
+	// Tags
+	self.noteForm.setTags = self.tagEditor(noteId, note);
+
+	// Description, rich text in the editor and Markdown or plain text in the
+	// textarea. Changing the format saves the note converted and shows it
+	// again in the new format.
+	var format = Webernote.noteFormat(note),
+		textarea = noteForm.find('textarea.description'),
+		preview = noteForm.find('.preview');
+
+	function saveDescription(description) {
+		note.description = description;
+		note.format = format;
+		self.resolveConflict('description');
+
+		self.webernote.setDescription(noteId, description, format, function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	}
+
+	noteForm.find('select.format').val(format).on('change', function(e) {
+		format = $(this).val();
+		saveDescription(Webernote.convertDescription(note, format));
+		self.showNoteForm(noteId, note);
+	});
+
+	if (format === 'rich') {
+		textarea.remove();
+		preview.remove();
+
+		self.editor = new NoteEditor(noteForm.find('div.description'), saveDescription, function(html) {
+			noteList.find('#note'+ noteId +' .description').text(Sanitizer.notes.text(html));
+		});
+		self.editor.setHTML(note.description);
+
+		self.noteForm.description = {
+			value: function() {
+				return self.editor.getHTML();
+			},
+			saved: function() {
+				return self.editor.saved;
+			},
+			update: function(html, saved) {
+				self.editor.update(html, saved);
+				noteList.find('#note'+ noteId +' .description').text(Sanitizer.notes.text(self.editor.getHTML()));
+			},
+			save: function() {
+				self.editor.save();
+			}
+		};
+		return;
+	}
+
+	noteForm.addClass(format).find('div.description').remove();
+	textarea.removeClass('hidden').val(note.description || '');
+
+	textarea.on('input', function(e) {
+		var draft = { format: format, description: $(this).val() };
+
+		noteList.find('#note'+ noteId +' .description').text(Webernote.descriptionText(draft));
+		if (format === 'markdown') {
+			preview.html(Webernote.descriptionHTML(draft));
+		}
+	});
+	textarea.on('change', function(e) {
+		saveDescription($(this).val());
+	});
+
+	self.noteForm.description = {
+		value: function() {
+			return textarea.val();
+		},
+		saved: function() {
+			return note.description || '';
+		},
+		update: function(text) {
+			var before = textarea.val(),
+				focused = textarea.is(':focus'),
+				start = textarea[0].selectionStart,
+				end = textarea[0].selectionEnd;
+
+			textarea.val(text).trigger('input');
+			if (focused) {
+				textarea[0].setSelectionRange(Diff.position(before, text, start), Diff.position(before, text, end));
+			}
+		},
+		save: function() {
+			saveDescription(textarea.val());
+		}
+	};
+
+	if (format === 'markdown') {
+		preview.removeClass('hidden').html(Webernote.descriptionHTML(note));
+		self.markdownView(noteForm, self.markdownMode);
+
+		noteForm.find('.markdown-view').removeClass('hidden').on('click', 'a', function(e) {
+			e.preventDefault();
+
+			self.markdownMode = $(this).attr('data-view');
+			self.markdownView(noteForm, self.markdownMode);
+		});
+
+		// Ticking a task in the preview ticks it in the Markdown
+		preview.on('click', 'input[type="checkbox"]', function(e) {
+			var description = Markdown.toggleTask(textarea.val(), preview.find('input[type="checkbox"]').index(this), this.checked);
+
+			textarea.val(description);
+			saveDescription(description);
+		});
+	}
+};
+
+/**
+ * Bring a change to the note being shown, from this session or another, into
+ * its form without losing what's being typed. Fields that weren't edited here
+ * take the new value, and a description being edited is merged with the new
+ * one. Where both changed the same thing differently, what was typed here is
+ * kept and the form shows a conflict, until it's saved or the user picks the
+ * other version.
+ */
+WebernoteUI.prototype.mergeNote = function(noteId, remote) {
+	var self = this,
+		form = self.noteForm,
+		base = form.note,
+		noteForm = $('#show-note').find('form'),
+		description = form.description,
+		edited = description.value() !== description.saved();
+
+	// A description in another format can only be shown again
+	if (Webernote.noteFormat(remote) !== Webernote.noteFormat(base)) {
+		if (!edited) {
+			self.showNoteForm(noteId, remote);
+			return;
+		}
+		form.conflicts.description = true;
+	} else if ((remote.description || '') !== (base.description || '')) {
+		if (!edited) {
+			description.update(remote.description || '');
+		} else {
+			var merged = Diff.merge(description.saved(), description.value(), remote.description || '');
+
+			description.update(merged.text, remote.description || '');
+			if (merged.conflict) {
+				form.conflicts.description = true;
+			}
 		}
+		base.description = remote.description || '';
+	}
 
-		// TODO: generate these nav sections from the given data of each note
+	// Title and URL are kept as typed when they changed both here and there
+	$.each(['title', 'url'], function(i, field) {
+		var input = noteForm.find('input.'+ field),
+			value = remote[field] || '';
+
+		if (value === (base[field] || '')) {
+			return;
+		}
+		if (input.val() === (base[field] || '')) {
+			input.val(value);
+		} else if (input.val() !== value) {
+			form.conflicts[field] = true;
+		}
+		base[field] = value;
 	});
 
-	// Ellipsis for notelist description
-	for (var i = 0; i < desc.length; i++) {
-		var desc = desc[i];
-		$(desc).addClass('ellipses').addClass('multiline');
+	// Notebook and tags are saved as soon as they're changed, so there's
+	// nothing to keep
+	if (remote.notebook !== base.notebook) {
+		var notebookSelect = noteForm.find('select.notebook'),
+			exists = notebookSelect.find('option').filter(function() {
+				return $(this).val() === remote.notebook;
+			}).length;
+
+		if (!exists) {
+			notebookSelect.find('option[value="new-notebook"]').before($('<option/>').val(remote.notebook).text(remote.notebook));
+		}
+		notebookSelect.val(remote.notebook).removeClass('hidden');
+		noteForm.find('.new-notebook').addClass('hidden');
+		base.notebook = remote.notebook;
 	}
-	$('.ellipsis').ellipsis();
+
+	var tags = Webernote.parseTags(remote.tags);
+	if (tags.join(',') !== Webernote.parseTags(base.tags).join(',')) {
+		form.setTags(tags);
+		base.tags = Webernote.tagsObject(tags);
+	}
+
+	base.modified = remote.modified;
+	self.showConflicts();
 };
 
-WebernoteUI.prototype.size = function(obj) {
-	var size = 0;
+/**
+ * A conflicting field was saved as it's in the form
+ */
+WebernoteUI.prototype.resolveConflict = function(field) {
+	if (this.noteForm && this.noteForm.conflicts[field]) {
+		delete this.noteForm.conflicts[field];
+		this.showConflicts();
+	}
+};
 
-	for (var key in obj) {
-		if (obj.hasOwnProperty(key)) {
-			size++;
+/**
+ * Save the conflicting fields as they're in the form
+ */
+WebernoteUI.prototype.keepConflicts = function() {
+	var form = this.noteForm,
+		noteForm = $('#show-note').find('form');
+
+	for (var field in form.conflicts) {
+		if (!form.conflicts.hasOwnProperty(field)) {
+			continue;
+		}
+		if (field === 'description') {
+			form.description.save();
+		} else {
+			noteForm.find('input.'+ field).trigger('change');
 		}
-		return size;
 	}
+	form.conflicts = {};
+	this.showConflicts();
 };
 
-WebernoteUI.prototype.login = function(callback) {
-	// try silent login in case already loggedIn
+WebernoteUI.prototype.showConflicts = function() {
+	var conflicts = this.noteForm.conflicts,
+		names = [];
+
+	$.each(WebernoteUI.NOTE_FIELDS, function(i, field) {
+		if (conflicts[field.field]) {
+			names.push(field.name);
+		}
+	});
+
+	$('#show-note').find('form .conflict')
+		.toggleClass('hidden', names.length === 0)
+		.find('.fields').text(names.join(', '));
+};
+
+/**
+ * The fields of a note as they're named in the version history and in
+ * conflicts, in the order they're shown
+ */
+WebernoteUI.NOTE_FIELDS = [
+	{ field: 'title', name: 'Title' },
+	{ field: 'notebook', name: 'Notebook' },
+	{ field: 'url', name: 'URL' },
+	{ field: 'tags', name: 'Tags' },
+	{ field: 'format', name: 'Format' },
+	{ field: 'description', name: 'Description' }
+];
+
+/**
+ * Show the version history of a note in place of the note form, until it's
+ * closed or another note is selected
+ */
+WebernoteUI.prototype.showHistory = function(noteId) {
 	var self = this;
 
-	self.webernote.login(true, function(err, info) {
-		if (!err && info) {
-			callback(info);
-		} else {
-			callback(false);
+	self.webernote.notesRef.child(noteId).once('value', function(noteSnap) {
+		if (noteSnap.val()) {
+			self.history = noteId;
+			self.renderHistory(noteId, noteSnap.val());
 		}
 	});
 };
 
-WebernoteUI.prototype.logout = function(e) {
-	if (e) {
-		e.preventDefault();
+WebernoteUI.prototype.renderHistory = function(noteId, note) {
+	var self = this;
+
+	self.webernote.getRevisions(noteId, function(err, revisions) {
+		var current = Webernote.revision(note),
+			versions = {};
+
+		current.id = 'current';
+		current.saved = note.modified;
+		revisions.push(current);
+
+		// Newest first, comparing the last revision with the note by default
+		revisions.reverse();
+
+		var history = Mustache.to_html($('#tmpl-history').html(), {
+			noteId: noteId,
+			title: note.title,
+			revisions: $.map(revisions, function(revision, i) {
+				versions[revision.id] = revision;
+
+				return {
+					id: revision.id,
+					saved: self.formatTime(revision.saved),
+					current: revision.id === 'current',
+					from: i === 1,
+					to: i === 0
+				};
+			})
+		});
+
+		self.closeEditor();
+		$('#show-note').html(history);
+
+		var panel = $('#show-note').find('.history');
+
+		function compare() {
+			var from = versions[panel.find('input[name="from"]:checked').val()],
+				to = versions[panel.find('input[name="to"]:checked').val()];
+
+			panel.find('.diff').html(self.renderDiff(from, to));
+		}
+
+		panel.on('change', 'input[type="radio"]', compare);
+
+		panel.find('.restore').on('click', function(e) {
+			e.preventDefault();
+
+			var revision = versions[$(this).closest('tr').attr('data-id')];
+
+			if (!window.confirm('Restore the version saved '+ self.formatTime(revision.saved) +'? The note as it is now stays in its history.')) {
+				return;
+			}
+
+			// Back to the note form, which shows the note restored
+			self.history = null;
+			self.webernote.restoreRevision(noteId, revision.id, function(err) {
+				if (err) {
+					window.alert(err.message);
+				}
+			});
+		});
+
+		panel.find('.close').on('click', function(e) {
+			e.preventDefault();
+			self.getNoteData(noteId);
+		});
+
+		compare();
+	});
+};
+
+/**
+ * The changes between two versions of a note, field by field and word by
+ * word
+ */
+WebernoteUI.prototype.renderDiff = function(from, to) {
+	var fields = [],
+		message = 'No changes between these versions.';
+
+	function text(version, field) {
+		switch (field) {
+			case 'tags':
+				return Webernote.parseTags(version.tags).sort().join(', ');
+			case 'description':
+				return Webernote.noteFormat(version) === 'rich' ? Sanitizer.notes.text(version.description, true) : version.description;
+		}
+		return version[field] || '';
 	}
-	this.webernote.logout();
-	this.loggedIn = false;
-	this.renderHome();
+
+	if (!from || !to) {
+		message = 'No earlier versions of this note yet. One is kept when you start editing it.';
+	} else {
+		$.each(WebernoteUI.NOTE_FIELDS, function(i, field) {
+			var parts = Diff.words(text(from, field.field), text(to, field.field));
+
+			if (Diff.changed(parts)) {
+				fields.push({
+					field: field.field,
+					name: field.name,
+					html: Diff.html(parts)
+				});
+			}
+		});
+	}
+
+	return Mustache.to_html($('#tmpl-diff').html(), {
+		fields: fields,
+		message: message
+	});
 };
 
-WebernoteUI.prototype.go = function(url) {
-	window.History.pushstate(null, null, url);
+/**
+ * Import Evernote export files, each into the notebook named after it, then
+ * show how it went in place of the note form
+ */
+WebernoteUI.prototype.importFiles = function(files) {
+	var self = this,
+		reports = [],
+		index = 0;
+
+	files = $.makeArray(files);
+
+	function next() {
+		if (index >= files.length) {
+			self.renderImport(reports);
+			return;
+		}
+
+		var file = files[index++],
+			report = { name: file.name, imported: 0, total: 0, errors: [] },
+			reader = new FileReader();
+
+		reports.push(report);
+
+		reader.onload = function() {
+			var parsed;
+
+			try {
+				parsed = Enex.notes(reader.result, Enex.notebookName(file.name));
+			} catch (e) {
+				report.failed = e.message;
+				next();
+				return;
+			}
+
+			report.notebook = parsed.notes.length ? parsed.notes[0].notebook || Webernote.DEFAULT_NOTEBOOK : '';
+			report.total = parsed.notes.length + parsed.errors.length;
+			report.errors = parsed.errors;
+
+			self.webernote.importNotes(parsed.notes, parsed.indexes, function(err, result) {
+				report.imported = result.imported.length;
+				report.errors = report.errors.concat(result.errors).sort(function(a, b) {
+					return a.index - b.index;
+				});
+				next();
+			});
+		};
+		reader.onerror = function() {
+			report.failed = 'Could not read the file';
+			next();
+		};
+		reader.readAsText(file);
+	}
+
+	next();
 };
 
-WebernoteUI.prototype.goHome = function(e) {
-	if (e) {
+WebernoteUI.prototype.renderImport = function(reports) {
+	var self = this;
+
+	var panel = self.showPanel(Mustache.to_html($('#tmpl-import').html(), {
+		files: $.map(reports, function(report) {
+			var summary;
+
+			if (report.failed) {
+				summary = 'Nothing imported: '+ report.failed +'.';
+			} else if (!report.total) {
+				summary = 'There are no notes in this file.';
+			} else {
+				summary = 'Imported '+ report.imported +' of '+ report.total +' note'+ (report.total === 1 ? '' : 's') +
+					(report.imported ? ' into the notebook "'+ report.notebook +'"' : '') +'.';
+			}
+
+			return {
+				name: report.name,
+				summary: summary,
+				hasErrors: report.errors.length > 0,
+				errors: report.errors
+			};
+		})
+	}));
+
+	panel.find('.close').on('click', function(e) {
 		e.preventDefault();
-	}
-	//this.go('/');
+		$('#show-note').empty();
+	});
 };
 
-WebernoteUI.prototype.goProfile = function(userId) {
-	this.go(userId);
-};
+/**
+ * The notes an action from the toolbar applies to: the note being shown
+ */
+WebernoteUI.prototype.selectedNotes = function() {
+	var selected = this.noteList ? this.noteList.selected() : [];
 
-WebernoteUI.prototype.goNewNote = function(newNoteId) {
-	this.go(newNoteId);
+	if (!selected.length && this.noteId) {
+		selected = [this.noteId];
+	}
+	return selected;
 };
 
-WebernoteUI.prototype.notFound = function() {
-	//this.notFound();
-	this.renderHome();
-}
+/**
+ * Show the bulk action bar while more than one note is selected, with the
+ * actions for notes in the Trash when viewing it
+ */
+WebernoteUI.prototype.updateSelection = function() {
+	var count = this.noteList ? this.size(this.noteList.selection) : 0,
+		trash = !!this.filter.trash,
+		bar = $('#note-list .bulk');
+
+	bar.toggleClass('hidden', count < 2);
+	bar.find('.count').text(count);
+	bar.find('a[data-bulk]').not('[data-bulk="clear"]').each(function() {
+		$(this).toggleClass('hidden', ($(this).attr('data-bulk') === 'restore') !== trash);
+	});
+};
 
 /**
- * Render the homepage for users loggedIn or not
+ * Apply an action of the bulk action bar to the notes selected. Each is a
+ * single write, see Webernote.batch().
+ *
+ * @param    {string}    action      "move", "tag", "untag", "trash",
+ *                                   "restore", "merge", "export" or "clear".
  */
-WebernoteUI.prototype.renderHome = function(e) {
-	if (e) {
-		e.preventDefault();
-	}
+WebernoteUI.prototype.bulkAction = function(action) {
+	var self = this,
+		noteIds = self.noteList.selected(),
+		count = noteIds.length,
+		filter = self.filter,
+		answer;
 
-	if (this.loggedIn) {
-		return this.renderUserNotes(this.loggedIn);
+	function done(err) {
+		if (err) {
+			window.alert(err.message);
+		}
 	}
 
-	$('header').html($('#tmpl-header-loggedOut').html());
-	this.layout();
+	if (!count) {
+		return;
+	}
 
-	/*var body = Mustache.to_html($('#tmpl-content').html(), {
-		classes: 'home',
-		content: $('#tmpl-index-content').html()
-	});*/
+	switch (action) {
+		case 'move':
+			answer = $.trim(window.prompt('Move the '+ count +' notes to which notebook?',
+				(filter.notebook && filter.notebook !== 'all') ? filter.notebook : Webernote.DEFAULT_NOTEBOOK) || '');
+			if (answer) {
+				self.webernote.moveNotes(noteIds, answer, done);
+			}
+		break;
+		case 'tag':
+		case 'untag':
+			answer = Webernote.parseTags(window.prompt((action === 'tag' ? 'Add which tags to' : 'Remove which tags from') +
+				' the '+ count +' notes? Separate tags with commas.', '') || '');
+			if (answer.length) {
+				self.webernote.tagNotes(noteIds, action === 'tag' ? answer : [], action === 'untag' ? answer : [], done);
+			}
+		break;
+		case 'trash':
+			self.webernote.trashNotes(noteIds, done);
+		break;
+		case 'restore':
+			self.webernote.restoreNotes(noteIds, done);
+		break;
+		case 'merge':
+			self.mergeNotes();
+		break;
+		case 'export':
+			self.showExport();
+		break;
+		case 'clear':
+			self.noteList.clearSelection();
+			self.updateSelection();
+		break;
+	}
+};
 
+/**
+ * Choose notes and a format to export them to, in place of the note form.
+ * The notes selected when there are several, or else what's being viewed, are
+ * chosen to start with.
+ */
+WebernoteUI.prototype.showExport = function() {
 	var self = this,
-		login = $('#login');
+		selection = self.selectedNotes(),
+		filter = self.filter || {},
+		several = selection.length > 1,
+		notebook = (filter.notebook && filter.notebook !== 'all' && !several) ? filter.notebook : '',
+		notebooks = $('#notebooks .notebooks li').map(function() {
+			return $(this).attr('data-notebook');
+		}).get().sort(),
+		tags = $.map(self.tags || {}, function(count, tag) {
+			return tag;
+		}).sort();
+
+	function options(names, current) {
+		return $.map(names, function(name) {
+			return { name: name, selected: name === current };
+		});
+	}
 
-	// Login link handler
-	login.on('click', function(e) {
+	var panel = self.showPanel(Mustache.to_html($('#tmpl-export').html(), {
+		all: !notebook && !filter.tag && !several,
+		notebook: !!notebook,
+		hasNotebooks: notebooks.length > 0,
+		notebooks: options(notebooks, notebook),
+		tag: !notebook && !!filter.tag && !several,
+		hasTags: tags.length > 0,
+		tags: options(tags, filter.tag),
+		selection: selection.length ? {
+			count: selection.length,
+			plural: selection.length === 1 ? '' : 's',
+			selected: several
+		} : null,
+		formats: $.map(Export.FORMATS, function(format, i) {
+			return { value: format.value, name: format.name, checked: i === 0 };
+		})
+	}));
+
+	// Choosing a notebook or tag means exporting it
+	panel.find('select').on('change focus', function(e) {
+		panel.find('input[name="scope"][value="'+ $(this).attr('name') +'"]').prop('checked', true);
+	});
+
+	panel.on('submit', function(e) {
 		e.preventDefault();
 
-		self.webernote.login(false, function(err, info) {
-			if (!err) {
-				$('.new-note').removeClass('hidden');
-				login.attr('href', '#logout').text('Logout');
+		var scope = panel.find('input[name="scope"]:checked').val(),
+			format = panel.find('input[name="format"]:checked').val(),
+			query = {},
+			title = 'Webernote';
+
+		if (scope === 'notebook') {
+			query.notebook = title = panel.find('select[name="notebook"]').val();
+		} else if (scope === 'tag') {
+			query.tag = title = panel.find('select[name="tag"]').val();
+		} else if (scope === 'selection') {
+			query.noteIds = selection;
+			title = 'Selected notes';
+		}
 
-				//console.log('Logged In');
-				self.renderUserNotes(info);
-			} else {
-				console.log('Login failed');
+		self.webernote.getNotes(query, function(err, notes) {
+			if (!notes.length) {
+				panel.find('.message').text('There are no notes to export.');
+				return;
 			}
+
+			var file = Export.file(format, notes, title);
+
+			self.download(file);
+			panel.find('.message').text('Exported '+ notes.length +' note'+ (notes.length === 1 ? '' : 's') +' to '+ file.name +'.');
 		});
 	});
 
-	// attach handler to show last 5 notes
-	//self.handleNewNote('notes ul', 5, self.webernote.onLatestNote.bind(self.webernote));
+	panel.find('.close').on('click', function(e) {
+		e.preventDefault();
+		$('#show-note').empty();
+	});
+};
 
-	return function() {
-		self.webernote.unload();
-	};
+/**
+ * Save a file, { name, type, data }, as a download
+ */
+WebernoteUI.prototype.download = function(file) {
+	var blob = new Blob([file.data], { type: file.type }),
+		url = URL.createObjectURL(blob),
+		link = $('<a>').attr({ href: url, download: file.name }).addClass('hidden').appendTo('body');
+
+	link[0].click();
+	link.remove();
+	setTimeout(function() {
+		URL.revokeObjectURL(url);
+	}, 1000);
 };
 
-WebernoteUI.prototype.renderUserNotes = function(info) {
+/**
+ * Show something else than a note, e.g. the import report, in place of the
+ * note form. The note that was shown mustn't come back over it. Returns what
+ * was shown.
+ */
+WebernoteUI.prototype.showPanel = function(html) {
 	var self = this;
 
-	$('header').html($('#tmpl-header-loggedIn').html());
-	this.layout();
-
-	// If online show logout link and new note button
-	if (info.status === 'online') {
-		$('#loginout').find('a').attr('href', '#logout').text('Logout');
-		$('.new-note').removeClass('hidden');
+	if (self.noteRef) {
+		self.noteRef.off('value', self.noteHandler);
+		self.noteRef = null;
 	}
+	self.noteId = null;
+	self.history = null;
+	self.closeEditor();
 
-	$('header h1').find('a').on('click', self.goHome.bind(self));
-	$('#loginout').find('a').on('click', self.logout.bind(self));
+	return $('#show-note').html(html).children().first();
+};
 
-	// Attach new note handler
-	self.handleNote($('#notes ul'), self.webernote.onNote.bind(self.webernote));
+/**
+ * Keep the templates menu, and the settings view when it's shown, in step
+ * with onTemplate() events
+ */
+WebernoteUI.prototype.handleTemplate = function(templateId, template) {
+	if (template) {
+		this.templates[templateId] = template;
+	} else {
+		delete this.templates[templateId];
+	}
+	this.renderTemplateMenu();
+	this.renderTemplateList();
+};
 
-	// Create tags handler
-	self.webernote.tagsRef.on('child_added', function(tagsSnap) {
-		var tag = {
-			tagId: tagsSnap.name(),
-			noteCount: tagsSnap.numChildren()
-		};
-		self.createTagNav(tag);
-	});
-	self.webernote.tagsRef.on('child_removed', function(tagsSnap) {
-		tagsSnap.name();
+/**
+ * The user's templates, by name, for the templates menu and settings
+ */
+WebernoteUI.prototype.templateList = function() {
+	return $.map(this.templates || {}, function(template, templateId) {
+		return { id: templateId, name: template.name };
+	}).sort(function(a, b) {
+		return a.name.toLowerCase() < b.name.toLowerCase() ? -1 : 1;
 	});
+};
 
-	// New note
-	$('.new-note').find('a').on('click', function(e) {
+WebernoteUI.prototype.renderTemplateMenu = function() {
+	$('#toolbar .templates ul').html(Mustache.to_html($('#tmpl-templates-menu').html(), {
+		templates: this.templateList()
+	}));
+};
+
+WebernoteUI.prototype.renderTemplateList = function() {
+	$('#show-note .settings .template-list').html(Mustache.to_html($('#tmpl-template-list').html(), {
+		templates: this.templateList()
+	}));
+};
+
+/**
+ * Show the settings view in place of the note form. It's where templates
+ * are added, changed and deleted.
+ */
+WebernoteUI.prototype.showSettings = function() {
+	var self = this,
+		panel = self.showPanel($('#tmpl-settings').html());
+
+	self.renderTemplateList();
+
+	panel.find('.close').on('click', function(e) {
 		e.preventDefault();
-		self.newNote();
+		$('#show-note').empty();
 	});
 
-	// Note select or delete
-	$('.note').on('click', function(e) {
+	panel.on('click', '.template-list .edit', function(e) {
+		e.preventDefault();
+		self.editTemplate(panel, $(this).closest('li').attr('data-template'));
+	}).on('click', '.template-list .delete', function(e) {
 		e.preventDefault();
 
-		var target = $(e.target),
-			currentTarget = $(e.currentTarget);
-
-		if (currentTarget.hasClass('note')) {
-			var noteId = $(e.currentTarget).attr('id').split('note')[1];
-
-			if (target.hasClass('delete')) {
-				self.deleteNote(noteId);
-			}
-			else {
-				// select note
-				$('.note').removeClass('selected');
-				$(this).addClass('selected');
+		var templateId = $(this).closest('li').attr('data-template'),
+			template = self.templates[templateId];
 
-				self.getNoteData(noteId);
-			}
+		if (template && window.confirm('Delete template "'+ template.name +'"?')) {
+			self.webernote.deleteTemplate(templateId, function(err) {
+				if (err) {
+					window.alert(err.message);
+				}
+			});
 		}
+	}).on('click', '.add-template', function(e) {
+		e.preventDefault();
+		self.editTemplate(panel, null);
 	});
-
-	return function() {
-		self.webernote.unload()
-	};
 };
 
-WebernoteUI.prototype.getNoteData = function(noteId) {
-	var self = this;
+/**
+ * Show the form for a template in the settings view, a new one when
+ * templateId is null
+ */
+WebernoteUI.prototype.editTemplate = function(panel, templateId) {
+	var self = this,
+		template = (templateId && self.templates[templateId]) || { format: 'markdown' },
+		notebooks = $('#notebooks .notebooks li').map(function() {
+			return $(this).attr('data-notebook');
+		}).get().sort();
+
+	var form = panel.find('.template-form').html(Mustache.to_html($('#tmpl-template-form').html(), {
+		heading: templateId ? 'Edit template' : 'New template',
+		name: template.name,
+		title: template.title,
+		notebook: template.notebook || Webernote.DEFAULT_NOTEBOOK,
+		notebooks: notebooks,
+		tags: Webernote.parseTags(template.tags).join(', '),
+		description: template.description,
+		formats: $.map(Webernote.FORMATS, function(format) {
+			return { value: format, selected: format === Webernote.noteFormat(template) };
+		})
+	})).children('form');
+
+	form.find('input[name="name"]').trigger('focus');
+
+	form.on('submit', function(e) {
+		e.preventDefault();
 
-	self.webernote.notesRef.child(noteId).on('value', function(noteSnap) {
-		var note = noteSnap.val();
+		var values = {};
+		form.find('input[type="text"], select, textarea').each(function() {
+			values[$(this).attr('name')] = $(this).val();
+		});
 
-		self.showNoteForm(noteSnap.name(), note);
+		self.webernote.saveTemplate(templateId, values, function(err) {
+			if (err) {
+				form.find('.message').text(err.message);
+				return;
+			}
+			form.remove();
+		});
+	});
+
+	form.find('.cancel').on('click', function(e) {
+		e.preventDefault();
+		form.remove();
 	});
 };
 
-WebernoteUI.prototype.newNote = function() {
+/**
+ * Save the note shown as a template, after asking for its name
+ */
+WebernoteUI.prototype.saveAsTemplate = function(noteId) {
 	var self = this;
 
-	var notesRef = self.webernote.notesRef.push();
-	//console.log(self.webernote);
-	notesRef.set({
-		title: 'Untitled note...',
-		notebook: 'My Notebook',
-		url: '',
-		tags: '',
-		description: '',
-		created: new Date().getTime(),
-		modified: new Date().getTime()
-	});
+	self.webernote.notesRef.child(noteId).once('value', function(noteSnap) {
+		var note = noteSnap.val(),
+			name = note && $.trim(window.prompt('Save "'+ note.title +'" as a template named:', note.title) || '');
 
-	//console.log(notesRef.name());
-	$('#notes').find('.note').removeClass('selected');
-	$('#note'+ notesRef.name()).addClass('selected');
-	self.getNoteData(notesRef.name());
-};
+		if (!name) {
+			return;
+		}
 
-WebernoteUI.prototype.deleteNote = function(noteId) {
-	var self = this;
+		self.webernote.saveTemplate(null, {
+			name: name,
+			title: note.title,
+			notebook: note.notebook,
+			tags: note.tags,
+			description: note.description,
+			format: Webernote.noteFormat(note)
+		}, function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	});
+};
 
-	console.log(noteId);
-	$('#note'+ noteId).stop().slideUp('slow').remove();
-	self.webernote.notesRef.child(noteId).remove();
+/**
+ * Show a Markdown note's source, its preview or both side by side
+ */
+WebernoteUI.prototype.markdownView = function(noteForm, mode) {
+	noteForm.removeClass('view-edit view-split view-preview').addClass('view-'+ mode);
+	noteForm.find('.markdown-view a').removeClass('active').filter(function() {
+		return $(this).attr('data-view') === mode;
+	}).addClass('active');
 };
 
-WebernoteUI.prototype.handleNote = function(listId, func) {
-	var self = this;
+/**
+ * Turn the tags list of the note form into a chip editor. Typing suggests the
+ * user's existing tags, Enter, Tab or comma adds a tag and backspace in the
+ * empty input removes the last one. Every change is saved straight away.
+ */
+WebernoteUI.prototype.tagEditor = function(noteId, note) {
+	var self = this,
+		editor = $('#show-note').find('ul.tagit'),
+		input = editor.find('input.tag'),
+		menu = $('#show-note').find('ul.ui-autocomplete'),
+		tags = Webernote.parseTags(note.tags);
+
+	function chip(tag) {
+		return $('<li class="tagit-choice"/>')
+			.attr('data-tag', tag)
+			.text(tag)
+			.append($('<a class="tagit-close" href="#">x</a>'));
+	}
 
-	func(function(noteId, note, noteSnap) {
-		//console.log(noteId, note);
+	function save() {
+		note.tags = Webernote.tagsObject(tags);
+		$('#note'+ noteId +' .tag-item').text(tags.join(', '));
 
-		var noteCount = noteSnap.numChildren();
-		note.noteId = noteId;
-		note.created = self.formatDate(note.created);
-		note.modified = self.formatDate(note.modified);
+		self.webernote.setTags(noteId, tags, function(err) {
+			if (err) {
+				window.alert(err.message);
+			}
+		});
+	}
 
-		var noteEl = $(Mustache.to_html($('#tmpl-noteList-item').html(), note));
-		listId.prepend(noteEl);
-	});
-};
+	function add(text) {
+		var added = false,
+			newTags = Webernote.normalizeTags(String(text).split(','));
 
-WebernoteUI.prototype.createTagNav = function(tag) {
-	var self = this;
+		for (var i = 0; i < newTags.length; i++) {
+			if (tags.indexOf(newTags[i]) < 0) {
+				tags.push(newTags[i]);
+				input.parent().before(chip(newTags[i]));
+				added = true;
+			}
+		}
 
-	var tagEl = $(Mustache.to_html($('#tmpl-tag-navItem').html(), tag));
-	$('#tags .tags').parent().addClass('expanded');
-	$('#tags .tags').removeClass('hidden').append(tagEl);
-};
+		input.val('');
+		menu.addClass('hidden');
+		if (added) {
+			save();
+		}
+	}
 
-WebernoteUI.prototype.handleTag = function(listId, tags, noteId, func) {
-	var self = this;
+	function remove(tag) {
+		var idx = tags.indexOf(tag);
 
-	func(tags, noteId, function(tagId, tagsSnap) {
-		var tag = {
-			tagId: null,
-			noteCount: null
-		};
+		if (idx >= 0) {
+			tags.splice(idx, 1);
+			editor.find('.tagit-choice').filter(function() {
+				return $(this).attr('data-tag') === tag;
+			}).remove();
+			save();
+		}
+	}
 
-		// If tag doesn't exist
-		if (! self.webernote.keyExists(tagId, self.loggedIn.tags)) {
-			tag.tagId = tagId;
+	function suggest() {
+		var term = Webernote.normalizeTag(input.val()),
+			matches = [];
 
-			// if noteId doesn't exist
-			if (self.webernote.keyExists(noteId, self.loggedIn.tags[tagId])) {
-				tag.noteCount = tagsSnap.numChildren();
+		menu.empty();
+
+		if (term) {
+			for (var tag in self.tags) {
+				if (self.tags.hasOwnProperty(tag) && tag.indexOf(term) >= 0 && tags.indexOf(tag) < 0) {
+					matches.push(tag);
+				}
 			}
 		}
-		self.createTagNav(tag);
-	});
-};
 
-WebernoteUI.prototype.updateNoteForm = function(noteId, note) {
-	var self = this;
+		// Tags starting with what was typed first
+		matches.sort(function(a, b) {
+			var aStarts = a.indexOf(term) === 0,
+				bStarts = b.indexOf(term) === 0;
 
-	// Note form handlers to show updated content in noteList column for note on keyup
-	var noteForm = $('#show-note').find('form'),
-		noteList = $('#notes').find('ul');
+			if (aStarts !== bStarts) {
+				return aStarts ? -1 : 1;
+			}
+			return a < b ? -1 : (a > b ? 1 : 0);
+		});
 
-	// Title
-	noteForm.find('.title').on('keyup', function(e) {
-		noteList.find('#note'+ noteId +' .title').text($(this).val());
-	});
-	noteForm.find('.title').on('change', function(e) {
-		note.title = $(this).val();
-		self.webernote.notesRef.child(noteId).child('title').set(note.title);
-		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
-	});
+		for (var i = 0; i < matches.length && i < 10; i++) {
+			menu.append($('<li class="ui-menu-item"/>').attr('data-tag', matches[i])
+				.append($('<a href="#"/>').text(matches[i])));
+		}
+		menu.toggleClass('hidden', matches.length === 0);
+	}
 
-	// Notebook
-	noteForm.find('select.notebook').on('change', function(e) {
-		console.log($(this).val());
-		//if ($(this).val)
-		// TODO: make last option 'New Notebook'
-		// when selected it should change the select menu to a text input
-		// as well as create a new notebook record plus updates the select menu
-	});
+	function moveActive(step) {
+		var items = menu.find('li'),
+			active = items.index(items.filter('.active')),
+			next = (active + step + items.length) % items.length;
 
-	// URL
-	noteForm.find('input.url').on('keyup', function(e) {
-		var url = /http(s?):\/\//.test($(this).val());
-		//noteList.find('#note'+ noteId +' .url').text($(this).val());
-	});
-	noteForm.find('input.url').on('change', function(e) {
-		var url = /http(s?):\/\//.test($(this).val());
-		note.url = (url) ? $(this).val() : 'http://' + $(this).val();
+		items.removeClass('active').find('a').removeClass('ui-state-active');
+		items.eq(next).addClass('active').find('a').addClass('ui-state-active');
+	}
 
-		self.webernote.notesRef.child(noteId).child('url').set(note.url);
-		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
-	});
+	for (var i = 0; i < tags.length; i++) {
+		input.parent().before(chip(tags[i]));
+	}
 
-	// Tags
-	noteForm.find('input.tag').on('keyup', function(e) {
-		noteList.find('#note'+ noteId +' .tags').text($(this).val());
+	input.on('keydown', function(e) {
+		var active = menu.not('.hidden').find('li.active');
+
+		switch (e.which) {
+			// Enter, comma or Tab
+			case 13:
+			case 188:
+			case 9:
+				if (active.length || $(this).val()) {
+					e.preventDefault();
+					add(active.length ? active.attr('data-tag') : $(this).val());
+				}
+			break;
+			// Backspace
+			case 8:
+				if (!$(this).val() && tags.length) {
+					e.preventDefault();
+					remove(tags[tags.length - 1]);
+				}
+			break;
+			// Esc
+			case 27:
+				menu.addClass('hidden');
+			break;
+			// Up and down
+			case 38:
+			case 40:
+				if (!menu.hasClass('hidden')) {
+					e.preventDefault();
+					moveActive(e.which === 38 ? -1 : 1);
+				}
+			break;
+		}
 	});
-	noteForm.find('input.tag').on('change', function(e) {
-		note.tags = $(this).val();
-		self.webernote.notesRef.child(noteId).child('tags').set(note.tags);
-		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
-
-		var tags = ($(this).val() || '').split(', ');
-		for (var i = 0; i < tags.length; i++) {
-			self.webernote.tagsRef.child(tags[i]).child(noteId).set(noteId);
+	input.on('keyup', function(e) {
+		if ([13, 188, 9, 27, 38, 40].indexOf(e.which) < 0) {
+			suggest();
 		}
-		//self.handleTag($('#tags .tags'), tags, noteId, self.webernote.onTag.bind(self.webernote));
 	});
-	// Tags blur
-	noteForm.find('input.tag').blur(function(e) {
 
+	// Pasted lists of tags
+	input.on('paste', function(e) {
+		setTimeout(function() {
+			if (input.val().indexOf(',') >= 0) {
+				add(input.val());
+			}
+		}, 0);
 	});
 
-	// Description
-	// TODO: replace this with a wyswyg editor
-	noteForm.find('div.description').on('click', function(e) {
-		var desc = $(this).html();
-		$(this).addClass('hidden');
-		$(this).next().html(desc).removeClass('hidden');
+	// Add what was typed when leaving, unless a suggestion is being clicked
+	input.on('blur', function(e) {
+		setTimeout(function() {
+			if (input.val()) {
+				add(input.val());
+			}
+			menu.addClass('hidden');
+		}, 200);
 	});
-	noteForm.find('textarea.description').on('keyup', function(e) {
-		noteList.find('#note'+ noteId +' .description').html($(this).val());
+
+	menu.on('mousedown', 'li', function(e) {
+		e.preventDefault();
+		add($(this).attr('data-tag'));
 	});
-	noteForm.find('textarea.description').on('change', function(e) {
-		note.description = $(this).val();
 
-		self.webernote.notesRef.child(noteId).child('description').set(note.description);
-		self.webernote.notesRef.child(noteId).child('modified').set(new Date().getTime());
+	editor.on('click', '.tagit-close', function(e) {
+		e.preventDefault();
+		remove($(this).parent().attr('data-tag'));
 	});
-	noteForm.find('textarea.description').blur(function(e) {
-		var desc = $(this).val();
-		$(this).addClass('hidden');
-		$(this).prev().html(desc).removeClass('hidden');
+	editor.on('click', function(e) {
+		input.focus();
 	});
+
+	// Show tags changed elsewhere
+	return function(newTags) {
+		tags = newTags.slice();
+		editor.find('.tagit-choice').remove();
+
+		for (var i = 0; i < tags.length; i++) {
+			input.parent().before(chip(tags[i]));
+		}
+	};
 };
 
 /**
@@ -930,20 +5706,39 @@ WebernoteUI.prototype.updateNoteForm = function(noteId, note) {
 WebernoteUI.prototype.showNoteForm = function(noteId, note) {
 	var self = this;
 
-	var noteForm = Mustache.to_html($('#tmpl-noteForm').html(), {
-		noteId: noteId,
-		title: note.title,
-		notebook: note.notebook,
-		url: note.url,
-		tags: note.tags,
-		description: note.description,
-		modified: new Date().getTime()
-	});
+	// List every notebook in the notebook menu, with the note's selected
+	self.webernote.notebooksRef.once('value', function(notebooksSnap) {
+		var notebooks = [],
+			names = notebooksSnap.val() || {};
 
-	// Show noteForm
-	$('#show-note').html(noteForm);
+		if (typeof names !== 'object') {
+			names = {};
+		}
+		names[note.notebook] = true;
+
+		for (var name in names) {
+			if (names.hasOwnProperty(name)) {
+				notebooks.push({
+					notebook: name,
+					selected: name === note.notebook
+				});
+			}
+		}
+
+		var noteForm = Mustache.to_html($('#tmpl-noteForm').html(), {
+			noteId: noteId,
+			title: note.title,
+			notebooks: notebooks,
+			url: note.url,
+			modified: new Date().getTime()
+		});
+
+		// Show noteForm
+		self.closeEditor();
+		$('#show-note').html(noteForm);
 
-	self.updateNoteForm(noteId, note);
+		self.updateNoteForm(noteId, note);
+	});
 
 	return function() {
 		self.webernote.unload()
@@ -952,7 +5747,10 @@ WebernoteUI.prototype.showNoteForm = function(noteId, note) {
 
 var __webernoteUI;
 $(function() {
-	__webernoteUI = new WebernoteUI();
+	// Pages without the app, e.g. test/index.html, only use the data layer
+	if ($('#notes').length) {
+		__webernoteUI = new WebernoteUI();
+	}
 });
 
 
@@ -0,0 +1,424 @@
+/**
+ * Turns the description of a Markdown note into HTML. Besides the usual
+ * Markdown (headings, paragraphs, emphasis, links, images, block quotes,
+ * lists, code and rules) it reads GitHub's extensions:
+ *
+ *    | a | b |               tables, with :--, :-: and --: to align
+ *    |:--|--:|               columns
+ *
+ *    - [ ] to do             task lists
+ *    - [x] done
+ *
+ *    ```js                   fenced code, ``` or ~~~, with the language
+ *    var x = 1;              kept as class="language-js"
+ *    ```
+ *
+ *    ~~struck~~, http://bare.urls
+ *
+ * HTML in the Markdown is shown as typed rather than passed through. The
+ * result should still go through Sanitizer.notes before it's put on the page.
+ *
+ * @param    {string}    src     The Markdown.
+ *
+ * @return   {Markdown}
+ */
+
+function Markdown(src) {
+	// NUL marks the tokens, see token(). Browsers don't show it anyway.
+	this.src = String(src || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').replace(/\u0000/g, '');
+
+	// HTML already made, put back by restore() once everything is parsed
+	this.tokens = [];
+}
+
+Markdown.toHTML = function(src) {
+	return new Markdown(src).toHTML();
+};
+
+Markdown.BLOCK = {
+	blank: /^\s*$/,
+	fence: /^ {0,3}(`{3,}|~{3,})[ ]*([^`\s]*)[^`]*$/,
+	heading: /^ {0,3}(#{1,6})(?:[ ]+(.*?))?(?:[ ]+#+)?[ ]*$/,
+	setext: /^ {0,3}(=+|-+)[ ]*$/,
+	hr: /^ {0,3}([-*_])(?:[ ]*\1){2,}[ ]*$/,
+	quote: /^ {0,3}> ?(.*)$/,
+	list: /^( {0,3})([-*+]|\d{1,9}[.)])( +|$)(.*)$/,
+	task: /^\[([ xX])\](?: +|$)/,
+	code: /^ {4}/,
+	delimiter: /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/
+};
+
+/**
+ * Tick or untick the index-th task list item of some Markdown, as counted in
+ * the HTML. Returns the changed Markdown.
+ */
+Markdown.toggleTask = function(src, index, checked) {
+	var lines = String(src || '').split('\n'),
+		fence = null,
+		count = 0;
+
+	for (var i = 0; i < lines.length; i++) {
+		var match = Markdown.BLOCK.fence.exec(lines[i]);
+
+		if (fence) {
+			if (match && match[1].charAt(0) === fence.charAt(0) && match[1].length >= fence.length && !match[2]) {
+				fence = null;
+			}
+			continue;
+		}
+		if (match) {
+			fence = match[1];
+			continue;
+		}
+
+		match = /^((?:\s*>)*\s*(?:[-*+]|\d{1,9}[.)]) +)\[([ xX])\]/.exec(lines[i]);
+		if (match && count++ === index) {
+			lines[i] = match[1] +'['+ (checked ? 'x' : ' ') +']'+ lines[i].slice(match[0].length);
+			break;
+		}
+	}
+	return lines.join('\n');
+};
+
+Markdown.prototype = {
+	toHTML: function() {
+		return this.restore(this.blocks(this.src.split('\n'), false));
+	},
+
+	/**
+	 * Keep some HTML out of the way of the parsing still to come
+	 */
+	token: function(html) {
+		this.tokens.push(html);
+		return '\u0000'+ (this.tokens.length - 1) +'\u0000';
+	},
+
+	restore: function(html) {
+		var self = this,
+			re = /\u0000(\d+)\u0000/g;
+
+		// Tokens can hold tokens
+		while (re.test(html)) {
+			html = html.replace(re, function(match, i) {
+				return self.tokens[i];
+			});
+		}
+		return html;
+	},
+
+	/**
+	 * Parse lines into blocks. Paragraphs of tight list items aren't wrapped
+	 * in <p>.
+	 */
+	blocks: function(lines, tight) {
+		var B = Markdown.BLOCK,
+			html = [],
+			i = 0,
+			match, end, para;
+
+		while (i < lines.length) {
+			var line = lines[i];
+
+			if (B.blank.test(line)) {
+				i++;
+			}
+			else if ((match = B.fence.exec(line))) {
+				var fence = match[1],
+					indent = line.match(/^ */)[0].length,
+					code = [];
+
+				for (i++; i < lines.length; i++) {
+					end = B.fence.exec(lines[i]);
+					if (end && end[1].charAt(0) === fence.charAt(0) && end[1].length >= fence.length && !end[2]) {
+						i++;
+						break;
+					}
+					code.push(lines[i].replace(new RegExp('^ {0,'+ indent +'}'), ''));
+				}
+				html.push(this.code(code.join('\n'), match[2]));
+			}
+			else if ((match = B.heading.exec(line))) {
+				html.push('<h'+ match[1].length +'>'+ this.inline(match[2] || '') +'</h'+ match[1].length +'>');
+				i++;
+			}
+			else if (B.hr.test(line)) {
+				html.push('<hr>');
+				i++;
+			}
+			else if (B.quote.test(line)) {
+				var quote = [];
+
+				while (i < lines.length && !B.blank.test(lines[i])) {
+					match = B.quote.exec(lines[i]);
+					if (!match && this.interrupts(lines[i])) {
+						break;
+					}
+					// Lines without > carry on the paragraph
+					quote.push(match ? match[1] : lines[i]);
+					i++;
+				}
+				html.push('<blockquote>\n'+ this.blocks(quote, false) +'\n</blockquote>');
+			}
+			else if ((match = B.list.exec(line)) && (match[4] || !B.blank.test(lines[i + 1] || ''))) {
+				i = this.list(lines, i, html);
+			}
+			else if (this.isTable(lines, i)) {
+				i = this.table(lines, i, html);
+			}
+			else if (B.code.test(line)) {
+				var block = [];
+
+				while (i < lines.length && (B.code.test(lines[i]) || B.blank.test(lines[i]))) {
+					block.push(lines[i].slice(4));
+					i++;
+				}
+				html.push(this.code(block.join('\n').replace(/\n+$/, ''), ''));
+			}
+			else {
+				para = [line];
+				end = null;
+
+				// Up to a blank line, another block or an underline making
+				// it a heading
+				for (i++; i < lines.length && !B.blank.test(lines[i]); i++) {
+					if ((end = B.setext.exec(lines[i])) || this.interrupts(lines[i])) {
+						break;
+					}
+					para.push(lines[i]);
+				}
+				para = this.inline($.trim(para.join('\n')));
+
+				if (end) {
+					var level = (end[1].charAt(0) === '=') ? 1 : 2;
+
+					html.push('<h'+ level +'>'+ para +'</h'+ level +'>');
+					i++;
+				} else {
+					html.push(tight ? para : '<p>'+ para +'</p>');
+				}
+			}
+		}
+		return html.join('\n');
+	},
+
+	/**
+	 * Whether a line starts a block that ends a paragraph
+	 */
+	interrupts: function(line) {
+		var B = Markdown.BLOCK,
+			match = B.list.exec(line);
+
+		return B.fence.test(line) || B.heading.test(line) || B.hr.test(line) || B.quote.test(line) ||
+			!!(match && match[4] && (!/\d/.test(match[2]) || parseInt(match[2], 10) === 1));
+	},
+
+	code: function(code, language) {
+		var attrs = language ? ' class="language-'+ Sanitizer.escape(language) +'"' : '';
+
+		return this.token('<pre><code'+ attrs +'>'+ Sanitizer.escape(code) + (code ? '\n' : '') +'</code></pre>');
+	},
+
+	/**
+	 * Parse the list starting at lines[i] into html. Returns the index of the
+	 * line after it.
+	 */
+	list: function(lines, i, html) {
+		var B = Markdown.BLOCK,
+			first = B.list.exec(lines[i]),
+			ordered = /\d/.test(first[2]),
+			marker = first[2].charAt(first[2].length - 1),
+			items = [],
+			loose = false,
+			match;
+
+		function sameList(match) {
+			return match && /\d/.test(match[2]) === ordered && match[2].charAt(match[2].length - 1) === marker;
+		}
+
+		while (i < lines.length && sameList(match = B.list.exec(lines[i]))) {
+
+			// Where the item's content starts, code in it keeps 4 spaces of
+			// its own
+			var indent = match[1].length + match[2].length + (match[3].length > 4 ? 1 : Math.max(match[3].length, 1)),
+				content = [lines[i].slice(indent)],
+				blank = false;
+
+			for (i++; i < lines.length; i++) {
+				var line = lines[i];
+
+				if (B.blank.test(line)) {
+					content.push('');
+					blank = true;
+				}
+				else if (line.match(/^ */)[0].length >= indent) {
+					if (blank) {
+						loose = true;
+					}
+					content.push(line.slice(indent));
+					blank = false;
+				}
+				else if (blank || B.list.test(line) || this.interrupts(line)) {
+					break;
+				}
+				else {
+					// A lazy continuation of the paragraph
+					content.push(line);
+				}
+			}
+
+			while (content.length && B.blank.test(content[content.length - 1])) {
+				content.pop();
+			}
+			if (blank && i < lines.length && sameList(B.list.exec(lines[i]))) {
+				loose = true;
+			}
+			items.push(content);
+		}
+
+		var start = ordered ? parseInt(first[2], 10) : 1,
+			tag = ordered ? 'ol' : 'ul',
+			out = [];
+
+		for (var j = 0; j < items.length; j++) {
+			var checkbox = '';
+
+			match = B.task.exec(items[j][0]);
+			if (match) {
+				checkbox = this.token('<input type="checkbox"'+ (match[1] === ' ' ? '' : ' checked="checked"') +'> ');
+				items[j][0] = items[j][0].slice(match[0].length);
+			}
+			out.push('<li>'+ checkbox + this.blocks(items[j], !loose) +'</li>');
+		}
+
+		html.push('<'+ tag + (start !== 1 ? ' start="'+ start +'"' : '') +'>\n'+ out.join('\n') +'\n</'+ tag +'>');
+		return i;
+	},
+
+	isTable: function(lines, i) {
+		return lines[i].indexOf('|') >= 0 && i + 1 < lines.length &&
+			Markdown.BLOCK.delimiter.test(lines[i + 1]) &&
+			this.cells(lines[i]).length === this.cells(lines[i + 1]).length;
+	},
+
+	table: function(lines, i, html) {
+		var head = this.cells(lines[i]),
+			aligns = $.map(this.cells(lines[i + 1]), function(cell) {
+				var left = cell.charAt(0) === ':',
+					right = cell.charAt(cell.length - 1) === ':';
+
+				return (left && right) ? 'center' : right ? 'right' : left ? 'left' : '';
+			}),
+			self = this,
+			rows = [];
+
+		function row(cells, tag) {
+			var out = [];
+
+			for (var c = 0; c < head.length; c++) {
+				out.push('<'+ tag + (aligns[c] ? ' align="'+ aligns[c] +'"' : '') +'>'+
+					self.inline(cells[c] || '') +'</'+ tag +'>');
+			}
+			return '<tr>'+ out.join('') +'</tr>';
+		}
+
+		for (i += 2; i < lines.length && !Markdown.BLOCK.blank.test(lines[i]) && !this.interrupts(lines[i]); i++) {
+			rows.push(row(this.cells(lines[i]), 'td'));
+		}
+
+		html.push('<table>\n<thead>'+ row(head, 'th') +'</thead>\n'+
+			(rows.length ? '<tbody>\n'+ rows.join('\n') +'\n</tbody>\n' : '') +'</table>');
+		return i;
+	},
+
+	/**
+	 * The cells of a table row. Pipes can be escaped or in code.
+	 */
+	cells: function(line) {
+		var cells = [],
+			cell = '',
+			code = false;
+
+		line = $.trim(line).replace(/^\|/, '');
+
+		for (var i = 0; i < line.length; i++) {
+			var c = line.charAt(i);
+
+			if (c === '\\' && line.charAt(i + 1) === '|') {
+				cell += '|';
+				i++;
+				continue;
+			}
+			if (c === '`') {
+				code = !code;
+			}
+			if (c === '|' && !code) {
+				cells.push($.trim(cell));
+				cell = '';
+			} else {
+				cell += c;
+			}
+		}
+		if ($.trim(cell) || line.charAt(line.length - 1) !== '|') {
+			cells.push($.trim(cell));
+		}
+		return cells;
+	},
+
+	/**
+	 * Parse the inline Markdown of a block's text
+	 */
+	inline: function(text, noLinks) {
+		var self = this,
+			url = /(^|[\s(*_~])((?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:;*_~'")\]])/g;
+
+		function link(href) {
+			href = /^www\./i.test(href) ? 'http://'+ href : href;
+			return '<a href="'+ Sanitizer.escape(href) +'">';
+		}
+
+		// Code spans first, nothing in them is Markdown
+		text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function(match, ticks, code) {
+			code = code.replace(/\n/g, ' ');
+			if (/^ [\s\S]* $/.test(code) && /\S/.test(code)) {
+				code = code.slice(1, -1);
+			}
+			return self.token('<code>'+ Sanitizer.escape(code) +'</code>');
+		});
+
+		// Backslash escapes, a backslash at the end of a line breaks it
+		text = text.replace(/\\\n/g, function() {
+			return self.token('<br>') +'\n';
+		}).replace(/\\([!"#$%&'()*+,\-.\/:;<=>?@\[\\\]^_`{|}~])/g, function(match, c) {
+			return self.token(Sanitizer.escape(c));
+		});
+
+		if (!noLinks) {
+			// <http://autolinks>
+			text = text.replace(/<((?:https?|mailto):[^\s<>]+)>/gi, function(match, href) {
+				return self.token(link(href) + Sanitizer.escape(href) +'</a>');
+			});
+
+			// ![images](src "title") and [links](href "title")
+			text = text.replace(/(!?)\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?([^\s<>()]+)>?(?:\s+"([^"]*)")?\s*\)/g, function(match, image, label, href, title) {
+				title = title ? ' title="'+ Sanitizer.escape(title) +'"' : '';
+
+				if (image) {
+					return self.token('<img src="'+ Sanitizer.escape(href) +'" alt="'+ Sanitizer.escape(label) +'"'+ title +'>');
+				}
+				return self.token(link(href).replace('>', title +'>') + self.inline(label, true) +'</a>');
+			});
+
+			// Bare URLs
+			text = text.replace(url, function(match, before, href) {
+				return before + self.token(link(href) + Sanitizer.escape(href) +'</a>');
+			});
+		}
+
+		return Sanitizer.escape(text)
+			.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+			.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+			.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+			.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+			.replace(/ {2,}\n/g, '<br>\n');
+	}
+};
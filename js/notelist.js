@@ -0,0 +1,613 @@
+/**
+ * The note list. Notes are kept sorted, optionally under group headings, and
+ * only the rows in view (plus a few around them) are on the page, so lists of
+ * thousands of notes scroll as smoothly as short ones.
+ *
+ * Every row of a kind is as tall as the first one rendered, which the
+ * stylesheet makes sure of, so where each row goes is known without
+ * rendering it. Rows are positioned absolutely in the list, which is made as
+ * tall as all of them. As a grid, notes are laid out side by side, as many to
+ * a line as fit.
+ *
+ * Changes are collected and the list is sorted and drawn again once they
+ * stop coming in, so the notes arriving one by one on login cost a single
+ * sort. A note whose sort field changed moves to its new place.
+ *
+ * @param    {Element}   list        The <ul> the rows go in.
+ *
+ * @param    {Element}   viewport    The scrolling element the list is in.
+ *
+ * @param    {Function}  render      Returns the <li> for a note, called with
+ *                                   (noteId, note).
+ * @return   {NoteList}
+ */
+
+function NoteList(list, viewport, render) {
+	var self = this;
+
+	self.list = $(list);
+	self.viewport = $(viewport);
+	self.render = render;
+
+	// noteId: note, for the notes listed
+	self.notes = {};
+	self.count = 0;
+
+	// What's listed, in order: { type: 'note' or 'group', key, top, left },
+	// notes with their "id" and groups with their "label"
+	self.rows = [];
+
+	// key: element, for the rows on the page
+	self.elements = {};
+
+	self.sort = 'modified';
+	self.order = 'desc';
+	self.group = 'none';
+	self.revealing = null;
+
+	// noteId: true, for the notes selected. The anchor is where a range
+	// selected with the shift key starts from and the cursor where it ends.
+	self.selection = {};
+	self.anchor = null;
+	self.cursor = null;
+
+	self.grid = false;
+	self.rowHeight = 0;
+	self.itemWidth = 0;
+	self.groupHeight = 0;
+	self.timer = null;
+
+	self.list.empty().addClass('virtual').height(0);
+
+	self.viewport.on('scroll.noteList', function(e) {
+		self.draw();
+	});
+	$(window).on('resize.noteList', function(e) {
+		self.resize();
+	});
+}
+
+// Row heights to use when they can't be measured, e.g. while hidden
+NoteList.ROW_HEIGHT = 72;
+NoteList.ITEM_WIDTH = 200;
+NoteList.GROUP_HEIGHT = 24;
+
+// How many rows are drawn above and below the ones in view
+NoteList.OVERSCAN = 5;
+
+/**
+ * What notes can be sorted by, key() giving the value compared
+ */
+NoteList.SORTS = {
+	modified: {
+		name: 'Date Updated',
+		key: function(note) {
+			return note.modified || 0;
+		}
+	},
+	created: {
+		name: 'Date Created',
+		key: function(note) {
+			return note.created || 0;
+		}
+	},
+	title: {
+		name: 'Title',
+		key: function(note) {
+			return String(note.title || '').toLowerCase();
+		}
+	},
+	notebook: {
+		name: 'Notebook',
+		key: function(note) {
+			return String(note.notebook || '').toLowerCase();
+		}
+	},
+	tags: {
+		name: 'Tags',
+		key: function(note) {
+			return Webernote.parseTags(note.tags).join(', ').toLowerCase();
+		}
+	},
+	url: {
+		name: 'URL',
+		key: function(note) {
+			return String(note.url || '').toLowerCase();
+		}
+	}
+};
+
+NoteList.GROUPS = ['none', 'date', 'notebook'];
+
+NoteList.MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+	'August', 'September', 'October', 'November', 'December'];
+
+NoteList.compare = function(a, b) {
+	return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+/**
+ * The heading a note comes under, { key, label }, keys being in the order
+ * the groups are listed in
+ */
+NoteList.prototype.groupOf = function(note) {
+	if (this.group === 'notebook') {
+		return {
+			key: String(note.notebook || '').toLowerCase(),
+			label: note.notebook || ''
+		};
+	}
+
+	// By the date sorted on, or the last change when sorting by something
+	// else
+	var time = (this.sort === 'created' ? note.created : note.modified) || 0,
+		now = new Date(),
+		today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime(),
+		yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1).getTime(),
+		week = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay()).getTime(),
+		month = new Date(now.getFullYear(), now.getMonth(), 1).getTime(),
+		date = new Date(time);
+
+	if (time >= today) {
+		return { key: today, label: 'Today' };
+	}
+	if (time >= yesterday) {
+		return { key: yesterday, label: 'Yesterday' };
+	}
+	if (time >= week && week < yesterday) {
+		return { key: week, label: 'Earlier this week' };
+	}
+	if (time >= month && month < yesterday) {
+		return { key: month, label: 'Earlier this month' };
+	}
+	return {
+		key: new Date(date.getFullYear(), date.getMonth(), 1).getTime(),
+		label: NoteList.MONTHS[date.getMonth()] +' '+ date.getFullYear()
+	};
+};
+
+/**
+ * List a note, or move it to where it now belongs. A null note is taken off
+ * the list.
+ */
+NoteList.prototype.set = function(noteId, note) {
+	if (note) {
+		if (!this.notes.hasOwnProperty(noteId)) {
+			this.count++;
+		}
+		this.notes[noteId] = note;
+	} else if (this.notes.hasOwnProperty(noteId)) {
+		delete this.notes[noteId];
+		delete this.selection[noteId];
+		this.count--;
+	} else {
+		return;
+	}
+
+	this.forget('note:'+ noteId);
+	this.schedule();
+};
+
+NoteList.prototype.size = function() {
+	return this.count;
+};
+
+/**
+ * Change how notes are sorted and grouped. Options not given stay as they
+ * are.
+ *
+ * @param    {Object}    options     { sort, order, group }, sort being one of
+ *                                   NoteList.SORTS, order "asc" or "desc" and
+ *                                   group one of NoteList.GROUPS.
+ */
+NoteList.prototype.setOrder = function(options) {
+	options = options || {};
+
+	if (NoteList.SORTS.hasOwnProperty(options.sort)) {
+		this.sort = options.sort;
+	}
+	if (options.order === 'asc' || options.order === 'desc') {
+		this.order = options.order;
+	}
+	if ($.inArray(options.group, NoteList.GROUPS) >= 0) {
+		this.group = options.group;
+	}
+	this.schedule();
+};
+
+/**
+ * Select just one note, and scroll to it when reveal is true
+ */
+NoteList.prototype.select = function(noteId, reveal) {
+	this.selection = {};
+	this.selection[noteId] = true;
+	this.anchor = this.cursor = noteId;
+	this.showSelection();
+
+	if (reveal) {
+		this.revealing = noteId;
+		if (!this.timer) {
+			this.reveal();
+		}
+	}
+};
+
+/**
+ * Add a note to the selection, or take it out, as a ctrl-click does
+ */
+NoteList.prototype.toggle = function(noteId) {
+	if (this.selection[noteId]) {
+		delete this.selection[noteId];
+	} else {
+		this.selection[noteId] = true;
+	}
+	this.anchor = this.cursor = noteId;
+	this.showSelection();
+};
+
+/**
+ * Select the notes from the anchor to a note, as a shift-click does
+ */
+NoteList.prototype.extend = function(noteId) {
+	var ids = this.noteIds(),
+		from = $.inArray(this.anchor, ids),
+		to = $.inArray(noteId, ids);
+
+	if (to < 0) {
+		return;
+	}
+	if (from < 0) {
+		this.select(noteId);
+		return;
+	}
+
+	this.selection = {};
+	for (var i = Math.min(from, to); i <= Math.max(from, to); i++) {
+		this.selection[ids[i]] = true;
+	}
+	this.cursor = noteId;
+	this.showSelection();
+};
+
+/**
+ * Move the cursor a number of notes up (negative) or down the list, selecting
+ * the note it lands on, or the range up to it when extending. Returns the
+ * note's ID, or null when the list is empty.
+ */
+NoteList.prototype.step = function(count, extend) {
+	var ids = this.noteIds(),
+		at = $.inArray(this.cursor, ids),
+		noteId;
+
+	if (!ids.length) {
+		return null;
+	}
+
+	at = (at < 0) ? (count > 0 ? 0 : ids.length - 1) : Math.max(0, Math.min(ids.length - 1, at + count));
+	noteId = ids[at];
+
+	if (extend && this.anchor && this.notes[this.anchor]) {
+		this.extend(noteId);
+	} else {
+		this.select(noteId);
+	}
+
+	this.revealing = noteId;
+	this.reveal();
+	return noteId;
+};
+
+NoteList.prototype.selectAll = function() {
+	var self = this;
+
+	self.selection = {};
+	$.each(self.notes, function(noteId) {
+		self.selection[noteId] = true;
+	});
+	self.showSelection();
+};
+
+NoteList.prototype.clearSelection = function() {
+	this.selection = {};
+	this.anchor = this.cursor = null;
+	this.showSelection();
+};
+
+/**
+ * The IDs of the notes selected, in the order they're listed
+ */
+NoteList.prototype.selected = function() {
+	var selection = this.selection;
+
+	return $.grep(this.noteIds(), function(noteId) {
+		return selection[noteId];
+	});
+};
+
+/**
+ * The IDs of the notes listed, in order
+ */
+NoteList.prototype.noteIds = function() {
+	if (this.timer) {
+		this.refresh();
+	}
+	return $.map(this.rows, function(row) {
+		return row.type === 'note' ? row.id : null;
+	});
+};
+
+NoteList.prototype.showSelection = function() {
+	var self = this;
+
+	$.each(self.elements, function(key, element) {
+		if (key.indexOf('note:') === 0) {
+			element.toggleClass('selected', !!self.selection[key.slice(5)]);
+		}
+	});
+};
+
+/**
+ * Render every row again, e.g. when the search they highlight changed
+ */
+NoteList.prototype.redraw = function() {
+	for (var key in this.elements) {
+		if (this.elements.hasOwnProperty(key)) {
+			this.forget(key);
+		}
+	}
+	this.schedule();
+};
+
+/**
+ * Measure the rows again, after the stylesheet changed their size
+ */
+NoteList.prototype.remeasure = function() {
+	this.rowHeight = 0;
+	this.itemWidth = 0;
+	this.groupHeight = 0;
+	this.redraw();
+};
+
+/**
+ * List notes one to a line, or as a grid of as many as fit side by side
+ */
+NoteList.prototype.setGrid = function(grid) {
+	this.grid = !!grid;
+	this.remeasure();
+};
+
+/**
+ * Follow the list being made wider or narrower
+ */
+NoteList.prototype.resize = function() {
+	if (this.grid) {
+		this.schedule();
+	} else {
+		this.draw();
+	}
+};
+
+NoteList.prototype.schedule = function() {
+	var self = this;
+
+	if (!self.timer) {
+		self.timer = setTimeout(function() {
+			self.refresh();
+		}, 0);
+	}
+};
+
+/**
+ * Sort the notes, work out where each row goes and draw the ones in view
+ */
+NoteList.prototype.refresh = function() {
+	var self = this,
+		key = NoteList.SORTS[self.sort].key,
+		direction = self.order === 'asc' ? 1 : -1,
+		grouped = self.group !== 'none',
+		groupDirection = 1,
+		items = [],
+		columns = 1,
+		column = 0,
+		top = 0,
+		last = null;
+
+	clearTimeout(self.timer);
+	self.timer = null;
+
+	// Groups of dates are in the order of the dates when sorting by one,
+	// newest first otherwise. Notebooks go by name.
+	if (self.group === 'date') {
+		groupDirection = (self.sort === 'created' || self.sort === 'modified') ? direction : -1;
+	} else if (self.group === 'notebook') {
+		groupDirection = self.sort === 'notebook' ? direction : 1;
+	}
+
+	$.each(self.notes, function(noteId, note) {
+		items.push({
+			id: noteId,
+			key: key(note),
+			group: grouped ? self.groupOf(note) : null
+		});
+	});
+
+	items.sort(function(a, b) {
+		return (grouped && NoteList.compare(a.group.key, b.group.key) * groupDirection) ||
+			NoteList.compare(a.key, b.key) * direction ||
+			NoteList.compare(a.id, b.id) * direction;
+	});
+
+	self.measure();
+	self.rows = [];
+
+	if (self.grid) {
+		columns = Math.max(1, Math.floor(self.list.width() / self.itemWidth));
+	}
+
+	$.each(items, function(i, item) {
+		if (grouped && (!last || item.group.key !== last.key)) {
+			if (column) {
+				top += self.rowHeight;
+				column = 0;
+			}
+			last = item.group;
+			self.rows.push({ type: 'group', key: 'group:'+ item.group.key, label: item.group.label, top: top, left: 0 });
+			top += self.groupHeight;
+		}
+		self.rows.push({ type: 'note', key: 'note:'+ item.id, id: item.id, top: top, left: column * self.itemWidth });
+
+		if (++column === columns) {
+			top += self.rowHeight;
+			column = 0;
+		}
+	});
+	if (column) {
+		top += self.rowHeight;
+	}
+
+	self.list.height(top);
+	self.draw();
+
+	if (self.revealing) {
+		self.reveal();
+	}
+};
+
+/**
+ * Find out how big rows are from the first note and a group heading
+ */
+NoteList.prototype.measure = function() {
+	var self = this;
+
+	function size(element) {
+		element.css('visibility', 'hidden').appendTo(self.list);
+
+		var measured = { height: element.outerHeight(true), width: element.outerWidth(true) };
+
+		element.remove();
+		return measured;
+	}
+
+	if (!self.rowHeight) {
+		for (var noteId in self.notes) {
+			if (self.notes.hasOwnProperty(noteId)) {
+				var item = size($(self.render(noteId, self.notes[noteId])));
+
+				self.rowHeight = item.height || NoteList.ROW_HEIGHT;
+				self.itemWidth = item.width || NoteList.ITEM_WIDTH;
+				break;
+			}
+		}
+	}
+	if (!self.groupHeight && self.group !== 'none') {
+		self.groupHeight = size($('<li class="group">&nbsp;</li>')).height || NoteList.GROUP_HEIGHT;
+	}
+};
+
+/**
+ * Put the rows in view on the page and take the others off it
+ */
+NoteList.prototype.draw = function() {
+	var self = this,
+		rows = self.rows,
+		scrollTop = self.viewport.scrollTop(),
+		offset = self.list.offset().top - self.viewport.offset().top + scrollTop,
+		overscan = NoteList.OVERSCAN * (self.rowHeight || NoteList.ROW_HEIGHT),
+		from = scrollTop - offset - overscan,
+		to = scrollTop - offset + (self.viewport.height() || $(window).height()) + overscan,
+		shown = {},
+		previous = null,
+		low = 0,
+		high = rows.length;
+
+	// The first row that ends below the top of the view
+	while (low < high) {
+		var middle = (low + high) >> 1;
+
+		if (rows[middle].top + (rows[middle].type === 'group' ? self.groupHeight : self.rowHeight) <= from) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+
+	for (var i = low; i < rows.length && rows[i].top < to; i++) {
+		var row = rows[i],
+			element = self.elements[row.key];
+
+		if (!element) {
+			element = (row.type === 'group') ?
+				$('<li class="group"/>').text(row.label) :
+				$(self.render(row.id, self.notes[row.id])).toggleClass('selected', !!self.selection[row.id]);
+
+			self.elements[row.key] = element;
+		}
+
+		// Keep the page in the order of the list, for keyboards and screen
+		// readers, only moving what's out of place
+		if (previous ? element[0].previousSibling !== previous : element[0] !== self.list[0].firstChild) {
+			if (previous) {
+				element.insertAfter(previous);
+			} else {
+				element.prependTo(self.list);
+			}
+		}
+		if (element.data('top') !== row.top || element.data('left') !== row.left) {
+			element.css({ top: row.top +'px', left: row.left +'px' }).data({ top: row.top, left: row.left });
+		}
+		previous = element[0];
+		shown[row.key] = true;
+	}
+
+	for (var key in self.elements) {
+		if (self.elements.hasOwnProperty(key) && !shown[key]) {
+			self.forget(key);
+		}
+	}
+};
+
+/**
+ * Scroll the note being revealed into view
+ */
+NoteList.prototype.reveal = function() {
+	var rows = this.rows,
+		noteId = this.revealing;
+
+	this.revealing = null;
+
+	for (var i = 0; i < rows.length; i++) {
+		if (rows[i].id === noteId) {
+			var scrollTop = this.viewport.scrollTop(),
+				offset = this.list.offset().top - this.viewport.offset().top + scrollTop,
+				top = offset + rows[i].top,
+				bottom = top + this.rowHeight,
+				height = this.viewport.height();
+
+			if (top < scrollTop) {
+				this.viewport.scrollTop(top);
+			} else if (height && bottom > scrollTop + height) {
+				this.viewport.scrollTop(bottom - height);
+			}
+			this.draw();
+			return;
+		}
+	}
+};
+
+NoteList.prototype.forget = function(key) {
+	if (this.elements[key]) {
+		this.elements[key].remove();
+		delete this.elements[key];
+	}
+};
+
+/**
+ * Stop following the viewport, when the list is rendered again
+ */
+NoteList.prototype.destroy = function() {
+	clearTimeout(this.timer);
+	this.timer = null;
+	this.viewport.off('scroll.noteList');
+	$(window).off('resize.noteList');
+	this.list.empty().removeClass('virtual').css('height', '');
+};
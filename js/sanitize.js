@@ -0,0 +1,212 @@
+/**
+ * Reduces HTML to an allowlist of elements, attributes and URL schemes.
+ * Note descriptions are HTML typed in the editor, synced from other sessions
+ * or imported, so they go through Sanitizer.notes whenever they're saved or
+ * put on the page.
+ *
+ * The HTML is parsed in a document of its own, where scripts don't run and
+ * images don't load, and written out again from the parsed elements, so
+ * nothing the allowlist doesn't name can get through:
+ *
+ *    <script>, <style>, <iframe>, <object>, <svg>, <math>, <base>, <meta>
+ *                            dropped along with their contents
+ *    onerror=, onclick=, style=, srcdoc=, formaction= ...
+ *                            dropped, only listed attributes are kept
+ *    href="javascript:...", src="vbscript:...", "data:text/html..."
+ *                            dropped, also when hidden with entities,
+ *                            tabs or newlines ("jav&#x09;ascript:")
+ *    </p><script>, <!-- --><img onerror>, unclosed tags
+ *                            written out as parsed, text always escaped
+ *
+ * @param    {Object}    options     { tags, attributes, urls, required },
+ *                                   see Sanitizer.notes for an example.
+ * @return   {Sanitizer}
+ */
+
+function Sanitizer(options) {
+	// Allowed elements, by the name they're kept under: { B: 'strong' }
+	this.tags = options.tags || {};
+
+	// Allowed attributes of each kept element, true for any value or a
+	// RegExp the value has to match: { a: { href: true } }
+	this.attributes = options.attributes || {};
+
+	// Attributes holding URLs and the URLs allowed: { href: /^https?:/i }
+	this.urls = options.urls || {};
+
+	// Elements only kept when they have one of their attributes, e.g. <img>
+	// without a src: { img: 'src' }
+	this.required = options.required || {};
+}
+
+// Elements removed along with everything in them
+Sanitizer.DROP = ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+	'APPLET', 'HEAD', 'TITLE', 'META', 'LINK', 'BASE', 'NOSCRIPT', 'SVG', 'MATH',
+	'TEXTAREA', 'SELECT', 'BUTTON'];
+
+// Elements without contents or an end tag
+Sanitizer.VOID = ['br', 'hr', 'img', 'input'];
+
+// Attributes written as name="name"
+Sanitizer.BOOLEAN = ['checked', 'disabled'];
+
+Sanitizer.escape = function(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+};
+
+/**
+ * Parse HTML in a document of its own. Returns its body.
+ */
+Sanitizer.parse = function(html) {
+	var doc = document.implementation.createHTMLDocument('');
+
+	doc.body.innerHTML = html || '';
+	return doc.body;
+};
+
+Sanitizer.prototype = {
+	/**
+	 * Sanitize an HTML string
+	 */
+	sanitize: function(html) {
+		return this.serialize(Sanitizer.parse(html));
+	},
+
+	/**
+	 * The sanitized HTML of an element's contents. The element can be one on
+	 * the page, e.g. the editor's.
+	 */
+	serialize: function(root) {
+		var html = '';
+
+		for (var node = root.firstChild; node; node = node.nextSibling) {
+			html += this.node(node);
+		}
+		return html;
+	},
+
+	node: function(node) {
+		if (node.nodeType === 3) {
+			return Sanitizer.escape(node.nodeValue);
+		}
+
+		var name = node.nodeType === 1 ? node.nodeName.toUpperCase() : null;
+
+		if (!name || $.inArray(name, Sanitizer.DROP) >= 0) {
+			return '';
+		}
+
+		var tag = this.tags[name];
+
+		// Not allowed, keep what's in it
+		if (!tag) {
+			return this.serialize(node);
+		}
+
+		var allowed = this.attributes[tag] || {},
+			attrs = '',
+			kept = {};
+
+		for (var i = 0; i < node.attributes.length; i++) {
+			var attrName = node.attributes[i].name.toLowerCase(),
+				value = node.attributes[i].value,
+				rule = allowed.hasOwnProperty(attrName) ? allowed[attrName] : null;
+
+			if (!rule || kept[attrName]) {
+				continue;
+			}
+			if (this.urls.hasOwnProperty(attrName)) {
+				value = this.url(attrName, value);
+				if (value === null) {
+					continue;
+				}
+			}
+			if (rule instanceof RegExp && !rule.test(value)) {
+				continue;
+			}
+			if ($.inArray(attrName, Sanitizer.BOOLEAN) >= 0) {
+				value = attrName;
+			}
+
+			kept[attrName] = true;
+			attrs += ' '+ attrName +'="'+ Sanitizer.escape(value) +'"';
+		}
+
+		if (this.required.hasOwnProperty(tag) && !kept[this.required[tag]]) {
+			return '';
+		}
+
+		if ($.inArray(tag, Sanitizer.VOID) >= 0) {
+			return '<'+ tag + attrs +'>';
+		}
+		return '<'+ tag + attrs +'>'+ this.serialize(node) +'</'+ tag +'>';
+	},
+
+	/**
+	 * A URL if it may be used in an attribute, otherwise null. Browsers
+	 * ignore whitespace and control characters in the scheme, so they're
+	 * ignored when checking it.
+	 */
+	url: function(attrName, value) {
+		var url = $.trim(value || ''),
+			scheme = url.replace(/[\u0000- \u007f-\u009f]+/g, '');
+
+		return (url && this.urls[attrName] && this.urls[attrName].test(scheme)) ? url : null;
+	},
+
+	/**
+	 * The text of some HTML, with blocks separated by spaces as in the note
+	 * list, or by line breaks when lines is true.
+	 */
+	text: function(html, lines) {
+		var body = Sanitizer.parse(this.sanitize(html)
+			.replace(/<br>|<\/(li|tr|th|td)>/g, '$&\n')
+			.replace(/<\/(p|h\d|pre|blockquote|ul|ol|table)>/g, '$&\n\n'));
+
+		if (!lines) {
+			return $.trim(body.textContent.replace(/\s+/g, ' '));
+		}
+		return $.trim(body.textContent
+			.replace(/[ \t\u00a0]+/g, ' ')
+			.replace(/ ?\n ?/g, '\n')
+			.replace(/\n{3,}/g, '\n\n'));
+	}
+};
+
+/**
+ * What a note description may hold: what the editor writes, plus tables and
+ * images from imported and Markdown notes
+ */
+Sanitizer.notes = new Sanitizer({
+	tags: {
+		P: 'p', DIV: 'p',
+		H1: 'h1', H2: 'h2', H3: 'h3', H4: 'h4', H5: 'h5', H6: 'h6',
+		UL: 'ul', OL: 'ol', LI: 'li',
+		PRE: 'pre', CODE: 'code', BLOCKQUOTE: 'blockquote', HR: 'hr',
+		B: 'strong', STRONG: 'strong', I: 'em', EM: 'em', U: 'u',
+		S: 'del', STRIKE: 'del', DEL: 'del', SUB: 'sub', SUP: 'sup',
+		A: 'a', BR: 'br', IMG: 'img', INPUT: 'input',
+		TABLE: 'table', THEAD: 'thead', TBODY: 'tbody', TR: 'tr', TH: 'th', TD: 'td'
+	},
+	attributes: {
+		a: { href: true, title: true },
+		img: { src: true, alt: true, title: true, width: /^\d+%?$/, height: /^\d+%?$/ },
+		input: { type: /^checkbox$/i, checked: true },
+		code: { 'class': /^language-[\w+#-]+$/ },
+		ol: { start: /^\d+$/ },
+		th: { align: /^(left|center|right)$/i, colspan: /^\d+$/, rowspan: /^\d+$/ },
+		td: { align: /^(left|center|right)$/i, colspan: /^\d+$/, rowspan: /^\d+$/ }
+	},
+	urls: {
+		href: /^(https?|mailto):/i,
+		src: /^(https?:|data:image\/(png|gif|jpe?g|webp);base64,)/i
+	},
+	required: {
+		input: 'type',
+		img: 'src'
+	}
+});
@@ -0,0 +1,382 @@
+/**
+ * A client side full-text index over the current user's notes. Notes are
+ * added, updated and removed one at a time as Webernote delivers them so the
+ * index never has to be rebuilt, and searches only look at the notes sharing
+ * a word with the query, which keeps them fast with tens of thousands of
+ * notes.
+ *
+ * Queries use Evernote's search grammar:
+ *
+ *    coffee grinder          notes with words starting with both terms
+ *    "coffee grinder"        notes containing the exact phrase
+ *    -decaf                  notes without the term (works with any operator)
+ *    tag:recipes             notes with the tag, tag:rec* for a prefix
+ *    notebook:"My Notebook"  notes in the notebook
+ *    created:20130301        created on or after a date (YYYYMMDD or
+ *                            YYYY-MM-DD), or relative to today with day,
+ *                            week, month or year, e.g. created:week-1
+ *    updated:day             same, for the last modified date
+ *
+ * @return   {NoteIndex}
+ */
+
+function NoteIndex() {
+	// noteId: { tokens, text, tags, notebook, created, modified }
+	this.notes = {};
+	// token: { noteId: true }
+	this.terms = {};
+	this.size = 0;
+}
+
+NoteIndex.FIELDS = ['title', 'description', 'url', 'notebook'];
+
+/**
+ * Lowercase words of a string, HTML tags and entities dropped.
+ */
+NoteIndex.tokenize = function(str) {
+	return NoteIndex.normalize(str).split(' ').filter(function(token) {
+		return token !== '';
+	});
+};
+
+/**
+ * Lowercase a string and reduce everything that isn't a letter or digit to
+ * single spaces, so phrases can be found with indexOf().
+ */
+NoteIndex.normalize = function(str) {
+	return String(str || '')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/&[#\w]+;/g, ' ')
+		.toLowerCase()
+		.replace(/[^0-9a-z\u00c0-\uffff]+/g, ' ')
+		.replace(/^ +| +$/g, '');
+};
+
+/**
+ * Parse a query string into its parts. Each part is { value, negate } and
+ * phrases are already normalized.
+ *
+ * @param    {string}    query
+ *
+ * @return   {Object}    { terms, phrases, tags, notebooks, created, updated }
+ */
+NoteIndex.parse = function(query) {
+	var parsed = {
+			terms: [],
+			phrases: [],
+			tags: [],
+			notebooks: [],
+			created: [],
+			updated: []
+		},
+		re = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g,
+		match;
+
+	while ((match = re.exec(query || ''))) {
+		var negate = match[1] === '-',
+			operator = (match[2] || '').toLowerCase(),
+			quoted = match[3] !== undefined,
+			value = quoted ? match[3] : match[4];
+
+		if (!operator && !quoted && value && value.indexOf(':') > 0) {
+			// An operator we don't know, search for the words instead
+			value = value.replace(/:/g, ' ');
+		}
+
+		switch (operator) {
+			case 'tag':
+				parsed.tags.push({ value: value.toLowerCase(), negate: negate });
+			break;
+			case 'notebook':
+				parsed.notebooks.push({ value: value.toLowerCase(), negate: negate });
+			break;
+			case 'created':
+			case 'updated':
+				var time = NoteIndex.parseDate(value);
+				if (time !== null) {
+					parsed[operator].push({ value: time, negate: negate });
+				}
+			break;
+			default:
+				var tokens = NoteIndex.tokenize(value);
+
+				if (quoted && tokens.length > 1) {
+					parsed.phrases.push({ value: tokens.join(' '), negate: negate });
+				} else {
+					for (var i = 0; i < tokens.length; i++) {
+						parsed.terms.push({ value: tokens[i], negate: negate });
+					}
+				}
+			break;
+		}
+	}
+
+	return parsed;
+};
+
+/**
+ * Turn an Evernote style date (20130301, 2013-03-01, day, week-1, month-2,
+ * year) into a timestamp for the start of that day, week, month or year.
+ * Returns null when the date can't be read.
+ */
+NoteIndex.parseDate = function(value, now) {
+	var match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(value),
+		date = now ? new Date(now) : new Date();
+
+	if (match) {
+		return new Date(+match[1], match[2] - 1, +match[3]).getTime();
+	}
+
+	match = /^(day|week|month|year)(?:-(\d+))?$/i.exec(value);
+	if (!match) {
+		return null;
+	}
+
+	var n = +(match[2] || 0);
+	date.setHours(0, 0, 0, 0);
+
+	switch (match[1].toLowerCase()) {
+		case 'day':
+			date.setDate(date.getDate() - n);
+		break;
+		case 'week':
+			date.setDate(date.getDate() - date.getDay() - 7 * n);
+		break;
+		case 'month':
+			date.setDate(1);
+			date.setMonth(date.getMonth() - n);
+		break;
+		case 'year':
+			date.setMonth(0, 1);
+			date.setFullYear(date.getFullYear() - n);
+		break;
+	}
+	return date.getTime();
+};
+
+NoteIndex.prototype = {
+	/**
+	 * Index a note, replacing what was indexed for it before.
+	 */
+	add: function(noteId, note) {
+		if (this.notes.hasOwnProperty(noteId)) {
+			this.remove(noteId);
+		}
+
+		var text = [],
+			tokens = {},
+			tags = Webernote.parseTags(note.tags),
+			i, j;
+
+		for (i = 0; i < NoteIndex.FIELDS.length; i++) {
+			text.push(NoteIndex.normalize(note[NoteIndex.FIELDS[i]]));
+		}
+		for (i = 0; i < tags.length; i++) {
+			text.push(NoteIndex.normalize(tags[i]));
+		}
+		text = ' '+ text.join(' ') +' ';
+
+		var words = text.split(' ');
+		for (j = 0; j < words.length; j++) {
+			if (words[j] && !tokens.hasOwnProperty(words[j])) {
+				tokens[words[j]] = true;
+
+				if (!this.terms.hasOwnProperty(words[j])) {
+					this.terms[words[j]] = {};
+				}
+				this.terms[words[j]][noteId] = true;
+			}
+		}
+
+		this.notes[noteId] = {
+			tokens: tokens,
+			text: text,
+			tags: tags.map(function(tag) { return tag.toLowerCase(); }),
+			notebook: String(note.notebook || '').toLowerCase(),
+			created: note.created || 0,
+			modified: note.modified || 0
+		};
+		this.size++;
+	},
+
+	remove: function(noteId) {
+		var entry = this.notes[noteId];
+
+		if (!entry) {
+			return;
+		}
+
+		for (var token in entry.tokens) {
+			if (entry.tokens.hasOwnProperty(token) && this.terms[token]) {
+				delete this.terms[token][noteId];
+
+				if (this.isEmpty(this.terms[token])) {
+					delete this.terms[token];
+				}
+			}
+		}
+		delete this.notes[noteId];
+		this.size--;
+	},
+
+	isEmpty: function(obj) {
+		for (var key in obj) {
+			if (obj.hasOwnProperty(key)) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * The notes having a word starting with prefix, as { noteId: true }
+	 */
+	postings: function(prefix) {
+		var result = {};
+		for (var token in this.terms) {
+			if (this.terms.hasOwnProperty(token) && token.indexOf(prefix) === 0) {
+				for (var noteId in this.terms[token]) {
+					if (this.terms[token].hasOwnProperty(noteId)) {
+						result[noteId] = true;
+					}
+				}
+			}
+		}
+		return result;
+	},
+
+	/**
+	 * Find the notes matching a query.
+	 *
+	 * @param    {string|Object} query   A query string or NoteIndex.parse() result.
+	 *
+	 * @return   {Object}                The matching notes as { noteId: true }
+	 */
+	search: function(query) {
+		var parsed = (typeof query === 'string') ? NoteIndex.parse(query) : query,
+			candidates = null,
+			result = {},
+			noteId, i;
+
+		// Narrow down to the notes having every positive term
+		var required = parsed.terms.filter(function(term) { return !term.negate; });
+		for (i = 0; i < parsed.phrases.length; i++) {
+			if (!parsed.phrases[i].negate) {
+				required.push({ value: parsed.phrases[i].value.split(' ')[0] });
+			}
+		}
+
+		for (i = 0; i < required.length; i++) {
+			var postings = this.postings(required[i].value);
+
+			if (candidates === null) {
+				candidates = postings;
+			} else {
+				var narrowed = {};
+				for (noteId in candidates) {
+					if (candidates.hasOwnProperty(noteId) && postings[noteId]) {
+						narrowed[noteId] = true;
+					}
+				}
+				candidates = narrowed;
+			}
+		}
+
+		candidates = candidates || this.notes;
+		for (noteId in candidates) {
+			if (candidates.hasOwnProperty(noteId) && this.matches(noteId, parsed)) {
+				result[noteId] = true;
+			}
+		}
+		return result;
+	},
+
+	/**
+	 * Whether one indexed note matches a query.
+	 */
+	matches: function(noteId, query) {
+		var parsed = (typeof query === 'string') ? NoteIndex.parse(query) : query,
+			entry = this.notes[noteId],
+			i;
+
+		if (!entry) {
+			return false;
+		}
+
+		for (i = 0; i < parsed.terms.length; i++) {
+			if (this.hasPrefix(entry, parsed.terms[i].value) === parsed.terms[i].negate) {
+				return false;
+			}
+		}
+		for (i = 0; i < parsed.phrases.length; i++) {
+			var found = entry.text.indexOf(' '+ parsed.phrases[i].value +' ') >= 0;
+			if (found === parsed.phrases[i].negate) {
+				return false;
+			}
+		}
+		for (i = 0; i < parsed.tags.length; i++) {
+			if (this.hasTag(entry, parsed.tags[i].value) === parsed.tags[i].negate) {
+				return false;
+			}
+		}
+		for (i = 0; i < parsed.notebooks.length; i++) {
+			if ((entry.notebook === parsed.notebooks[i].value) === parsed.notebooks[i].negate) {
+				return false;
+			}
+		}
+		for (i = 0; i < parsed.created.length; i++) {
+			if ((entry.created >= parsed.created[i].value) === parsed.created[i].negate) {
+				return false;
+			}
+		}
+		for (i = 0; i < parsed.updated.length; i++) {
+			if ((entry.modified >= parsed.updated[i].value) === parsed.updated[i].negate) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	hasPrefix: function(entry, prefix) {
+		if (entry.tokens.hasOwnProperty(prefix)) {
+			return true;
+		}
+		return entry.text.indexOf(' '+ prefix) >= 0;
+	},
+
+	hasTag: function(entry, tag) {
+		var prefix = tag.charAt(tag.length - 1) === '*';
+
+		for (var i = 0; i < entry.tags.length; i++) {
+			if (prefix ? entry.tags[i].indexOf(tag.slice(0, -1)) === 0 : entry.tags[i] === tag) {
+				return true;
+			}
+		}
+		return false;
+	}
+};
+
+/**
+ * The words and phrases of a query worth highlighting in results, longest
+ * first so phrases win over the words in them.
+ */
+NoteIndex.highlights = function(query) {
+	var parsed = (typeof query === 'string') ? NoteIndex.parse(query) : query,
+		result = [],
+		i;
+
+	for (i = 0; i < parsed.phrases.length; i++) {
+		if (!parsed.phrases[i].negate) {
+			result.push(parsed.phrases[i].value);
+		}
+	}
+	for (i = 0; i < parsed.terms.length; i++) {
+		if (!parsed.terms[i].negate) {
+			result.push(parsed.terms[i].value);
+		}
+	}
+
+	return result.sort(function(a, b) {
+		return b.length - a.length;
+	});
+};
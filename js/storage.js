@@ -0,0 +1,706 @@
+/**
+ * Storage adapters let Webernote run against something other than Firebase.
+ *
+ * An adapter is an object with two functions:
+ *
+ *    connect(baseUrl, newContext): returns the root reference for baseUrl
+ *    login(rootRef, provider, onComplete): performs an interactive login and
+ *        calls onComplete(err, info) where info has the "id", "name" and
+ *        "firebaseAuthToken" fields FirebaseAuthClient hands back.
+ *
+ * The reference returned by connect() must speak the part of the Firebase
+ * reference API Webernote uses: child(), push(), set(), update(), remove(),
+ * on(), off(), once(), name(), auth() and unauth(), with snapshots that
+ * provide val(), name(), numChildren() and forEach(). That way every method on
+ * Webernote works the same whichever adapter is selected.
+ *
+ * Adapters that sync with a server may also have
+ *
+ *    status(rootRef, onChange): calls onChange(state, pending, discarded,
+ *        refused) whenever syncing starts, stops, has writes waiting or had
+ *        to drop some (see sync.js).
+ *    userReady(rootRef, callback): calls callback once the signed in
+ *        user's tree can be read, which may take until the server sent it.
+ */
+
+var WebernoteStorage = {};
+
+/**
+ * The hosted Firebase backend. Needs the Firebase and FirebaseAuthClient
+ * scripts (and therefore a network connection).
+ */
+WebernoteStorage.firebase = {
+	connect: function(baseUrl, newContext) {
+		return new Firebase(baseUrl, newContext ? new Firebase.Context() : null);
+	},
+	login: function(rootRef, provider, onComplete) {
+		var authClient = new FirebaseAuthClient(rootRef, onComplete);
+		authClient.login(provider);
+	}
+};
+
+/**
+ * Keeps the whole tree in localStorage, one key per baseUrl, so the app works
+ * on a machine with no network. Changes made in another tab are picked up
+ * through the window "storage" event.
+ */
+WebernoteStorage.local = {
+	connect: function(baseUrl) {
+		return new LocalStore('webernote:'+ baseUrl, window.localStorage).ref();
+	},
+	login: function(rootRef, provider, onComplete) {
+		onComplete(null, {
+			id: 'local',
+			name: 'Me',
+			firebaseAuthToken: 'local'
+		});
+	}
+};
+
+/**
+ * Same as the local adapter but nothing is persisted. Each connect() starts
+ * from an empty tree, which is what tests want.
+ */
+WebernoteStorage.memory = {
+	connect: function(baseUrl) {
+		return new LocalStore(baseUrl, null).ref();
+	},
+	login: WebernoteStorage.local.login
+};
+
+/**
+ * Make several changes below a reference in one write, whichever adapter it
+ * comes from. The keys of changes are paths relative to ref, e.g.
+ * "notes/abc/title", and null values remove. The references of this file take
+ * such paths in update(), Firebase's only take children there. So the write
+ * is made at the deepest location all of the paths are below: an update()
+ * when they're children of it, otherwise a transaction of it, which keeps
+ * what changed meanwhile elsewhere in it. Either way it's all at once or not
+ * at all.
+ *
+ * @param    {Firebase}  ref         Where the paths start.
+ *
+ * @param    {Object}    changes     { path: value }
+ *
+ * @param    {Function}  onComplete  Called with (err) once it's stored.
+ */
+WebernoteStorage.update = function(ref, changes, onComplete) {
+	var paths = [],
+		key;
+
+	for (key in changes) {
+		if (changes.hasOwnProperty(key)) {
+			paths.push(LocalStore.split(key));
+		}
+	}
+
+	if (ref.pathUpdates || !paths.length) {
+		ref.update(changes, onComplete);
+		return;
+	}
+	if (paths.length === 1) {
+		ref.child(paths[0].join('/')).set(changes[key], onComplete);
+		return;
+	}
+
+	var base = LocalStore.commonPath(paths),
+		target = base.length ? ref.child(base.join('/')) : ref,
+		relative = {},
+		deep = false;
+
+	for (key in changes) {
+		if (changes.hasOwnProperty(key)) {
+			var path = LocalStore.split(key).slice(base.length);
+
+			deep = deep || path.length > 1;
+			relative[path.join('/')] = changes[key];
+		}
+	}
+
+	if (!deep) {
+		target.update(relative, onComplete);
+		return;
+	}
+
+	target.transaction(function(current) {
+		var tree = new LocalStore(null, null);
+
+		tree.data = LocalStore.normalize(current);
+		for (var path in relative) {
+			if (relative.hasOwnProperty(path)) {
+				tree.put(LocalStore.split(path), LocalStore.normalize(relative[path]));
+			}
+		}
+		return LocalStore.normalize(tree.data);
+	}, function(err, committed) {
+		if (onComplete) {
+			onComplete(err || (committed ? null : new Error('Could not write the changes')));
+		}
+	});
+};
+
+
+/* * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * */
+
+/**
+ * A JSON tree with Firebase style change events. Writes go through write()
+ * so every listener affected by a change is notified exactly once, after the
+ * whole change has been applied.
+ *
+ * @param    {string}    key         Name of the tree (the localStorage key).
+ *
+ * @param    {Storage}   storage     Where to persist the tree, or null to keep
+ *                                   it in memory only.
+ * @return   {LocalStore}
+ */
+
+function LocalStore(key, storage) {
+	var self = this;
+
+	this.key = key;
+	this.storage = storage || null;
+	this.data = null;
+	this.token = null;
+	this.listeners = [];
+
+	// Used by pushId() to keep IDs generated in the same millisecond ordered
+	this.lastPushTime = 0;
+	this.lastRandChars = [];
+
+	if (this.storage) {
+		try {
+			this.data = LocalStore.normalize(JSON.parse(this.storage.getItem(this.key)));
+		} catch (e) {
+			this.data = null;
+		}
+
+		if (window.addEventListener) {
+			window.addEventListener('storage', function(e) {
+				if (e.key === self.key) {
+					self.write([{ path: [], value: JSON.parse(e.newValue) }], null, true);
+				}
+			}, false);
+		}
+	}
+}
+
+LocalStore.PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+LocalStore.EVENT_TYPES = ['value', 'child_added', 'child_changed', 'child_removed'];
+
+/**
+ * Split a "a/b/c" path into its keys, ignoring empty segments.
+ */
+LocalStore.split = function(path) {
+	var keys = String(path || '').split('/'),
+		result = [];
+
+	for (var i = 0; i < keys.length; i++) {
+		if (keys[i] !== '') {
+			result.push(keys[i]);
+		}
+	}
+	return result;
+};
+
+/**
+ * Return a deep copy of value the way Firebase would store it: arrays become
+ * objects, null and undefined children are dropped and empty objects become
+ * null.
+ */
+LocalStore.normalize = function(value) {
+	if (value === undefined || value === null) {
+		return null;
+	}
+	if (typeof value !== 'object') {
+		return value;
+	}
+
+	var result = {},
+		empty = true;
+
+	for (var key in value) {
+		if (value.hasOwnProperty(key)) {
+			var child = LocalStore.normalize(value[key]);
+			if (child !== null) {
+				result[key] = child;
+				empty = false;
+			}
+		}
+	}
+	return empty ? null : result;
+};
+
+LocalStore.equal = function(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+		return false;
+	}
+
+	var key;
+	for (key in a) {
+		if (a.hasOwnProperty(key) && !LocalStore.equal(a[key], b[key])) {
+			return false;
+		}
+	}
+	for (key in b) {
+		if (b.hasOwnProperty(key) && !a.hasOwnProperty(key)) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Children are ordered the way Firebase orders keys without priorities:
+ * integer-like keys first in numeric order, then the rest lexicographically.
+ */
+LocalStore.sortedKeys = function(value) {
+	var keys = [];
+
+	if (!value || typeof value !== 'object') {
+		return keys;
+	}
+	for (var key in value) {
+		if (value.hasOwnProperty(key)) {
+			keys.push(key);
+		}
+	}
+
+	return keys.sort(function(a, b) {
+		var aInt = /^-?\d{1,10}$/.test(a),
+			bInt = /^-?\d{1,10}$/.test(b);
+
+		if (aInt && bInt) {
+			return a - b;
+		}
+		if (aInt !== bInt) {
+			return aInt ? -1 : 1;
+		}
+		return a < b ? -1 : (a > b ? 1 : 0);
+	});
+};
+
+/**
+ * The deepest path the paths, arrays of keys, are all at or below. With
+ * several, none of them is at it, so they can be made relative to it.
+ */
+LocalStore.commonPath = function(paths) {
+	var base = paths[0].slice(0),
+		i;
+
+	for (i = 1; i < paths.length; i++) {
+		var n = 0;
+
+		while (n < base.length && n < paths[i].length && base[n] === paths[i][n]) {
+			n++;
+		}
+		base.length = n;
+	}
+
+	for (i = 0; paths.length > 1 && i < paths.length; i++) {
+		if (base.length && paths[i].length === base.length) {
+			base.length--;
+			break;
+		}
+	}
+	return base;
+};
+
+LocalStore.prototype = {
+	ref: function(path) {
+		return new LocalRef(this, LocalStore.split(path));
+	},
+
+	get: function(path) {
+		var node = this.data;
+
+		for (var i = 0; i < path.length; i++) {
+			if (!node || typeof node !== 'object' || !node.hasOwnProperty(path[i])) {
+				return null;
+			}
+			node = node[path[i]];
+		}
+		return node;
+	},
+
+	/**
+	 * Apply a list of { path, value } changes as one write, then notify
+	 * listeners. onComplete(err) is called once everything is stored.
+	 */
+	write: function(changes, onComplete, skipPersist) {
+		var affected = [],
+			err = null,
+			i;
+
+		for (i = 0; i < this.listeners.length; i++) {
+			var listener = this.listeners[i];
+
+			for (var j = 0; j < changes.length; j++) {
+				if (this.related(listener.path, changes[j].path)) {
+					affected.push({
+						listener: listener,
+						before: this.get(listener.path)
+					});
+					break;
+				}
+			}
+		}
+
+		for (i = 0; i < changes.length; i++) {
+			this.put(changes[i].path, LocalStore.normalize(changes[i].value));
+		}
+
+		if (!skipPersist) {
+			err = this.persist();
+		}
+
+		for (i = 0; i < affected.length; i++) {
+			this.fire(affected[i].listener, affected[i].before, this.get(affected[i].listener.path));
+		}
+
+		if (typeof onComplete === 'function') {
+			onComplete(err);
+		}
+	},
+
+	/**
+	 * Store value at path, creating parents on the way and pruning parents
+	 * left empty when a value is removed. Values are never mutated in place
+	 * so snapshots taken before a write keep their old contents.
+	 */
+	put: function(path, value) {
+		this.data = (function put(node, depth) {
+			if (depth === path.length) {
+				return value;
+			}
+
+			var copy = {},
+				key = path[depth],
+				child;
+
+			if (node && typeof node === 'object') {
+				for (var k in node) {
+					if (node.hasOwnProperty(k)) {
+						copy[k] = node[k];
+					}
+				}
+			}
+
+			child = put(copy.hasOwnProperty(key) ? copy[key] : null, depth + 1);
+			if (child === null) {
+				delete copy[key];
+			} else {
+				copy[key] = child;
+			}
+
+			for (k in copy) {
+				if (copy.hasOwnProperty(k)) {
+					return copy;
+				}
+			}
+			return null;
+		})(this.data, 0);
+	},
+
+	persist: function() {
+		if (!this.storage) {
+			return null;
+		}
+		try {
+			if (this.data === null) {
+				this.storage.removeItem(this.key);
+			} else {
+				this.storage.setItem(this.key, JSON.stringify(this.data));
+			}
+		} catch (e) {
+			return new Error('Could not persist '+ this.key +': '+ e.message);
+		}
+		return null;
+	},
+
+	// A change at one path is visible to listeners above or below it
+	related: function(a, b) {
+		var length = Math.min(a.length, b.length);
+
+		for (var i = 0; i < length; i++) {
+			if (a[i] !== b[i]) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	fire: function(listener, before, after) {
+		if (!listener.active || LocalStore.equal(before, after)) {
+			return;
+		}
+
+		if (listener.eventType === 'value') {
+			listener.callback(new LocalSnapshot(this, listener.path, after));
+			return;
+		}
+
+		var oldKeys = LocalStore.sortedKeys(before),
+			newKeys = LocalStore.sortedKeys(after),
+			i, key;
+
+		for (i = 0; i < oldKeys.length && listener.active; i++) {
+			key = oldKeys[i];
+
+			if (listener.eventType === 'child_removed' && !(after && after.hasOwnProperty(key))) {
+				listener.callback(new LocalSnapshot(this, listener.path.concat(key), before[key]));
+			}
+		}
+		for (i = 0; i < newKeys.length && listener.active; i++) {
+			key = newKeys[i];
+
+			if (!(before && before.hasOwnProperty(key))) {
+				if (listener.eventType === 'child_added') {
+					listener.callback(new LocalSnapshot(this, listener.path.concat(key), after[key]));
+				}
+			}
+			else if (listener.eventType === 'child_changed' && !LocalStore.equal(before[key], after[key])) {
+				listener.callback(new LocalSnapshot(this, listener.path.concat(key), after[key]));
+			}
+		}
+	},
+
+	listen: function(path, eventType, callback) {
+		if (LocalStore.EVENT_TYPES.indexOf(eventType) < 0) {
+			throw new Error('Invalid event type '+ eventType);
+		}
+		if (typeof callback !== 'function') {
+			throw new Error('Invalid callback');
+		}
+
+		var listener = {
+				path: path,
+				eventType: eventType,
+				callback: callback,
+				active: true
+			},
+			value = this.get(path);
+
+		this.listeners.push(listener);
+
+		// Like Firebase, deliver the current state straight away
+		if (eventType === 'value') {
+			callback(new LocalSnapshot(this, path, value));
+		}
+		else if (eventType === 'child_added') {
+			var keys = LocalStore.sortedKeys(value);
+			for (var i = 0; i < keys.length && listener.active; i++) {
+				callback(new LocalSnapshot(this, path.concat(keys[i]), value[keys[i]]));
+			}
+		}
+
+		return callback;
+	},
+
+	unlisten: function(path, eventType, callback) {
+		var kept = [];
+
+		for (var i = 0; i < this.listeners.length; i++) {
+			var listener = this.listeners[i];
+
+			if (listener.path.join('/') === path.join('/') &&
+				(!eventType || listener.eventType === eventType) &&
+				(!callback || listener.callback === callback)) {
+				listener.active = false;
+			} else {
+				kept.push(listener);
+			}
+		}
+		this.listeners = kept;
+	},
+
+	/**
+	 * Any token is accepted, the user being whoever the token names
+	 */
+	auth: function(token, onComplete) {
+		this.token = token;
+		if (typeof onComplete === 'function') {
+			onComplete(null, { auth: { id: token } });
+		}
+	},
+
+	unauth: function() {
+		this.token = null;
+	},
+
+	/**
+	 * Generate a chronologically ordered, unique key the same way Firebase
+	 * push() does: 8 characters of timestamp followed by 12 random ones.
+	 */
+	pushId: function() {
+		var now = new Date().getTime(),
+			duplicateTime = (now === this.lastPushTime),
+			timeStampChars = new Array(8),
+			id, i;
+
+		this.lastPushTime = now;
+
+		for (i = 7; i >= 0; i--) {
+			timeStampChars[i] = LocalStore.PUSH_CHARS.charAt(now % 64);
+			now = Math.floor(now / 64);
+		}
+		id = timeStampChars.join('');
+
+		if (!duplicateTime) {
+			for (i = 0; i < 12; i++) {
+				this.lastRandChars[i] = Math.floor(Math.random() * 64);
+			}
+		} else {
+			// Same millisecond, increment the random part so order is kept
+			for (i = 11; i >= 0 && this.lastRandChars[i] === 63; i--) {
+				this.lastRandChars[i] = 0;
+			}
+			this.lastRandChars[i]++;
+		}
+		for (i = 0; i < 12; i++) {
+			id += LocalStore.PUSH_CHARS.charAt(this.lastRandChars[i]);
+		}
+
+		return id;
+	}
+};
+
+
+/**
+ * A location in a LocalStore, mirroring a Firebase reference.
+ */
+
+function LocalRef(store, path) {
+	this.store = store;
+	this.path = path;
+}
+LocalRef.prototype = {
+	// update() takes paths as keys, see WebernoteStorage.update()
+	pathUpdates: true,
+
+	child: function(childPath) {
+		return new LocalRef(this.store, this.path.concat(LocalStore.split(childPath)));
+	},
+	parent: function() {
+		return this.path.length ? new LocalRef(this.store, this.path.slice(0, -1)) : null;
+	},
+	root: function() {
+		return new LocalRef(this.store, []);
+	},
+	name: function() {
+		return this.path.length ? this.path[this.path.length - 1] : null;
+	},
+	toString: function() {
+		return this.store.key +'/'+ this.path.join('/');
+	},
+	push: function(value, onComplete) {
+		var ref = this.child(this.store.pushId());
+
+		if (value !== undefined) {
+			ref.set(value, onComplete);
+		}
+		return ref;
+	},
+	set: function(value, onComplete) {
+		this.store.write([{ path: this.path, value: value }], onComplete);
+	},
+
+	/**
+	 * Set several children at once. Keys may be paths ("notes/abc/title")
+	 * so unrelated locations can be written in a single change.
+	 */
+	update: function(values, onComplete) {
+		var changes = [];
+
+		for (var key in values) {
+			if (values.hasOwnProperty(key)) {
+				changes.push({
+					path: this.path.concat(LocalStore.split(key)),
+					value: values[key]
+				});
+			}
+		}
+		this.store.write(changes, onComplete);
+	},
+	remove: function(onComplete) {
+		this.set(null, onComplete);
+	},
+	on: function(eventType, callback) {
+		return this.store.listen(this.path, eventType, callback);
+	},
+	off: function(eventType, callback) {
+		this.store.unlisten(this.path, eventType, callback);
+	},
+	once: function(eventType, callback) {
+		var self = this,
+			fired = false,
+			handler = function(snap) {
+				if (fired) {
+					return;
+				}
+				fired = true;
+				self.off(eventType, handler);
+				callback(snap);
+			};
+
+		self.on(eventType, handler);
+		if (fired) {
+			self.off(eventType, handler);
+		}
+	},
+	auth: function(token, onComplete) {
+		this.store.auth(token, onComplete);
+	},
+	unauth: function() {
+		this.store.unauth();
+	}
+};
+
+
+/**
+ * An immutable copy of the data at a location, mirroring a Firebase snapshot.
+ */
+
+function LocalSnapshot(store, path, value) {
+	this.store = store;
+	this.path = path;
+	this.value = value === undefined ? null : value;
+}
+LocalSnapshot.prototype = {
+	val: function() {
+		return this.value === null ? null : JSON.parse(JSON.stringify(this.value));
+	},
+	name: function() {
+		return this.path.length ? this.path[this.path.length - 1] : null;
+	},
+	ref: function() {
+		return new LocalRef(this.store, this.path);
+	},
+	child: function(childPath) {
+		var keys = LocalStore.split(childPath),
+			value = this.value;
+
+		for (var i = 0; i < keys.length; i++) {
+			value = (value && typeof value === 'object' && value.hasOwnProperty(keys[i])) ? value[keys[i]] : null;
+		}
+		return new LocalSnapshot(this.store, this.path.concat(keys), value);
+	},
+	hasChild: function(childPath) {
+		return this.child(childPath).value !== null;
+	},
+	numChildren: function() {
+		return LocalStore.sortedKeys(this.value).length;
+	},
+	forEach: function(callback) {
+		var keys = LocalStore.sortedKeys(this.value);
+
+		for (var i = 0; i < keys.length; i++) {
+			if (callback(this.child(keys[i])) === true) {
+				return true;
+			}
+		}
+		return false;
+	}
+};
@@ -0,0 +1,644 @@
+/**
+ * Offline-first storage. The signed in user's tree (users/<id>) is mirrored
+ * in IndexedDB and Webernote reads and writes the mirror, so the app works
+ * the same with or without a connection:
+ *
+ *    - every write is applied to the mirror straight away and kept in an
+ *      outbox, which is saved in IndexedDB too so it survives reloads
+ *    - once Firebase is connected the outbox is replayed to it in order,
+ *      each write being dropped from the outbox when Firebase has it
+ *    - changes from Firebase replace the mirror, with the writes still in the
+ *      outbox applied on top so they don't flicker away
+ *    - a write Firebase refuses, e.g. because of its security rules, is
+ *      dropped from the outbox and undone in the mirror, and the ones after
+ *      it are still synced
+ *
+ * When a note was changed both offline here and elsewhere, the last change
+ * wins: after reconnecting, the writes to a note are dropped from the outbox
+ * when Firebase has a later "modified" time for it than the one written here.
+ * Writes to a note are the note itself and its entries in the tag, notebook,
+ * trash and history lists, so the indexes stay in step with the version that
+ * won. Writes to other notes made at the same time are kept, and the status
+ * listeners are told how many notes lost their changes.
+ *
+ * Select it as the "offline" storage adapter (see storage.js). It needs
+ * window.indexedDB to keep anything across reloads, and the Firebase scripts
+ * to sync. Without them it still works on what was mirrored before.
+ *
+ * @param    {string}    key         Name of the tree, the IndexedDB keys
+ *                                   start with it.
+ *
+ * @param    {Firebase}  remote      The Firebase root to sync with, or null.
+ * @return   {SyncStore}
+ */
+
+function SyncStore(key, remote) {
+	var self = this;
+
+	LocalStore.call(this, key, null);
+
+	this.remote = remote || null;
+	this.db = null;
+	this.loaded = false;
+	this.waiting = [];
+
+	// { token, id, local } of the user being synced, kept so a known token
+	// can be accepted offline. Local users never signed in with Firebase and
+	// aren't synced.
+	this.user = null;
+	this.userPath = null;
+
+	// Writes not in Firebase yet: { time, changes: [{ path, value }] }
+	this.outbox = [];
+
+	// The user's tree as Firebase has it, undefined until it arrived
+	this.remoteData = undefined;
+	this.connected = false;
+	this.resolved = false;
+	this.flushing = false;
+	this.failed = false;
+	this.applying = false;
+
+	this.statusListeners = [];
+	this.userWaiting = [];
+
+	// Notes whose changes made here lost to later ones made elsewhere, and
+	// writes Firebase refused
+	this.discarded = 0;
+	this.refused = 0;
+	this.saveTimer = null;
+
+	SyncStore.open(function(err, db) {
+		self.db = db;
+		self.load();
+	});
+}
+
+(function() {
+	function Surrogate() {}
+	Surrogate.prototype = LocalStore.prototype;
+	SyncStore.prototype = new Surrogate();
+	SyncStore.prototype.constructor = SyncStore;
+})();
+
+SyncStore.DB_NAME = 'webernote';
+SyncStore.DB_VERSION = 1;
+SyncStore.OBJECT_STORE = 'sync';
+
+// The mirror is saved this long after the last write, the outbox right away
+SyncStore.SAVE_DELAY = 500;
+
+/**
+ * Open the IndexedDB database. The callback is called with (err, db), db
+ * being null when there's no IndexedDB or it can't be used.
+ */
+SyncStore.open = function(onComplete) {
+	var request;
+
+	try {
+		request = window.indexedDB.open(SyncStore.DB_NAME, SyncStore.DB_VERSION);
+	} catch (e) {
+		onComplete(new Error('IndexedDB is not available'), null);
+		return;
+	}
+
+	request.onupgradeneeded = function(e) {
+		request.result.createObjectStore(SyncStore.OBJECT_STORE);
+	};
+	request.onsuccess = function(e) {
+		onComplete(false, request.result);
+	};
+	request.onerror = function(e) {
+		onComplete(new Error('Could not open the offline database'), null);
+	};
+};
+
+/**
+ * Which note a path in the user's tree belongs to, if any:
+ * notes/<noteId>, trash/<noteId>, history/<noteId>, tags/<tag>/<noteId> or
+ * notebooks/<notebook>/<noteId>
+ */
+SyncStore.noteOf = function(path) {
+	switch (path[0]) {
+		case 'notes':
+		case 'trash':
+		case 'history':
+			return path[1] || null;
+		case 'tags':
+		case 'notebooks':
+			return path[2] || null;
+	}
+	return null;
+};
+
+/**
+ * When a note was last changed according to a write to the user's tree:
+ * the "modified" time of a note or the time it went to the Trash. Null for
+ * writes that don't say.
+ */
+SyncStore.modifiedIn = function(path, value) {
+	if (path[0] === 'notes' && path.length === 2) {
+		return (value && value.modified) || null;
+	}
+	if (path[0] === 'notes' && path.length === 3 && path[2] === 'modified') {
+		return value || null;
+	}
+	if (path[0] === 'trash' && path.length === 2) {
+		return (value && value.deleted) || null;
+	}
+	return null;
+};
+
+/**
+ * When a note was last changed according to a user's tree
+ */
+SyncStore.modifiedOf = function(tree, noteId) {
+	var note = tree && tree.notes && tree.notes[noteId],
+		trashed = tree && tree.trash && tree.trash[noteId];
+
+	return Math.max(note ? (note.modified || 0) : 0, trashed ? (trashed.deleted || 0) : 0);
+};
+
+/**
+ * Whether an error of a write means Firebase won't ever take it: its security
+ * rules, validation included, refuse it with PERMISSION_DENIED. Others, e.g.
+ * of the network, may pass when tried again.
+ */
+SyncStore.refuses = function(err) {
+	return /permission_denied/i.test(String(err.code || err.message || err));
+};
+
+SyncStore.prototype.load = function() {
+	var self = this;
+
+	self.read(['tree', 'outbox', 'user'], function(values) {
+		var changes = [{ path: [], value: values.tree || null }];
+
+		self.outbox = values.outbox || [];
+		self.user = values.user || null;
+
+		// The mirror is saved a moment after the writes, the outbox right
+		// away, so the last writes before closing may only be in the outbox
+		$.each(self.outbox, function(i, entry) {
+			changes = changes.concat(entry.changes);
+		});
+
+		self.applying = true;
+		LocalStore.prototype.write.call(self, changes, null, true);
+		self.applying = false;
+
+		self.loaded = true;
+		for (var i = 0; i < self.waiting.length; i++) {
+			self.waiting[i]();
+		}
+		self.waiting = [];
+		self.notify();
+	});
+};
+
+/**
+ * Call a function once the mirror is loaded
+ */
+SyncStore.prototype.ready = function(callback) {
+	if (this.loaded) {
+		callback();
+	} else {
+		this.waiting.push(callback);
+	}
+};
+
+/**
+ * Call a function once the signed in user's tree can be read: straight away
+ * when it was mirrored before or isn't synced, otherwise once it arrived from
+ * Firebase. Reading an empty mirror would make a first login on this computer
+ * look like the user's first one.
+ */
+SyncStore.prototype.userReady = function(callback) {
+	var self = this;
+
+	self.ready(function() {
+		var user = self.user,
+			mirrored = user && self.data && self.data.users && self.data.users[user.id];
+
+		if (!user || user.local || !self.remote || mirrored || self.remoteData !== undefined) {
+			callback();
+		} else {
+			self.userWaiting.push(callback);
+		}
+	});
+};
+
+/**
+ * Read some of our records. The callback is called with an object holding
+ * their values, null for those that aren't saved.
+ */
+SyncStore.prototype.read = function(names, callback) {
+	var self = this,
+		values = {},
+		left = names.length;
+
+	if (!self.db) {
+		callback(values);
+		return;
+	}
+
+	var objectStore = self.db.transaction(SyncStore.OBJECT_STORE, 'readonly').objectStore(SyncStore.OBJECT_STORE);
+
+	$.each(names, function(i, name) {
+		var request = objectStore.get(self.key +':'+ name);
+
+		request.onsuccess = request.onerror = function(e) {
+			values[name] = request.result === undefined ? null : request.result;
+			if (--left === 0) {
+				callback(values);
+			}
+		};
+	});
+};
+
+SyncStore.prototype.save = function(name, value) {
+	if (!this.db) {
+		return;
+	}
+
+	var objectStore = this.db.transaction(SyncStore.OBJECT_STORE, 'readwrite').objectStore(SyncStore.OBJECT_STORE);
+
+	if (value === null) {
+		objectStore['delete'](this.key +':'+ name);
+	} else {
+		objectStore.put(value, this.key +':'+ name);
+	}
+};
+
+/**
+ * Called by LocalStore.write(), the mirror is saved once writes settle
+ */
+SyncStore.prototype.persist = function() {
+	var self = this;
+
+	clearTimeout(self.saveTimer);
+	self.saveTimer = setTimeout(function() {
+		self.save('tree', self.data);
+	}, SyncStore.SAVE_DELAY);
+
+	return null;
+};
+
+/**
+ * Writes made here go to the mirror and, unless the user is a local one, the
+ * outbox
+ */
+SyncStore.prototype.write = function(changes, onComplete, skipPersist) {
+	LocalStore.prototype.write.call(this, changes, onComplete, skipPersist);
+
+	if (this.applying || (this.user && this.user.local)) {
+		return;
+	}
+
+	this.outbox.push({
+		time: new Date().getTime(),
+		changes: $.map(changes, function(change) {
+			return { path: change.path, value: LocalStore.normalize(change.value) };
+		})
+	});
+	this.save('outbox', this.outbox);
+	this.notify();
+	this.flush();
+};
+
+/**
+ * A known token is accepted straight away so the app starts offline, a new
+ * one needs Firebase to accept it first
+ */
+SyncStore.prototype.auth = function(token, onComplete) {
+	var self = this;
+
+	self.ready(function() {
+		if (self.user && self.user.token === token) {
+			self.token = token;
+			self.start();
+			onComplete(null, { auth: { id: self.user.id } });
+
+			if (self.remote && !self.user.local) {
+				self.remote.auth(token, function(err) {
+					if (err) {
+						self.failed = true;
+						self.notify();
+					}
+				});
+			}
+			return;
+		}
+
+		if (!self.remote) {
+			onComplete(new Error('Cannot sign in while offline'), null);
+			return;
+		}
+
+		self.remote.auth(token, function(err, result) {
+			if (err) {
+				onComplete(err, result);
+				return;
+			}
+
+			self.signedIn(token, result.auth.id);
+			onComplete(null, result);
+		});
+	});
+};
+
+/**
+ * Start syncing a user who signed in, with Firebase unless local is true
+ */
+SyncStore.prototype.signedIn = function(token, userId, local) {
+	this.token = token;
+	this.user = { token: token, id: String(userId), local: !!local };
+	this.save('user', this.user);
+	this.start();
+};
+
+SyncStore.prototype.unauth = function() {
+	this.stop();
+	this.token = null;
+	this.user = null;
+	this.discarded = 0;
+	this.refused = 0;
+	this.save('user', null);
+
+	if (this.remote) {
+		this.remote.unauth();
+	}
+};
+
+/**
+ * Follow the connection and the user's tree in Firebase
+ */
+SyncStore.prototype.start = function() {
+	var self = this;
+
+	self.stop();
+	self.userPath = ['users', self.user.id];
+
+	if (!self.remote || self.user.local) {
+		self.notify();
+		return;
+	}
+
+	self.connectedRef = self.remote.child('.info/connected');
+	self.connectedHandler = self.connectedRef.on('value', function(snap) {
+		self.connected = snap.val() === true;
+
+		// Whatever happened to the tree meanwhile is checked again, and
+		// writes Firebase refused are tried again
+		if (!self.connected) {
+			self.resolved = false;
+		} else if (self.remoteData !== undefined) {
+			self.failed = false;
+			self.resolve();
+			self.flush();
+		}
+		self.notify();
+	});
+
+	self.userRef = self.remote.child(self.userPath.join('/'));
+	self.userHandler = self.userRef.on('value', function(snap) {
+		self.remoteData = snap.val();
+
+		if (self.connected && !self.resolved) {
+			self.resolve();
+		}
+		self.merge();
+		self.flush();
+		self.notify();
+
+		var waiting = self.userWaiting;
+
+		self.userWaiting = [];
+		for (var i = 0; i < waiting.length; i++) {
+			waiting[i]();
+		}
+	});
+};
+
+SyncStore.prototype.stop = function() {
+	if (this.connectedRef) {
+		this.connectedRef.off('value', this.connectedHandler);
+		this.userRef.off('value', this.userHandler);
+		this.connectedRef = this.userRef = null;
+	}
+	this.userPath = null;
+	this.remoteData = undefined;
+	this.connected = false;
+	this.resolved = false;
+};
+
+/**
+ * Drop the writes to notes Firebase has a later change to than the last one
+ * made here. Both are the notes' own "modified" times, so it doesn't matter
+ * when the writes were queued. Entries lose only the writes to those notes.
+ */
+SyncStore.prototype.resolve = function() {
+	var self = this,
+		modified = {},
+		dropped = {},
+		count = 0;
+
+	self.resolved = true;
+
+	$.each(self.outbox, function(i, entry) {
+		$.each(entry.changes, function(j, change) {
+			var path = self.userPathOf(change.path),
+				noteId = path && SyncStore.noteOf(path),
+				time = path && SyncStore.modifiedIn(path, change.value);
+
+			if (noteId && time) {
+				modified[noteId] = Math.max(modified[noteId] || 0, time);
+			}
+		});
+	});
+
+	for (var noteId in modified) {
+		if (modified.hasOwnProperty(noteId) && SyncStore.modifiedOf(self.remoteData, noteId) > modified[noteId]) {
+			dropped[noteId] = true;
+			count++;
+		}
+	}
+
+	if (!count) {
+		return;
+	}
+
+	self.outbox = $.map(self.outbox, function(entry) {
+		var changes = $.grep(entry.changes, function(change) {
+			var path = self.userPathOf(change.path);
+
+			return !(path && dropped[SyncStore.noteOf(path)]);
+		});
+
+		return changes.length ? { time: entry.time, changes: changes } : null;
+	});
+	self.discarded += count;
+	self.save('outbox', self.outbox);
+	self.merge();
+};
+
+/**
+ * A path in the tree relative to the user being synced, or null when it's
+ * outside of it
+ */
+SyncStore.prototype.userPathOf = function(path) {
+	var userPath = this.userPath;
+
+	if (path.length > 2 && path[0] === userPath[0] && path[1] === userPath[1]) {
+		return path.slice(2);
+	}
+	return null;
+};
+
+/**
+ * Make the mirror the user's tree from Firebase plus what's in the outbox
+ */
+SyncStore.prototype.merge = function() {
+	if (this.remoteData === undefined) {
+		return;
+	}
+
+	var changes = [{ path: this.userPath, value: this.remoteData }];
+
+	$.each(this.outbox, function(i, entry) {
+		changes = changes.concat(entry.changes);
+	});
+
+	this.applying = true;
+	LocalStore.prototype.write.call(this, changes, null);
+	this.applying = false;
+};
+
+/**
+ * Replay the outbox to Firebase, one entry at a time. Each entry is one write
+ * there (see WebernoteStorage.update()), so it's stored all at once or not at
+ * all. An entry stays in the outbox until Firebase has it, or refused it (see
+ * SyncStore.refuses()): then it's dropped and undone here, and the next one
+ * is written. Other errors stop syncing until Firebase connects again.
+ */
+SyncStore.prototype.flush = function() {
+	var self = this;
+
+	if (self.flushing || self.failed || !self.connected || !self.resolved || !self.outbox.length) {
+		return;
+	}
+	self.flushing = true;
+
+	var entry = self.outbox[0];
+
+	function done(err) {
+		var refused = err && SyncStore.refuses(err);
+
+		self.flushing = false;
+		if (err && !refused) {
+			self.failed = true;
+		} else if (self.outbox[0] === entry) {
+			self.outbox.shift();
+			self.save('outbox', self.outbox);
+		}
+		if (refused) {
+			self.refused++;
+			self.merge();
+		}
+		self.notify();
+		self.flush();
+	}
+
+	if (!entry.changes.length) {
+		done(null);
+		return;
+	}
+
+	var changes = {};
+
+	$.each(entry.changes, function(i, change) {
+		var path = change.path.join('/');
+
+		// Later changes to a path go after the ones they may be below
+		delete changes[path];
+		changes[path] = change.value;
+	});
+	WebernoteStorage.update(self.remote, changes, done);
+};
+
+/**
+ * Register a callback to be told how syncing is going. It's called with
+ * (state, pending, discarded, refused), state being "synced", "syncing",
+ * "offline", "error" or "local" for a local user, pending the number of
+ * writes Firebase doesn't have yet, discarded the number of notes whose
+ * changes made here were dropped since signing in (see resolve()) and refused
+ * the number of writes Firebase refused since then (see flush()).
+ */
+SyncStore.prototype.onStatus = function(callback) {
+	this.statusListeners.push(callback);
+	callback(this.status(), this.outbox.length, this.discarded, this.refused);
+};
+
+SyncStore.prototype.status = function() {
+	if (this.user && this.user.local) {
+		return 'local';
+	}
+	if (this.failed) {
+		return 'error';
+	}
+	if (!this.connected) {
+		return 'offline';
+	}
+	return (this.remoteData === undefined || this.outbox.length) ? 'syncing' : 'synced';
+};
+
+SyncStore.prototype.notify = function() {
+	var state = this.status(),
+		pending = this.outbox.length,
+		discarded = this.discarded,
+		refused = this.refused;
+
+	if (state === this.lastState && pending === this.lastPending && discarded === this.lastDiscarded && refused === this.lastRefused) {
+		return;
+	}
+	this.lastState = state;
+	this.lastPending = pending;
+	this.lastDiscarded = discarded;
+	this.lastRefused = refused;
+
+	for (var i = 0; i < this.statusListeners.length; i++) {
+		this.statusListeners[i](state, pending, discarded, refused);
+	}
+};
+
+/**
+ * The mirror, synced with Firebase when its scripts are loaded. Without them
+ * signing in makes a local user like the local adapter does.
+ */
+WebernoteStorage.offline = {
+	connect: function(baseUrl, newContext) {
+		var remote = (typeof Firebase === 'undefined') ? null : WebernoteStorage.firebase.connect(baseUrl, newContext);
+
+		return new SyncStore('webernote:'+ baseUrl, remote).ref();
+	},
+	login: function(rootRef, provider, onComplete) {
+		var store = rootRef.store,
+			online = store.remote && typeof FirebaseAuthClient !== 'undefined',
+			login = online ? WebernoteStorage.firebase.login : WebernoteStorage.local.login;
+
+		store.ready(function() {
+			login(store.remote, provider, function(err, info) {
+				if (info) {
+					store.signedIn(info.firebaseAuthToken, info.id, !online);
+				}
+				onComplete(err, info);
+			});
+		});
+	},
+	status: function(rootRef, onChange) {
+		rootRef.store.onStatus(onChange);
+	},
+	userReady: function(rootRef, callback) {
+		rootRef.store.userReady(callback);
+	}
+};
@@ -0,0 +1,114 @@
+/**
+ * Service worker keeping the app shell available offline. The notes
+ * themselves are kept by sync.js, this only caches the files to start the
+ * app without a network.
+ *
+ * Everything in SHELL is cached when a new version is installed, into a
+ * cache named after VERSION, and the caches of older versions are deleted
+ * once it's activated. Bump VERSION whenever one of these files changes:
+ * open pages then offer to reload into the new version (see
+ * WebernoteUI.registerServiceWorker() in main.js).
+ *
+ * Pages are served from the cache, falling back to the network and then to
+ * offline.html. Other files are served from the cache when they're in it.
+ */
+
+var VERSION = 'v9',
+	CACHE = 'webernote-'+ VERSION;
+
+// Installing fails unless all of these could be cached
+var SHELL = [
+	'./',
+	'index.html',
+	'offline.html',
+	'css/normalize.min.css',
+	'css/main.css',
+	'img/arrow.png',
+	'img/arrow.gif',
+	'js/vendor/modernizr-2.6.2-respond-1.1.0.min.js',
+	'js/vendor/jquery-1.8.3.min.js',
+	'js/vendor/mustache-0.7.2.js',
+	'js/vendor/history.js',
+	'js/colResizable-1.3.min.js',
+	'js/plugins.js',
+	'js/storage.js',
+	'js/sync.js',
+	'js/search.js',
+	'js/sanitize.js',
+	'js/markdown.js',
+	'js/diff.js',
+	'js/editor.js',
+	'js/enex.js',
+	'js/export.js',
+	'js/notelist.js',
+	'js/main.js'
+];
+
+// Cached when they can be: the libraries index.html loads from CDNs. jQuery
+// and Mustache have copies in SHELL for when these aren't.
+var EXTRAS = [
+	'https://ajax.googleapis.com/ajax/libs/jquery/1.8.3/jquery.min.js',
+	'https://cdnjs.cloudflare.com/ajax/libs/mustache.js/0.7.2/mustache.min.js',
+	'https://cdn.firebase.com/v0/firebase.js',
+	'https://cdn.firebase.com/v0/firebase-auth-client.js'
+];
+
+self.addEventListener('install', function(e) {
+	e.waitUntil(caches.open(CACHE).then(function(cache) {
+		return cache.addAll(SHELL).then(function() {
+			// The CDNs answer without CORS headers, and add() refuses the
+			// opaque responses that makes so they're put() instead
+			return Promise.all(EXTRAS.map(function(url) {
+				return fetch(new Request(url, { mode: 'no-cors' })).then(function(response) {
+					return cache.put(url, response);
+				})['catch'](function() {});
+			}));
+		});
+	}));
+});
+
+self.addEventListener('activate', function(e) {
+	e.waitUntil(caches.keys().then(function(names) {
+		return Promise.all(names.filter(function(name) {
+			return name.indexOf('webernote-') === 0 && name !== CACHE;
+		}).map(function(name) {
+			return caches['delete'](name);
+		}));
+	}).then(function() {
+		return self.clients.claim();
+	}));
+});
+
+self.addEventListener('fetch', function(e) {
+	var request = e.request;
+
+	if (request.method !== 'GET') {
+		return;
+	}
+
+	// The app is one page, whatever the query string says. Other pages come
+	// from the network, or offline.html without one.
+	if (request.mode === 'navigate') {
+		var path = new URL(request.url).pathname,
+			scope = new URL(self.registration.scope).pathname,
+			shell = (path === scope || path === scope +'index.html');
+
+		e.respondWith((shell ? caches.match('index.html') : Promise.resolve(null)).then(function(response) {
+			return response || fetch(request);
+		})['catch'](function() {
+			return caches.match('offline.html');
+		}));
+		return;
+	}
+
+	e.respondWith(caches.match(request).then(function(response) {
+		return response || fetch(request);
+	}));
+});
+
+// Sent by the page when the user chose to reload into the new version
+self.addEventListener('message', function(e) {
+	if (e.data && e.data.action === 'skipWaiting') {
+		self.skipWaiting();
+	}
+});
@@ -0,0 +1,43 @@
+/**
+ * Reading and writing Evernote exports, and importing them
+ */
+
+module('enex');
+
+function enex(notes) {
+	return '<?xml version="1.0" encoding="UTF-8"?>\n<en-export>'+ notes.join('\n') +'</en-export>';
+}
+
+test('notes are numbered by where they are in the file', function() {
+	var parsed = Enex.notes(enex([
+		'<note><title>One</title><content><![CDATA[<en-note>1</en-note>]]></content></note>',
+		'<note><title>Two</title></note>',
+		'<note><title>Three</title><content><![CDATA[<en-note>3</en-note>]]></content></note>'
+	]), 'Imported');
+
+	deepEqual($.map(parsed.notes, function(note) { return note.title; }), ['One', 'Three']);
+	deepEqual(parsed.indexes, [1, 3]);
+	deepEqual(parsed.errors, [{ index: 2, title: 'Two', message: 'The note has no content' }]);
+});
+
+asyncTest('importNotes numbers the notes it could not save the same way', function() {
+	var webernote = Fixture.webernote();
+
+	Fixture.login(webernote, '17470435', function() {});
+
+	expect(2);
+	webernote.importNotes([{ title: 'One' }, 'Two', { title: 'Four' }], [1, 3, 4], function(err, result) {
+		equal(result.imported.length, 2);
+		deepEqual($.map(result.errors, function(error) { return error.index; }), [3]);
+		start();
+	});
+});
+
+test('images that are not base64 are exported as attachments', function() {
+	var enml = Enex.toENML('<p><img src="data:image/png;base64,@@@" alt="Chart"> <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="></p>');
+
+	equal(enml.resources.length, 1, 'only the good image is a resource');
+	ok(enml.content.indexOf('<p>[Attachment: Chart] <en-media hash="') >= 0, 'the other one is named');
+	ok(Enex.write([{ title: 'Broken', format: 'rich', description: '<img src="data:image/png;base64,@@@">' }]).indexOf('[Attachment: image/png]') >= 0,
+		'the note is still exported');
+});
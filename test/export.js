@@ -0,0 +1,125 @@
+/**
+ * The export formats but ENEX, which test/enex.js covers, and the zip the
+ * Markdown files go in
+ */
+
+module('export');
+
+function exported() {
+	return [
+		{ id: 'a', title: 'Cookies', notebook: 'My Notebook', url: 'http://example.com/', tags: { cookies: 'cookies', snacks: 'snacks' },
+			description: '<p>Famous <b>Amos</b></p>', format: 'rich', source: 'web', created: 1362000000000, modified: 1362000001000 },
+		{ id: 'b', title: 'Cookies', notebook: 'My Notebook', tags: 'cookies, recipes', description: '# Dough', format: 'markdown', created: 1362000002000 },
+		{ id: 'c', title: 'cookies', notebook: 'My Notebook', description: 'Again', format: 'plain' },
+		{ id: 'd', title: 'a/b: c?', notebook: 'Work/Home', description: '', format: 'plain' },
+		{ id: 'e', title: '', notebook: '', description: '', format: 'plain' }
+	];
+}
+
+test('JSON has every field and reads back', function() {
+	var file = Export.file('json', exported(), 'My Notebook'),
+		json = JSON.parse(file.data);
+
+	equal(file.name, 'My Notebook.json');
+	equal(json.app, 'webernote');
+	equal(json.version, Export.VERSION);
+	equal(json.notes.length, 5);
+	deepEqual(json.notes[0], {
+		id: 'a',
+		title: 'Cookies',
+		notebook: 'My Notebook',
+		url: 'http://example.com/',
+		urls: ['http://example.com/'],
+		tags: ['cookies', 'snacks'],
+		description: '<p>Famous <b>Amos</b></p>',
+		format: 'rich',
+		source: 'web',
+		created: 1362000000000,
+		modified: 1362000001000
+	});
+	deepEqual(json.notes[1].tags, ['cookies', 'recipes'], 'comma separated tags as a list');
+	deepEqual([json.notes[2].url, json.notes[2].created, json.notes[2].source], ['', null, 'manual'], 'what a note lacks');
+	deepEqual(JSON.parse(Export.json(json.notes)).notes, json.notes, 'exporting what was read gives the same notes');
+});
+
+test('Markdown files are named after the notes, once each', function() {
+	var files = Export.markdownFiles(exported());
+
+	deepEqual($.map(files, function(file) { return file.name; }), [
+		'My Notebook/Cookies.md',
+		'My Notebook/Cookies (2).md',
+		'My Notebook/cookies (3).md',
+		'Work-Home/a-b- c-.md',
+		'Notes/Untitled.md'
+	]);
+	equal(files[0].time, 1362000001000, 'dated when the note was changed');
+	equal(files[1].time, 1362000002000, 'or made');
+});
+
+test('Markdown files have the fields in front matter', function() {
+	var files = Export.markdownFiles(exported());
+
+	equal(files[0].data, '---\n'+
+		'title: "Cookies"\n'+
+		'notebook: "My Notebook"\n'+
+		'tags: ["cookies","snacks"]\n'+
+		'url: "http://example.com/"\n'+
+		'source: web\n'+
+		'created: 2013-02-27T21:20:00.000Z\n'+
+		'modified: 2013-02-27T21:20:01.000Z\n'+
+		'---\n\n'+
+		'Famous **Amos**\n');
+	equal(files[1].data.split('---\n\n')[1], '# Dough\n', 'Markdown notes as they are');
+});
+
+test('images that are not base64 are exported as attachments', function() {
+	var file = Export.file('enex', [{
+		title: 'Chart',
+		description: '<p><img src="data:image/png;base64,@@@" alt="Chart"></p>',
+		format: 'rich',
+		created: 1362000000000
+	}], 'Charts');
+
+	equal(file.name, 'Charts.enex');
+	ok(file.data.indexOf('[Attachment: Chart]') >= 0, 'named in the note');
+	ok(file.data.indexOf('<resource>') < 0, 'without a resource');
+});
+
+test('the zip lists every file in its central directory', function() {
+	var files = Export.markdownFiles(exported()),
+		bytes = Export.zip(files),
+		view = new DataView(bytes.buffer),
+		end = bytes.length - 22,
+		pos, i;
+
+	function text(start, length) {
+		return decodeURIComponent(escape(String.fromCharCode.apply(null, bytes.subarray(start, start + length))));
+	}
+
+	equal(view.getUint32(end, true), 0x06054b50, 'it ends with the end of the central directory');
+	equal(view.getUint16(end + 10, true), files.length, 'which counts the files');
+	pos = view.getUint32(end + 16, true);
+	equal(pos + view.getUint32(end + 12, true), end, 'and says where the directory is');
+
+	for (i = 0; i < files.length; i++) {
+		var data = Export.utf8(files[i].data),
+			nameLength = view.getUint16(pos + 28, true),
+			offset = view.getUint32(pos + 42, true);
+
+		equal(view.getUint32(pos, true), 0x02014b50, 'an entry for '+ files[i].name);
+		equal(text(pos + 46, nameLength), files[i].name, 'named');
+		equal(view.getUint32(pos + 16, true), Export.crc32(data), 'with the data\'s CRC');
+		equal(view.getUint32(pos + 20, true), data.length, 'and size');
+
+		equal(view.getUint32(offset, true), 0x04034b50, 'pointing to the file');
+		equal(text(offset + 30 + nameLength, data.length), files[i].data, 'whose data is stored as it is');
+
+		pos += 46 + nameLength;
+	}
+	equal(pos, end, 'nothing else is in the directory');
+});
+
+test('crc32', function() {
+	equal(Export.crc32(Export.utf8('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+	equal(Export.crc32(Export.utf8('')), 0);
+});
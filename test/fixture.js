@@ -0,0 +1,94 @@
+/**
+ * Helpers shared by the specs. webernote-users-export.json is loaded once
+ * before any test runs, and every test gets its own copy of it in a new
+ * MockFirebase context (see js/firebase.memory.js), so tests can't see each
+ * other's writes.
+ */
+
+var Fixture = {
+	url: 'https://webernote.firebaseio.com/',
+
+	// The users of webernote-users-export.json, keyed by userId
+	users: null,
+
+	load: function(onComplete) {
+		$.getJSON('../webernote-users-export.json', function(users) {
+			Fixture.users = users;
+			onComplete(null);
+		}).fail(function() {
+			onComplete(new Error('Could not load webernote-users-export.json'));
+		});
+	},
+
+	/**
+	 * A Webernote on the mock adapter holding a fresh copy of the users.
+	 * Nobody is logged in yet, see login().
+	 *
+	 * @return   {Webernote}
+	 */
+	webernote: function() {
+		var webernote = new Webernote(Fixture.url, true, 'mock');
+
+		webernote.firebase.context.seed(Fixture.url +'users', $.extend(true, {}, Fixture.users));
+		return webernote;
+	},
+
+	/**
+	 * Log in as one of the users, calling onComplete(err, info) as
+	 * Webernote.login() does. This runs the migrations.
+	 */
+	login: function(webernote, userId, onComplete) {
+		webernote.clearSession();
+		webernote.firebase.context.user = {
+			id: userId,
+			name: Fixture.users[userId].name
+		};
+		webernote.login(false, onComplete);
+	},
+
+	/**
+	 * Read a location below a reference, e.g. Fixture.get(webernote.firebase,
+	 * 'users/17470435/tags'). Events are synchronous so this can return.
+	 */
+	get: function(ref, path) {
+		var val = null;
+
+		ref.child(path).once('value', function(snap) {
+			val = snap.val();
+		});
+		return val;
+	}
+};
+
+// Tests log in and out, which would otherwise sign the app out of the same
+// origin
+(function() {
+	var keys = ['authToken', 'userId', 'name'],
+		session = {};
+
+	QUnit.testStart(function() {
+		$.each(keys, function(i, key) {
+			session[key] = localStorage.getItem(key);
+		});
+	});
+	QUnit.testDone(function() {
+		$.each(keys, function(i, key) {
+			if (session[key] === null) {
+				localStorage.removeItem(key);
+			} else {
+				localStorage.setItem(key, session[key]);
+			}
+		});
+	});
+})();
+
+QUnit.config.autostart = false;
+
+Fixture.load(function(err) {
+	if (err) {
+		test('webernote-users-export.json', function() {
+			ok(false, err.message);
+		});
+	}
+	QUnit.start();
+});
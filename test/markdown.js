@@ -0,0 +1,27 @@
+/**
+ * Markdown.toHTML() on the GitHub extensions and on text that looks like
+ * its own markers.
+ */
+
+module('markdown');
+
+test('GitHub extensions', function() {
+	equal(Markdown.toHTML('- [x] done\n- [ ] to do'),
+		'<ul>\n<li><input type="checkbox" checked="checked"> done</li>\n<li><input type="checkbox"> to do</li>\n</ul>');
+	equal(Markdown.toHTML('~~struck~~ http://example.com'),
+		'<p><del>struck</del> <a href="http://example.com">http://example.com</a></p>');
+	equal(Markdown.toHTML('```js\nvar x = 1;\n```'),
+		'<pre><code class="language-js">var x = 1;\n</code></pre>');
+});
+
+test('HTML is shown as typed', function() {
+	equal(Markdown.toHTML('<b>bold</b>'), '<p>&lt;b&gt;bold&lt;/b&gt;</p>');
+});
+
+test('NUL characters are dropped', function() {
+	// Those are what tokens are made of, a code span holding its own marker
+	// would otherwise never be done
+	equal(Markdown.toHTML('`\u00000\u0000` and **\u00001\u0000**'), '<p><code>0</code> and <strong>1</strong></p>');
+	equal(Markdown.toHTML('| a |\n|---|\n| `\u00000\u0000` |'),
+		'<table>\n<thead><tr><th>a</th></tr></thead>\n<tbody>\n<tr><td><code>0</code></td></tr>\n</tbody>\n</table>');
+});
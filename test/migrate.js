@@ -0,0 +1,218 @@
+/**
+ * The migrations on the users of webernote-users-export.json, which were
+ * saved by the first versions: notes, tags and notebooks set to the userId,
+ * tags as comma separated strings and an index with stale entries.
+ */
+
+module('migrate', {
+	setup: function() {
+		this.webernote = Fixture.webernote();
+	},
+
+	// The user's tree without what changes on every login
+	tree: function(userId) {
+		var user = Fixture.get(this.webernote.firebase, 'users/'+ userId);
+
+		delete user.status;
+		return user;
+	}
+});
+
+/**
+ * Check that a user's notes are in the current shape and indexed, and that
+ * the indexes only hold notes that are there
+ */
+function indexed(user) {
+	var problems = [];
+
+	$.each(user.notes || {}, function(noteId, note) {
+		if (note.tags !== undefined && (!note.tags || typeof note.tags !== 'object')) {
+			problems.push(noteId +' has tags '+ note.tags);
+		}
+		if (!user.notebooks || !user.notebooks[note.notebook] || user.notebooks[note.notebook][noteId] !== noteId) {
+			problems.push(noteId +' is not in notebook '+ note.notebook);
+		}
+		$.each(Webernote.parseTags(note.tags), function(i, tag) {
+			if (!user.tags || !user.tags[tag] || user.tags[tag][noteId] !== noteId) {
+				problems.push(noteId +' is not in tag '+ tag);
+			}
+		});
+	});
+
+	$.each(user.notebooks || {}, function(notebook, noteIds) {
+		$.each(noteIds === true ? {} : noteIds, function(noteId) {
+			if (!user.notes[noteId] || user.notes[noteId].notebook !== notebook) {
+				problems.push('notebook '+ notebook +' has '+ noteId);
+			}
+		});
+	});
+	$.each(user.tags || {}, function(tag, noteIds) {
+		$.each(noteIds, function(noteId) {
+			if (!user.notes[noteId] || $.inArray(tag, Webernote.parseTags(user.notes[noteId].tags)) < 0) {
+				problems.push('tag '+ tag +' has '+ noteId);
+			}
+		});
+	});
+	return problems;
+}
+
+test('every user is brought up to date, and a second run changes nothing', function() {
+	var self = this,
+		webernote = self.webernote;
+
+	$.each(Fixture.users, function(userId, original) {
+		Fixture.login(webernote, userId, function() {});
+
+		var user = self.tree(userId);
+
+		equal(user.schema, Webernote.SCHEMA_VERSION, userId +' is at the current version');
+		equal(user.name, original.name, userId +' keeps their name');
+		deepEqual($.map(user.notes, function(note, noteId) { return noteId; }).sort(),
+			$.map(original.notes, function(note, noteId) { return noteId; }).sort(), userId +' keeps their notes');
+		deepEqual(indexed(user), [], userId +' has notes in the current shape, indexed');
+
+		// Again from the start, as if the version had been lost
+		webernote.mainUser.child('schema').set(0);
+		webernote.migrate(function(err, result) {
+			strictEqual(err, false, userId +' migrated again');
+			deepEqual([result.from, result.to], [0, Webernote.SCHEMA_VERSION]);
+		});
+		deepEqual(self.tree(userId), user, userId +' did not change');
+
+		webernote.logout();
+	});
+});
+
+test('placeholders are removed', function() {
+	Fixture.login(this.webernote, '218374', function() {});
+
+	var user = this.tree('218374');
+
+	equal(typeof user.notebooks, 'object', 'notebooks were "218374"');
+	deepEqual(user.tags, { tag: { '-IoDe2A_6y6iiISbxVJ9': '-IoDe2A_6y6iiISbxVJ9' } }, 'tags were "218374"');
+});
+
+test('comma separated tags are normalized', function() {
+	Fixture.login(this.webernote, '17470435', function() {});
+
+	var user = this.tree('17470435');
+
+	deepEqual(user.notes['-IoSelxpPOz3Bvz5VXUj'].tags, { foam: 'foam', boom: 'boom', box: 'box' }, 'from "foam, boom, box"');
+	deepEqual(user.tags['boom'], { '-IoSelxpPOz3Bvz5VXUj': '-IoSelxpPOz3Bvz5VXUj' }, 'and indexed');
+	deepEqual(user.notes['-IoEIUdBux1lWR9xrBZd'].tags, { 'waffle-maker': 'waffle-maker' });
+
+	Fixture.login(this.webernote, '507578852', function() {});
+	deepEqual(this.tree('507578852').notes['-IoHOkI-8zMUNLlW_YdC'].tags, { 'fb-url-link1': 'fb-url-link1' }, 'lowercase');
+});
+
+test('stale index entries are removed', function() {
+	Fixture.login(this.webernote, '17470435', function() {});
+
+	var tags = this.tree('17470435').tags;
+
+	ok(!tags.hasOwnProperty('invisble-gun'), 'the misspelt tag the note no longer has');
+	deepEqual(tags['invisible-gun'], { '-IoSewY7fAPHbRK42o-8': '-IoSewY7fAPHbRK42o-8' }, 'the one it has');
+});
+
+test('emptied notebooks are kept', function() {
+	var users = $.extend(true, {}, Fixture.users);
+
+	users['13538912'].schema = 3;
+	users['13538912'].notebooks = { 'Old': { '-IoDehL_LMcsVHaoOElR': '-IoDehL_LMcsVHaoOElR' } };
+	this.webernote.firebase.context.seed(Fixture.url +'users', users);
+	Fixture.login(this.webernote, '13538912', function() {});
+
+	var notebooks = this.tree('13538912').notebooks;
+
+	strictEqual(notebooks['Old'], true, 'without the note that is elsewhere');
+	equal(LocalStore.sortedKeys(notebooks['My Notebook']).length, 2, 'which is indexed where it is');
+});
+
+test('notes of the first version are left where they are', function() {
+	var webernote = this.webernote,
+		legacy = {
+			'-IoAAAAAAAAAAAAAAAAA': { title: 'Whose?', notebook: 'My Notebook', tags: 'old', description: '', created: 1, modified: 1 }
+		};
+
+	webernote.firebase.context.seed(Fixture.url +'notes', legacy);
+	Fixture.login(webernote, '13538912', function() {});
+	webernote.mainUser.child('schema').set(1);
+
+	expect(4);
+	webernote.migrate(function(err, result) {
+		strictEqual(err, false, 'no error');
+		equal(result.legacy, 1, 'they are counted');
+	});
+	deepEqual(Fixture.get(webernote.firebase, 'notes'), legacy, 'they are still there');
+	ok(!Fixture.get(webernote.firebase, 'users/13538912/notes/-IoAAAAAAAAAAAAAAAAA'), 'and not given to the user');
+});
+
+test('notes of the first version are reported on login', function() {
+	var webernote = this.webernote,
+		users = $.extend(true, {}, Fixture.users);
+
+	users['13538912'].schema = 1;
+	webernote.firebase.context.seed(Fixture.url +'users', users);
+	webernote.firebase.context.seed(Fixture.url +'notes', { '-IoAAAAAAAAAAAAAAAAA': { title: 'Whose?' } });
+
+	expect(3);
+	Fixture.login(webernote, '13538912', function(err, info) {
+		strictEqual(err, false, 'no error');
+		equal(info.legacy, 1, 'they are counted');
+		strictEqual(info.migrationError, null);
+	});
+});
+
+test('notes of the first version that can\'t be read count as none', function() {
+	var webernote = this.webernote;
+
+	webernote.firebase.context.seed(Fixture.url +'notes', { '-IoAAAAAAAAAAAAAAAAA': { title: 'Whose?' } });
+	webernote.firebase.context.deny(Fixture.url +'notes');
+	Fixture.login(webernote, '17470435', function() {});
+	webernote.mainUser.child('schema').set(1);
+
+	expect(3);
+	webernote.migrate(function(err, result) {
+		strictEqual(err, false, 'no error');
+		equal(result.legacy, 0, 'none');
+		equal(result.to, Webernote.SCHEMA_VERSION, 'the later migrations still run');
+	});
+});
+
+test('the version is kept when a migration fails', function() {
+	var webernote = this.webernote,
+		migration = Webernote.MIGRATIONS[2];
+
+	Fixture.login(webernote, '17470435', function() {});
+	webernote.mainUser.child('schema').set(1);
+
+	Webernote.MIGRATIONS[2] = function(onComplete) {
+		onComplete(new Error('Could not convert tags'));
+	};
+	webernote.migrate(function(err, result) {
+		equal(err.message, 'Could not convert tags');
+		deepEqual([result.from, result.to], [1, 2]);
+	});
+	Webernote.MIGRATIONS[2] = migration;
+
+	equal(Fixture.get(webernote.firebase, 'users/17470435/schema'), 2, 'at the version before it');
+});
+
+test('a failed migration is passed on by login', function() {
+	var webernote = this.webernote,
+		migration = Webernote.MIGRATIONS[2],
+		users = $.extend(true, {}, Fixture.users);
+
+	users['17470435'].schema = 2;
+	webernote.firebase.context.seed(Fixture.url +'users', users);
+	Webernote.MIGRATIONS[2] = function(onComplete) {
+		onComplete(new Error('Could not convert tags'));
+	};
+
+	expect(2);
+	Fixture.login(webernote, '17470435', function(err, info) {
+		strictEqual(err, false, 'the user is logged in');
+		equal(info.migrationError.message, 'Could not convert tags', 'and told');
+	});
+	Webernote.MIGRATIONS[2] = migration;
+});
@@ -0,0 +1,103 @@
+/**
+ * Sanitizer.notes against the ways scripts get into HTML. Each case is the
+ * HTML a note could hold and what it has to come out as.
+ */
+
+module('sanitize');
+
+function sanitizes(cases) {
+	$.each(cases, function(i, c) {
+		equal(Sanitizer.notes.sanitize(c[0]), c[1], c[0]);
+	});
+}
+
+test('javascript: URLs', function() {
+	sanitizes([
+		['<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+		['<a href=" javascript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="\njavascript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="jav&#x09;ascript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="jav&#9;ascript:alert(1)">x</a>', '<a>x</a>'],
+		['<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>', '<a>x</a>'],
+		['<a href="&#x6A;avascript&colon;alert(1)">x</a>', '<a>x</a>'],
+		['<a href="javascript&#0000058;alert(1)">x</a>', '<a>x</a>'],
+		['<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+		['<img src="javascript:alert(1)">', '']
+	]);
+});
+
+test('URLs that are allowed', function() {
+	sanitizes([
+		['<a href="https://example.com/?a=1&amp;b=2" title="Example">x</a>', '<a href="https://example.com/?a=1&amp;b=2" title="Example">x</a>'],
+		['<a href=" http://example.com ">x</a>', '<a href="http://example.com">x</a>'],
+		['<a href="mailto:me@example.com">x</a>', '<a href="mailto:me@example.com">x</a>'],
+		['<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot">', '<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot">']
+	]);
+});
+
+test('data: URLs', function() {
+	sanitizes([
+		['<a href="data:text/html,<script>alert(1)</script>">x</a>', '<a>x</a>'],
+		['<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>', '<a>x</a>'],
+		['<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">', ''],
+		['<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">', '']
+	]);
+});
+
+test('event handlers', function() {
+	sanitizes([
+		['<img src="x" onerror="alert(1)">', ''],
+		['<img src="https://example.com/a.png" onerror="alert(1)">', '<img src="https://example.com/a.png">'],
+		['<img src=x onerror=alert(1)//', ''],
+		['<p onclick="alert(1)" onmouseover="alert(1)">x</p>', '<p>x</p>'],
+		['<a href="https://example.com" ONFOCUS="alert(1)" autofocus>x</a>', '<a href="https://example.com">x</a>'],
+		['<!--<img src="--><img src=x onerror=alert(1)//">', ''],
+		['<body onload="alert(1)">x</body>', 'x']
+	]);
+});
+
+test('elements that run scripts', function() {
+	sanitizes([
+		['<script>alert(1)</script>x', 'x'],
+		['<svg><script>alert(1)</script></svg>x', 'x'],
+		['<svg onload="alert(1)"><a href="javascript:alert(1)">x</a></svg>', ''],
+		['<math><mtext><script>alert(1)</script></mtext></math>', ''],
+		['<iframe srcdoc="<script>alert(1)</script>"></iframe>x', 'x'],
+		['<iframe src="javascript:alert(1)">x</iframe>', ''],
+		['<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">', ''],
+		['<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">x</button></form>', ''],
+		['<base href="javascript:alert(1)//"><a href="/">x</a>', '<a>x</a>'],
+		['<meta http-equiv="refresh" content="0;url=javascript:alert(1)">', ''],
+		['</p><script>alert(1)</script><p>', '<p></p><p></p>']
+	]);
+});
+
+test('styles', function() {
+	sanitizes([
+		['<p style="width: expression(alert(1))">x</p>', '<p>x</p>'],
+		['<p style="background: url(javascript:alert(1))">x</p>', '<p>x</p>'],
+		['<p style="background:url(&quot;javascript:alert(1)&quot;)">x</p>', '<p>x</p>'],
+		['<style>p { background: url(javascript:alert(1)) }</style>x', 'x'],
+		['<link rel="stylesheet" href="javascript:alert(1)">x', 'x']
+	]);
+});
+
+test('text is escaped', function() {
+	sanitizes([
+		['&lt;script&gt;alert(1)&lt;/script&gt;', '&lt;script&gt;alert(1)&lt;/script&gt;'],
+		['<a title="&quot;><script>alert(1)</script>" href="https://example.com">x</a>', '<a title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" href="https://example.com">x</a>'],
+		['<p>1 < 2 & 3 > 2</p>', '<p>1 &lt; 2 &amp; 3 &gt; 2</p>']
+	]);
+});
+
+test('attributes are checked', function() {
+	sanitizes([
+		['<code class="language-js onerror">x</code>', '<code>x</code>'],
+		['<code class="language-js">x</code>', '<code class="language-js">x</code>'],
+		['<img src="https://example.com/a.png" width="100" height="1;x:expression(alert(1))">', '<img src="https://example.com/a.png" width="100">'],
+		['<input type="checkbox" checked onclick="alert(1)">', '<input type="checkbox" checked="checked">'],
+		['<input type="image" src="x" onerror="alert(1)">', '']
+	]);
+});
@@ -0,0 +1,104 @@
+/**
+ * WebernoteStorage.update() on a MockFirebase, whose update() only takes
+ * children as Firebase's does, so the paths have to be written some other
+ * way.
+ */
+
+module('storage', {
+	setup: function() {
+		this.context = new MockFirebase.Context();
+		this.context.seed(Fixture.url +'users', $.extend(true, {}, Fixture.users));
+		this.user = new MockFirebase(Fixture.url +'users/17470435', this.context);
+	}
+});
+
+test('commonPath', function() {
+	function paths() {
+		return $.map(arguments, function(path) {
+			return [path.split('/')];
+		});
+	}
+
+	deepEqual(LocalStore.commonPath(paths('users/1/notes/a')), ['users', '1', 'notes', 'a'], 'a single path');
+	deepEqual(LocalStore.commonPath(paths('users/1/notes/a', 'users/1/tags/x/a')), ['users', '1']);
+	deepEqual(LocalStore.commonPath(paths('users/1/notes/a', 'users/1/notes/b')), ['users', '1', 'notes']);
+	deepEqual(LocalStore.commonPath(paths('users/1/notes', 'users/1/notes/b')), ['users', '1'], 'above all of them');
+	deepEqual(LocalStore.commonPath(paths('notes/a', 'tags/x')), [], 'the root');
+});
+
+test('MockFirebase refuses paths in update()', function() {
+	var user = this.user;
+
+	throws(function() {
+		user.update({ 'notes/-IoEIMx27X_vM9tLvdE8/title': 'Cookies!' });
+	}, /contains a path/);
+});
+
+test('paths in different places are written in one transaction of where they meet', function() {
+	var context = this.context,
+		values = { user: 0, notes: 0 };
+
+	this.user.on('value', function() { values.user++; });
+	this.user.child('notes').on('value', function() { values.notes++; });
+	values = { user: 0, notes: 0 };
+
+	expect(5);
+	WebernoteStorage.update(this.user, {
+		'notes/-IoEIMx27X_vM9tLvdE8/title': 'Cookies!',
+		'tags/cookies/-IoEIMx27X_vM9tLvdE8': '-IoEIMx27X_vM9tLvdE8',
+		'tags/waffle-maker': null
+	}, function(err) {
+		strictEqual(err, null, 'no error');
+	});
+
+	equal(context.transactions, 1, 'a transaction');
+	deepEqual(values, { user: 1, notes: 1 }, 'made at once');
+	equal(Fixture.get(this.user, 'notes/-IoEIMx27X_vM9tLvdE8/title'), 'Cookies!');
+	deepEqual([Fixture.get(this.user, 'tags/cookies/-IoEIMx27X_vM9tLvdE8'), Fixture.get(this.user, 'tags/waffle-maker')],
+		['-IoEIMx27X_vM9tLvdE8', null], 'everything else of the user is kept');
+});
+
+test('the transaction is only as wide as the paths', function() {
+	var transaction = MockFirebase.prototype.transaction,
+		locations = [];
+
+	MockFirebase.prototype.transaction = function(update, onComplete) {
+		locations.push(this.path.join('/'));
+		transaction.call(this, update, onComplete);
+	};
+	WebernoteStorage.update(this.user, {
+		'notes/-IoEIMx27X_vM9tLvdE8/title': 'Cookies!',
+		'notes/-IoSelxpPOz3Bvz5VXUj/title': 'Foam'
+	}, function() {});
+	MockFirebase.prototype.transaction = transaction;
+
+	deepEqual(locations, ['users/17470435/notes'], 'made of the notes, not the whole user');
+	equal(Fixture.get(this.user, 'notes/-IoSelxpPOz3Bvz5VXUj/title'), 'Foam');
+});
+
+test('children are written with update()', function() {
+	WebernoteStorage.update(this.user, {
+		'notes/-IoEIMx27X_vM9tLvdE8': null,
+		'notes/-IoSelxpPOz3Bvz5VXUj': null
+	}, function(err) {
+		strictEqual(err, null, 'no error');
+	});
+
+	equal(this.context.transactions, 0, 'no transaction');
+	strictEqual(Fixture.get(this.user, 'notes/-IoSelxpPOz3Bvz5VXUj'), null);
+	ok(Fixture.get(this.user, 'notes/-IoEIUdBux1lWR9xrBZd'), 'the other notes are kept');
+});
+
+test('refused writes are reported', function() {
+	this.context.deny(Fixture.url +'users/17470435/notes');
+
+	expect(2);
+	WebernoteStorage.update(this.user, {
+		'notes/-IoEIMx27X_vM9tLvdE8/title': 'Cookies!',
+		'notes/-IoSelxpPOz3Bvz5VXUj/title': 'Foam'
+	}, function(err) {
+		equal(err.code, 'PERMISSION_DENIED');
+	});
+	this.context.denied = [];
+	equal(Fixture.get(this.user, 'notes/-IoSelxpPOz3Bvz5VXUj/title'), Fixture.users['17470435'].notes['-IoSelxpPOz3Bvz5VXUj'].title, 'nothing was written');
+});
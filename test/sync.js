@@ -0,0 +1,140 @@
+/**
+ * The offline adapter syncing with a MockFirebase. IndexedDB is left out so
+ * nothing is kept between tests, or from the app's own copy.
+ */
+
+module('sync', {
+	setup: function() {
+		var self = this;
+
+		self.open = SyncStore.open;
+		SyncStore.open = function(onComplete) {
+			onComplete(new Error('IndexedDB is not available'), null);
+		};
+
+		self.context = new MockFirebase.Context();
+		self.context.seed(Fixture.url +'users', $.extend(true, {}, Fixture.users));
+		self.context.seed(Fixture.url +'.info/connected', false);
+
+		self.remote = new MockFirebase(Fixture.url, self.context);
+		self.store = new SyncStore('webernote:test', self.remote);
+		self.store.signedIn('token', '17470435');
+		self.local = self.store.ref().child('users/17470435');
+
+		self.statuses = [];
+		self.store.onStatus(function(state, pending, discarded, refused) {
+			self.statuses.push([state, pending, discarded, refused]);
+		});
+	},
+	teardown: function() {
+		this.store.unauth();
+		SyncStore.open = this.open;
+	},
+
+	// Go online, which syncs the outbox
+	connect: function() {
+		this.context.seed(Fixture.url +'.info/connected', true);
+	}
+});
+
+test('writes made offline are synced once connected', function() {
+	this.local.child('notes/-IoEIMx27X_vM9tLvdE8/title').set('Cookies!');
+	equal(Fixture.get(this.remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Famous Amos Cookies', 'not while offline');
+	deepEqual(this.statuses[this.statuses.length - 1], ['offline', 1, 0, 0]);
+
+	this.connect();
+	equal(Fixture.get(this.remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Cookies!', 'once connected');
+	deepEqual(this.statuses[this.statuses.length - 1], ['synced', 0, 0, 0]);
+});
+
+test('changes to a note made later elsewhere win', function() {
+	var remote = this.remote,
+		note = Fixture.get(remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8'),
+		other = Fixture.get(remote, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj');
+
+	// One write, as a batch makes, to two notes
+	this.local.update({
+		'notes/-IoEIMx27X_vM9tLvdE8': $.extend({}, note, { title: 'Mine', modified: note.modified + 1000 }),
+		'notes/-IoSelxpPOz3Bvz5VXUj': $.extend({}, other, { title: 'Also mine', modified: other.modified + 1000 })
+	});
+
+	// Changed elsewhere after that, by the notes' times
+	this.remote.child('users/17470435/notes/-IoEIMx27X_vM9tLvdE8').update({
+		title: 'Theirs',
+		modified: note.modified + 2000
+	});
+
+	this.connect();
+	equal(Fixture.get(remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Theirs', 'the later change is kept');
+	equal(Fixture.get(this.store.ref(), 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Theirs', 'here too');
+	equal(Fixture.get(remote, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj/title'), 'Also mine', 'the other note is still synced');
+	deepEqual(this.statuses[this.statuses.length - 1], ['synced', 0, 1, 0], 'the user is told');
+});
+
+test('changes made here later win', function() {
+	var remote = this.remote,
+		note = Fixture.get(remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8');
+
+	this.local.child('notes/-IoEIMx27X_vM9tLvdE8').update({
+		title: 'Mine',
+		modified: note.modified + 2000
+	});
+	this.remote.child('users/17470435/notes/-IoEIMx27X_vM9tLvdE8').update({
+		title: 'Theirs',
+		modified: note.modified + 1000
+	});
+
+	this.connect();
+	equal(Fixture.get(remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Mine');
+	deepEqual(this.statuses[this.statuses.length - 1], ['synced', 0, 0, 0]);
+});
+
+test('each write made here is one write to Firebase', function() {
+	var values = 0;
+
+	this.local.update({
+		'notes/-IoEIMx27X_vM9tLvdE8/title': 'Cookies!',
+		'tags/cookies/-IoEIMx27X_vM9tLvdE8': '-IoEIMx27X_vM9tLvdE8'
+	});
+
+	this.remote.child('users/17470435').on('value', function() {
+		values++;
+	});
+	values = 0;
+
+	this.connect();
+	equal(values, 1, 'so Firebase has all of it or none');
+	equal(Fixture.get(this.remote, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Cookies!');
+	equal(Fixture.get(this.remote, 'users/17470435/tags/cookies/-IoEIMx27X_vM9tLvdE8'), '-IoEIMx27X_vM9tLvdE8');
+});
+
+test('a write Firebase refuses is undone and the later ones still synced', function() {
+	var remote = this.remote;
+
+	this.context.deny(Fixture.url +'users/17470435/notes/-IoEIMx27X_vM9tLvdE8');
+	this.local.child('notes/-IoEIMx27X_vM9tLvdE8/title').set('Not allowed');
+	this.local.child('notes/-IoSelxpPOz3Bvz5VXUj/title').set('Allowed');
+
+	this.connect();
+	equal(Fixture.get(remote, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj/title'), 'Allowed', 'the later write is synced');
+	equal(Fixture.get(this.local, 'notes/-IoEIMx27X_vM9tLvdE8/title'), 'Famous Amos Cookies', 'the refused one is undone');
+	deepEqual(this.statuses[this.statuses.length - 1], ['synced', 0, 0, 1], 'the user is told');
+});
+
+test('writes not in the saved mirror yet are loaded from the outbox', function() {
+	var read = SyncStore.prototype.read,
+		store;
+
+	SyncStore.prototype.read = function(names, callback) {
+		callback({
+			tree: { users: { '17470435': { notes: { '-IoEIMx27X_vM9tLvdE8': { title: 'Saved' } } } } },
+			outbox: [{ time: 1, changes: [{ path: ['users', '17470435', 'notes', '-IoEIMx27X_vM9tLvdE8', 'title'], value: 'Not saved' }] }],
+			user: { token: 'token', id: '17470435', local: false }
+		});
+	};
+	store = new SyncStore('webernote:test', null);
+	SyncStore.prototype.read = read;
+
+	equal(Fixture.get(store.ref(), 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/title'), 'Not saved');
+	equal(store.outbox.length, 1, 'and still to be synced');
+});
@@ -0,0 +1,365 @@
+/**
+ * The data layer on the mock adapter. MockFirebase fires events
+ * synchronously, so callbacks have all run by the time a call returns.
+ */
+
+module('login', {
+	setup: function() {
+		this.webernote = Fixture.webernote();
+	}
+});
+
+test('logs in with the provider and keeps the token', function() {
+	var webernote = this.webernote;
+
+	expect(6);
+	Fixture.login(webernote, '17470435', function(err, info) {
+		strictEqual(err, false, 'no error');
+		equal(info.name, 'Antonio Fernandes', 'the user info is passed on');
+		equal(webernote.userId, '17470435');
+		equal(localStorage.getItem('userId'), '17470435', 'the user is remembered');
+		ok(webernote.firebase.context.tokens.hasOwnProperty(localStorage.getItem('authToken')), 'the token came from the provider');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/status'), 'online');
+	});
+});
+
+test('a silent login reuses the stored token', function() {
+	var webernote = this.webernote;
+
+	Fixture.login(webernote, '13538912', function() {});
+	webernote.userId = null;
+
+	expect(2);
+	webernote.login(true, function(err, info) {
+		strictEqual(err, false, 'no error');
+		equal(webernote.userId, '13538912');
+	});
+});
+
+test('a silent login drops a stale token', function() {
+	var webernote = this.webernote;
+
+	webernote.clearSession();
+	localStorage.setItem('authToken', 'stale');
+
+	expect(2);
+	webernote.login(true, function(err, info) {
+		equal(err.message, 'User is not logged in');
+		strictEqual(localStorage.getItem('authToken'), null, 'the token is forgotten');
+	});
+});
+
+test('a cancelled login fails', function() {
+	var webernote = this.webernote;
+
+	webernote.clearSession();
+	webernote.firebase.context.user = null;
+
+	expect(2);
+	webernote.login(false, function(err, info) {
+		ok(err instanceof Error, 'an error is passed');
+		strictEqual(info, false);
+	});
+});
+
+test('the first login creates the user', function() {
+	var webernote = this.webernote;
+
+	webernote.clearSession();
+	webernote.firebase.context.user = { id: '42', name: 'New User' };
+
+	expect(3);
+	webernote.login(false, function(err, info) {
+		strictEqual(err, false, 'no error');
+		deepEqual(info, { userId: '42', name: 'New User', schema: Webernote.SCHEMA_VERSION, migrationError: null, legacy: 0 });
+		equal(Fixture.get(webernote.firebase, 'users/42/name'), 'New User');
+	});
+});
+
+
+module('notes', {
+	setup: function() {
+		this.webernote = Fixture.webernote();
+		Fixture.login(this.webernote, '17470435', function() {});
+	}
+});
+
+test('onNote is called for every note, then for new ones', function() {
+	var webernote = this.webernote,
+		noteIds = [];
+
+	webernote.onNote(function(noteId, note) {
+		noteIds.push(noteId);
+	});
+	deepEqual(noteIds.slice().sort(), [
+		'-IoEIMx27X_vM9tLvdE8',
+		'-IoEIUdBux1lWR9xrBZd',
+		'-IoSelxpPOz3Bvz5VXUj',
+		'-IoSewY7fAPHbRK42o-8'
+	], 'the notes of the user');
+
+	var noteId = webernote.save(webernote.userId, { title: 'New' }, function() {});
+	equal(noteIds.length, 5, 'once more');
+	equal(noteIds[4], noteId, 'for the new note');
+
+	webernote.unload();
+	webernote.save(webernote.userId, { title: 'Another' }, function() {});
+	equal(noteIds.length, 5, 'not after unload()');
+});
+
+test('save stores the note and indexes it', function() {
+	var webernote = this.webernote,
+		returned;
+
+	expect(6);
+	returned = webernote.save(webernote.userId, {
+		title: 'Groceries',
+		notebook: 'Home',
+		tags: 'Food, shopping list',
+		format: 'plain',
+		description: 'Milk'
+	}, function(err, noteId) {
+		var note = Fixture.get(webernote.firebase, 'users/17470435/notes/'+ noteId);
+
+		strictEqual(err, false, 'no error');
+		equal(note.title, 'Groceries');
+		deepEqual(note.tags, { 'food': 'food', 'shopping list': 'shopping list' }, 'tags are normalized');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notebooks/Home/'+ noteId), noteId, 'in the notebook index');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/tags/shopping list/'+ noteId), noteId, 'in the tag index');
+	});
+	ok(Fixture.get(webernote.firebase, 'users/17470435/notes/'+ returned), 'the ID is returned straight away');
+});
+
+test('save puts notes without a notebook in the default one', function() {
+	var webernote = this.webernote;
+
+	webernote.save(webernote.userId, { title: 'Loose' }, function(err, noteId) {
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notes/'+ noteId +'/notebook'), Webernote.DEFAULT_NOTEBOOK);
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notebooks/'+ Webernote.DEFAULT_NOTEBOOK +'/'+ noteId), noteId);
+	});
+});
+
+test('save sanitizes rich text', function() {
+	var webernote = this.webernote;
+
+	webernote.save(webernote.userId, {
+		title: 'Rich',
+		format: 'rich',
+		description: '<p onclick="steal()">Hi</p><script>steal()</script>'
+	}, function(err, noteId) {
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notes/'+ noteId +'/description'), '<p>Hi</p>');
+	});
+});
+
+test('save needs a note', function() {
+	var webernote = this.webernote;
+
+	throws(function() {
+		webernote.save(webernote.userId, 'Not a note', function() {});
+	}, /Invalid noteData/);
+});
+
+
+module('tags', {
+	setup: function() {
+		this.webernote = Fixture.webernote();
+		Fixture.login(this.webernote, '17470435', function() {});
+	}
+});
+
+test('onTag reports every tag with its number of notes', function() {
+	var tags = {};
+
+	this.webernote.onTag(function(tag, count, eventType) {
+		equal(eventType, 'child_added');
+		tags[tag] = count;
+	});
+	equal(tags['foam'], 1);
+	equal(tags['invisible-gun'], 1);
+	equal(tags['waffle-maker'], 1);
+	equal(tags['cookies'], 1);
+});
+
+test('onTag follows the notes', function() {
+	var webernote = this.webernote,
+		events = [];
+
+	webernote.onTag(function(tag, count, eventType) {
+		events.push([tag, count, eventType]);
+	});
+	events = [];
+
+	var noteId = webernote.save(webernote.userId, { title: 'Packing', tags: 'foam, tape' }, function() {});
+	deepEqual(events, [
+		['foam', 2, 'child_changed'],
+		['tape', 1, 'child_added']
+	], 'when a note is saved');
+
+	// As with Firebase, a removed tag comes with its last value
+	events = [];
+	webernote.trashNote(noteId, function() {});
+	deepEqual(events, [
+		['foam', 1, 'child_changed'],
+		['tape', 1, 'child_removed']
+	], 'when it goes to the Trash');
+});
+
+
+module('notebooks', {
+	setup: function() {
+		this.webernote = Fixture.webernote();
+		Fixture.login(this.webernote, '17470435', function() {});
+	}
+});
+
+test('deleteNotebook moves the notes to another notebook', function() {
+	var webernote = this.webernote;
+
+	expect(5);
+	webernote.deleteNotebook('My Notebook', 'Archive', function(err, notebook) {
+		var notebooks = Fixture.get(webernote.firebase, 'users/17470435/notebooks');
+
+		strictEqual(err, false, 'no error');
+		equal(notebook, 'My Notebook');
+		ok(!notebooks['My Notebook'], 'the notebook is gone');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj/notebook'), 'Archive', 'the notes say so');
+		equal($.map(notebooks['Archive'], function(noteId) { return noteId; }).length, 4, 'they are indexed');
+	});
+});
+
+test('deleteNotebook can move the notes to the Trash', function() {
+	var webernote = this.webernote;
+
+	expect(4);
+	webernote.deleteNotebook('My Notebook', null, function(err) {
+		strictEqual(err, false, 'no error');
+		strictEqual(Fixture.get(webernote.firebase, 'users/17470435/notebooks'), null, 'the notebook is gone');
+		strictEqual(Fixture.get(webernote.firebase, 'users/17470435/notes'), null, 'and its notes');
+		ok(Fixture.get(webernote.firebase, 'users/17470435/trash/-IoSelxpPOz3Bvz5VXUj').deleted, 'which are in the Trash');
+	});
+});
+
+test('deleteNotebook removes an empty notebook', function() {
+	var webernote = this.webernote;
+
+	webernote.createNotebook('Empty', function() {});
+	webernote.deleteNotebook('Empty', null, function(err) {
+		strictEqual(err, false, 'no error');
+		ok(!Fixture.get(webernote.firebase, 'users/17470435/notebooks/Empty'), 'the notebook is gone');
+	});
+});
+
+test('renameNotebook moves every note and both indexes', function() {
+	var webernote = this.webernote,
+		before = Fixture.get(webernote.firebase, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj');
+
+	// A stale entry of a note that's gone
+	webernote.notebooksRef.child('My Notebook').child('-IoGone').set('-IoGone');
+
+	expect(7);
+	webernote.renameNotebook('My Notebook', 'Work', function(err, notebook) {
+		var notebooks = Fixture.get(webernote.firebase, 'users/17470435/notebooks'),
+			note = Fixture.get(webernote.firebase, 'users/17470435/notes/-IoSelxpPOz3Bvz5VXUj');
+
+		strictEqual(err, false, 'no error');
+		equal(notebook, 'Work');
+		ok(!notebooks['My Notebook'], 'the old name is gone');
+		equal(LocalStore.sortedKeys(notebooks['Work']).length, 4, 'the notes are indexed under the new one');
+		equal(note.notebook, 'Work', 'the notes say so');
+		ok(note.modified > before.modified, 'and were changed');
+		strictEqual(Fixture.get(webernote.firebase, 'users/17470435/notes/-IoGone'), null, 'the stale entry made no note');
+	});
+});
+
+test('renameNotebook onto an existing notebook merges them', function() {
+	var webernote = this.webernote;
+
+	webernote.moveNote('-IoSelxpPOz3Bvz5VXUj', 'Archive', function() {});
+
+	expect(4);
+	webernote.renameNotebook('My Notebook', 'Archive', function(err) {
+		var notebooks = Fixture.get(webernote.firebase, 'users/17470435/notebooks');
+
+		strictEqual(err, false, 'no error');
+		ok(!notebooks['My Notebook'], 'the old name is gone');
+		equal(LocalStore.sortedKeys(notebooks['Archive']).length, 4, 'the notes of both are indexed');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notes/-IoEIMx27X_vM9tLvdE8/notebook'), 'Archive');
+	});
+});
+
+test('renameNotebook keeps an empty notebook', function() {
+	var webernote = this.webernote;
+
+	webernote.createNotebook('Empty', function() {});
+
+	expect(3);
+	webernote.renameNotebook('Empty', 'Still empty', function(err) {
+		strictEqual(err, false, 'no error');
+		strictEqual(Fixture.get(webernote.firebase, 'users/17470435/notebooks/Still empty'), true, 'under the new name');
+		strictEqual(Fixture.get(webernote.firebase, 'users/17470435/notebooks/Empty'), null, 'not the old one');
+	});
+});
+
+test('renameNotebook needs the notebook', function() {
+	expect(1);
+	this.webernote.renameNotebook('Nowhere', 'Somewhere', function(err) {
+		equal(err.message, 'Notebook Nowhere does not exist');
+	});
+});
+
+test('moveNote updates both indexes', function() {
+	var webernote = this.webernote;
+
+	expect(4);
+	webernote.moveNote('-IoSelxpPOz3Bvz5VXUj', 'Archive', function(err, noteId) {
+		var notebooks = Fixture.get(webernote.firebase, 'users/17470435/notebooks');
+
+		strictEqual(err, false, 'no error');
+		equal(Fixture.get(webernote.firebase, 'users/17470435/notes/'+ noteId +'/notebook'), 'Archive');
+		deepEqual(notebooks['Archive'], { '-IoSelxpPOz3Bvz5VXUj': '-IoSelxpPOz3Bvz5VXUj' }, 'it is in the new one');
+		ok(!notebooks['My Notebook'].hasOwnProperty('-IoSelxpPOz3Bvz5VXUj'), 'not the old one');
+	});
+});
+
+module('merge');
+
+test('mergedNote keeps every URL', function() {
+	var note = Webernote.mergedNote([
+		{ title: 'No link', description: 'a', format: 'plain', created: 1 },
+		{ title: 'First', url: 'http://example.com/1', description: 'b', format: 'plain', created: 2 },
+		{ title: 'Merged', url: 'http://example.com/2', urls: { 0: 'http://example.com/2', 1: 'http://example.com/3' }, description: 'c', format: 'plain', created: 3 },
+		{ title: 'Again', url: 'http://example.com/1', description: 'd', format: 'plain', created: 4 }
+	], 5);
+
+	equal(note.url, 'http://example.com/1', 'the first one is its URL');
+	deepEqual(note.urls, ['http://example.com/1', 'http://example.com/2', 'http://example.com/3'], 'all of them, once each');
+	deepEqual(Webernote.noteUrls(note), note.urls);
+	ok(note.description.indexOf('Merged\nhttp://example.com/2\nhttp://example.com/3') >= 0, 'under the titles too');
+});
+
+test('mergedNote keeps a single URL in url only', function() {
+	var note = Webernote.mergedNote([
+		{ title: 'First', url: 'http://example.com/1', format: 'plain', created: 1 },
+		{ title: 'Second', format: 'plain', created: 2 }
+	], 3);
+
+	equal(note.url, 'http://example.com/1');
+	strictEqual(note.urls, null);
+});
+
+test('mergeNotes stores the URLs', function() {
+	var webernote = Fixture.webernote();
+
+	Fixture.login(webernote, '17470435', function() {});
+	webernote.notesRef.child('-IoEIMx27X_vM9tLvdE8/url').set('http://example.com/1');
+	webernote.notesRef.child('-IoSelxpPOz3Bvz5VXUj/url').set('http://example.com/2');
+
+	expect(3);
+	webernote.mergeNotes(['-IoEIMx27X_vM9tLvdE8', '-IoSelxpPOz3Bvz5VXUj'], function(err, noteId) {
+		var note = Fixture.get(webernote.notesRef, noteId);
+
+		strictEqual(err, false, 'no error');
+		equal(note.url, Webernote.noteUrls(note)[0]);
+		deepEqual(Webernote.noteUrls(note).sort(), ['http://example.com/1', 'http://example.com/2']);
+	});
+});